@@ -40,6 +40,49 @@ module.exports = function (grunt) {
             'src/graphviz_attrs.js',
             'src/d3_force_layout.js',
             'src/webworker_message.js'
+        ],
+        radialWorkerFiles: [
+            'src/core.js',
+            'src/generate_objects.js',
+            'src/graphviz_attrs.js',
+            'src/radial_layout.js',
+            'src/webworker_message.js'
+        ],
+        stressWorkerFiles: [
+            'src/core.js',
+            'src/generate_objects.js',
+            'src/graphviz_attrs.js',
+            'src/stress_layout.js',
+            'src/webworker_message.js'
+        ],
+        headlessFiles: [
+            'src/headless_banner.js',
+            'src/core.js',
+            'src/utils.js',
+            'src/depth_first_traversal.js',
+            'src/generate_objects.js',
+            'src/shape.js',
+            'src/engine.js',
+            'src/sync_layout.js',
+            'src/incremental_layout.js',
+            'src/graphviz_attrs.js',
+            'src/cola_layout.js',
+            'src/dagre_layout.js',
+            'src/tree_layout.js',
+            'src/radial_layout.js',
+            'src/sugiyama_layout.js',
+            'src/stress_layout.js',
+            'src/graphviz_layout.js',
+            'src/d3_force_layout.js',
+            'src/d3v4_force_layout.js',
+            'src/flexbox_layout.js',
+            'src/geo_layout.js',
+            'src/manual_layout.js',
+            'src/supergraph.js',
+            'src/layered_layout.js',
+            'src/headless.js',
+            'src/layout_metrics.js',
+            'src/headless_footer.js'
         ]
     };
 
@@ -71,6 +114,18 @@ module.exports = function (grunt) {
             d3ForceWorker: {
                 src: '<%= conf.d3ForceWorkerFiles %>',
                 dest: '<%= conf.pkg.name %>.d3-force.worker.js'
+            },
+            radialWorker: {
+                src: '<%= conf.radialWorkerFiles %>',
+                dest: '<%= conf.pkg.name %>.radial.worker.js'
+            },
+            stressWorker: {
+                src: '<%= conf.stressWorkerFiles %>',
+                dest: '<%= conf.pkg.name %>.stress.worker.js'
+            },
+            headless: {
+                src: '<%= conf.headlessFiles %>',
+                dest: '<%= conf.pkg.name %>.headless.js'
             }
         },
         uglify: {
@@ -93,7 +148,7 @@ module.exports = function (grunt) {
                 }
             },
             source: {
-                src: ['<%= conf.src %>/**/*.js', '!<%= conf.src %>/{banner,footer}.js', 'Gruntfile.js',
+                src: ['<%= conf.src %>/**/*.js', '!<%= conf.src %>/{banner,footer,headless_banner,headless_footer}.js', 'Gruntfile.js',
                     'grunt/*.js', '<%= conf.web %>/stock.js'],
                 options: {
                     config: '.jscsrc'
@@ -105,7 +160,8 @@ module.exports = function (grunt) {
                 src: ['<%= conf.src %>/**/*.js', 'Gruntfile.js', 'grunt/*.js', '<%= conf.web %>/stock.js'],
                 options: {
                     jshintrc: '.jshintrc',
-                    ignores: ['<%= conf.src %>/banner.js', '<%= conf.src %>/footer.js']
+                    ignores: ['<%= conf.src %>/banner.js', '<%= conf.src %>/footer.js',
+                              '<%= conf.src %>/headless_banner.js', '<%= conf.src %>/headless_footer.js']
                 }
             }
         },
@@ -139,7 +195,7 @@ module.exports = function (grunt) {
         },
         jsdoc: {
             dist: {
-                src: ['welcome.md', '<%= conf.src %>/**/*.js', '!<%= conf.src %>/{banner,footer}.js'],
+                src: ['welcome.md', '<%= conf.src %>/**/*.js', '!<%= conf.src %>/{banner,footer,headless_banner,headless_footer}.js'],
                 options: {
                     destination: 'web/docs/html',
                     template: 'node_modules/ink-docstrap/template',
@@ -213,6 +269,10 @@ module.exports = function (grunt) {
                             '<%= conf.pkg.name %>.d3v4-force.worker.js.map',
                             '<%= conf.pkg.name %>.d3-force.worker.js',
                             '<%= conf.pkg.name %>.d3-force.worker.js.map',
+                            '<%= conf.pkg.name %>.radial.worker.js',
+                            '<%= conf.pkg.name %>.radial.worker.js.map',
+                            '<%= conf.pkg.name %>.stress.worker.js',
+                            '<%= conf.pkg.name %>.stress.worker.js.map',
                             'd3.flexdivs.js',
                             'dc.graph.tracker.domain.js',
                             'd3v4-force.js',
@@ -360,25 +420,36 @@ module.exports.jsFiles = [
     'src/diagram.js',
     'src/render_svg.js',
     'src/render_webgl.js',
+    'src/render_canvas.js',
     'src/engine.js',
     'src/webworker_layout.js',
+    'src/sync_layout.js',
+    'src/incremental_layout.js',
+    'src/headless.js',
     'src/graphviz_attrs.js',
     'src/cola_layout.js',
     'src/dagre_layout.js',
     'src/tree_layout.js',
+    'src/radial_layout.js',
+    'src/sugiyama_layout.js',
+    'src/stress_layout.js',
     'src/graphviz_layout.js',
     'src/d3_force_layout.js',
     'src/d3v4_force_layout.js',
     'src/flexbox_layout.js',
+    'src/geo_layout.js',
     'src/manual_layout.js',
     'src/layered_layout.js',
     'src/place_ports.js',
+    'src/route_edges.js',
     'src/grid.js',
     'src/annotate_layers.js',
     'src/troubleshoot.js',
     'src/validate.js',
+    'src/layout_metrics.js',
     'src/legend.js',
     'src/constraint_pattern.js',
+    'src/constraint_spec.js',
     'src/tree_positions.js',
     'src/tree_constraints.js',
     'src/mode.js',
@@ -408,6 +479,7 @@ module.exports.jsFiles = [
     'src/highlight_paths.js',
     'src/spline_paths.js',
     'src/draw_clusters.js',
+    'src/draw_basemap.js',
     'src/expand_collapse.js',
     'src/shown_hidden.js',
     'src/expanded_hidden.js',
@@ -417,6 +489,12 @@ module.exports.jsFiles = [
     'src/wildcard_ports.js',
     'src/symbol_port_style.js',
     'src/load_graph.js',
+    'src/graphml.js',
+    'src/gexf.js',
+    'src/export_dot.js',
+    'src/load_graph_stream.js',
+    'src/cytoscape.js',
+    'src/jgf.js',
     'src/munge_graph.js',
     'src/flat_group.js',
     'src/convert.js',
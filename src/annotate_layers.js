@@ -40,11 +40,11 @@ dc_graph.annotate_layers = function() {
                 });
             }
         } else if(rendererType === 'webgl') {
-            var MULT = _mode.parent().renderer().multiplier();
-            var scene = arguments[1], drawState = arguments[2];
+            var renderer = _mode.parent().renderer(), MULT = renderer.multiplier();
+            var scene = renderer.scene(), extents = renderer.extents();
             if(engine.layoutAlgorithm() === 'layered' && engine.layers()) {
-                var width = drawState.extents[0][1] - drawState.extents[0][0] + _mode.planePadding()*MULT*2,
-                    height = drawState.extents[1][1] - drawState.extents[1][0] + _mode.planePadding()*MULT*2;
+                var width = extents[0][1] - extents[0][0] + _mode.planePadding()*MULT*2,
+                    height = extents[1][1] - extents[1][0] + _mode.planePadding()*MULT*2;
                 var delGeom;
                 var shape = new THREE.Shape();
                 shape.moveTo(0, 0);
@@ -70,11 +70,11 @@ dc_graph.annotate_layers = function() {
                     var mesh = _planes[i].mesh = new THREE.Mesh(_planeGeometry, new THREE.MeshStandardMaterial({
                         opacity: _mode.planeOpacity(),
                         transparent: true,
-                        color: _mode.parent().renderer().color_to_int(_mode.planeColor()),
+                        color: renderer.color_to_int(_mode.planeColor()),
                         side: THREE.DoubleSide
                     }));
-                    mesh.position.set(drawState.extents[0][0] - _mode.planePadding()*MULT,
-                                      drawState.extents[1][0] - _mode.planePadding()*MULT,
+                    mesh.position.set(extents[0][0] - _mode.planePadding()*MULT,
+                                      extents[1][0] - _mode.planePadding()*MULT,
                                       layer.z * MULT);
                     scene.add(mesh);
                 });
@@ -181,10 +181,18 @@ dc_graph.cola_layout = function(id) {
     }
 
     function start() {
+        var synchronous = !!_options.synchronous;
+        if(synchronous)
+            _dispatch.start();
         _d3cola.start(engine.unconstrainedIterations(),
                       engine.userConstraintIterations(),
                       engine.allConstraintsIterations(),
-                      engine.gridSnapIterations());
+                      engine.gridSnapIterations(),
+                      !synchronous);
+        // when synchronous, tick until converged instead of on a timer
+        if(synchronous) {
+            while(!_d3cola.tick()) {}
+        }
     }
 
     function stop() {
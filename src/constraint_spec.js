@@ -0,0 +1,594 @@
+/**
+ * `dc_graph.constraint_spec` compiles a declarative list of rules into cola.js constraints, as a
+ * higher-level alternative to writing a {@link dc_graph.diagram#constrain constrain} function
+ * or a {@link dc_graph.constraint_pattern constraint_pattern}. Add it to the diagram as a mode;
+ * it sets the diagram's `constrain` function, and restores the previous one when it is removed.
+ *
+ * Each rule is an object with a `type`:
+ * * `align` - give the `nodes` the same coordinate on the `axis`, as in cola, so `'x'` puts
+ * them in a column and `'y'` in a row; with `by`, the nodes are aligned in separate groups with
+ * the same value
+ * * `order` - place the `nodes` in increasing order of `by` along the `axis`, at least `gap`
+ * apart; nodes with the same value are not ordered among themselves. With `align`, nodes with
+ * the same value are also aligned on the `axis`, like ranks
+ * * `gap` - place each of the `left` nodes at least `gap` before each of the `right` nodes on
+ * the `axis`, or exactly `gap` if `equality` is set; with `connected`, only pairs of nodes which
+ * have an edge between them. With `align`, the `left` nodes are aligned on the `axis`, and so
+ * are the `right` nodes
+ *
+ * `order` and `gap` separate every pair of nodes in adjacent groups, so the number of
+ * constraints grows with the product of the group sizes, and an issue is reported when it is
+ * large. `align` needs only one alignment per group and one separation between groups.
+ * * `circle` - place the `nodes` on a circle, `distance` apart; with `by`, one circle per value
+ * * `contain` - keep each of the `nodes` inside a `container` node, `padding` from its edges.
+ * With `by`, each node goes only into the container whose key is its value of `by`. The
+ * container is an ordinary node, which is drawn larger than its contents, so this is usually
+ * combined with `avoidOverlaps(false)`
+ *
+ * Node selections (`nodes`, `left`, `right`, `container`) are attribute expressions, which are
+ * matched against the node's value, e.g. `"type == 'server'"`, `"rank >= 2 && !hidden"`, or
+ * just `"server"` for a truthy attribute; they can also be an object of attribute values to
+ * match, like `{type: ['server', 'router']}`, or a function of the node. If omitted, all nodes
+ * are selected. `by` is an attribute name or a function of the node.
+ *
+ * Mistakes in the spec throw errors when the spec is created. Each time the diagram is drawn,
+ * the rules are also checked against the data, and `issues` are reported for rules which select
+ * no nodes, nodes without a value for `by`, nodes on both sides of a gap, nodes which are bigger
+ * than their containers, and so on. After the layout ends, each constraint is checked against the
+ * node positions, and those which are off by more than `tolerance` are reported as
+ * `unsatisfied`, since cola doesn't report the constraints it could not satisfy.
+ *
+ * The report is an object `{issues, constraints, unsatisfied}`, where `issues` and `unsatisfied`
+ * are arrays of `{rule, type, message, nodes}` and `constraints` is the number of constraints
+ * generated. It is passed to the `validated` event when the constraints are generated, and to the
+ * `checked` event after the layout ends, and is available from `.report()`.
+ * @class constraint_spec
+ * @memberof dc_graph
+ * @param {Array} spec - the rules
+ * @return {dc_graph.constraint_spec}
+ * @example
+ * diagram.child('constraints', dc_graph.constraint_spec([
+ *     {type: 'align', axis: 'x', nodes: "kind == 'host'", by: 'rack'},
+ *     {type: 'order', axis: 'y', nodes: "kind == 'host'", by: 'rack', gap: 80},
+ *     {type: 'gap', axis: 'y', left: "kind == 'switch'", right: "kind == 'host'", gap: 100, connected: true},
+ *     {type: 'circle', nodes: {kind: 'vm'}, by: 'host'}
+ * ]).on('checked', function(report) {
+ *     report.unsatisfied.forEach(function(u) { console.warn(u.message); });
+ * }));
+ **/
+dc_graph.constraint_spec = function(spec) {
+    var _dispatch = d3.dispatch('validated', 'checked');
+    var _rules;
+    // the constraints generated for the current layout, by node key; the diagram rewrites the
+    // cola constraints with indices, so these are kept separately for checking
+    var _generated = [];
+    var _report = null;
+    var _previousConstrain = null;
+    // more separations than this from one rule are reported as an issue
+    var MANY_PAIRS = 5000;
+
+    function fail(i, message) {
+        throw new Error('constraint_spec: rule ' + i + (spec[i] && spec[i].type ? ' (' + spec[i].type + ')' : '') +
+                        ': ' + message);
+    }
+    function literal(s) {
+        var m = /^'(.*)'$|^"(.*)"$/.exec(s);
+        if(m)
+            return m[1] !== undefined ? m[1] : m[2];
+        if(s === 'true' || s === 'false')
+            return s === 'true';
+        if(s === 'null')
+            return null;
+        return isNaN(+s) || s === '' ? s : +s;
+    }
+    function attribute(name) {
+        var path = name.split('.');
+        return function(n) {
+            return path.reduce(function(v, k) {
+                return v === undefined || v === null ? undefined : v[k];
+            }, n.value);
+        };
+    }
+    function equal(a, b) {
+        return a === b || a !== undefined && a !== null && b !== null && String(a) === String(b);
+    }
+    var comparisons = {
+        '==': equal,
+        '!=': function(a, b) { return !equal(a, b); },
+        '<': function(a, b) { return a < b; },
+        '<=': function(a, b) { return a <= b; },
+        '>': function(a, b) { return a > b; },
+        '>=': function(a, b) { return a >= b; }
+    };
+    function clause(i, text) {
+        var m = /^(!?)\s*([\w$][\w$.-]*)\s*(?:(==|!=|<=|>=|<|>)\s*([^=<>!\s].*?))?$/.exec(text.trim());
+        if(!m)
+            fail(i, 'cannot parse "' + text.trim() + '"; expected e.g. "attr", "!attr" or "attr == \'value\'"');
+        var get = attribute(m[2]);
+        if(!m[3])
+            return m[1] ? function(n) { return !get(n); } : function(n) { return !!get(n); };
+        if(m[1])
+            fail(i, 'cannot negate a comparison in "' + text.trim() + '"');
+        var compare = comparisons[m[3]], value = literal(m[4].trim());
+        return function(n) {
+            return compare(get(n), value);
+        };
+    }
+    // a node selection, as a predicate on the node's key/value
+    function selector(i, sel, what) {
+        if(sel === undefined || sel === null || sel === '*')
+            return function() { return true; };
+        if(typeof sel === 'function')
+            return sel;
+        if(typeof sel === 'string') {
+            var clauses = sel.split('&&').map(clause.bind(null, i));
+            return function(n) {
+                return clauses.every(function(c) { return c(n); });
+            };
+        }
+        if(typeof sel === 'object') {
+            var attrs = Object.keys(sel).map(function(k) {
+                return {get: attribute(k), values: Array.isArray(sel[k]) ? sel[k] : [sel[k]]};
+            });
+            return function(n) {
+                return attrs.every(function(a) {
+                    var v = a.get(n);
+                    return a.values.some(function(w) { return equal(v, w); });
+                });
+            };
+        }
+        return fail(i, what + ' must be an expression, an object or a function');
+    }
+    function accessor(i, by, what) {
+        if(by === undefined || by === null)
+            return null;
+        if(typeof by === 'function')
+            return by;
+        if(typeof by === 'string')
+            return attribute(by);
+        return fail(i, what + ' must be an attribute name or a function');
+    }
+    function axis(i, rule) {
+        if(rule.axis !== 'x' && rule.axis !== 'y')
+            fail(i, 'axis must be \'x\' or \'y\', not ' + JSON.stringify(rule.axis));
+        return rule.axis;
+    }
+    function number(i, rule, name, def) {
+        var v = rule[name] === undefined ? def : rule[name];
+        if(typeof v !== 'number' || isNaN(v))
+            fail(i, name + ' must be a number, not ' + JSON.stringify(rule[name]));
+        return v;
+    }
+
+    function compile(spec) {
+        if(!Array.isArray(spec))
+            throw new Error('constraint_spec: the spec must be an array of rules');
+        return spec.map(compile_rule);
+    }
+    function compile_rule(rule, i) {
+        if(!rule || typeof rule !== 'object')
+            fail(i, 'a rule must be an object');
+        var r = {index: i, type: rule.type};
+        switch(rule.type) {
+        case 'align':
+            r.axis = axis(i, rule);
+            r.nodes = selector(i, rule.nodes, 'nodes');
+            r.by = accessor(i, rule.by, 'by');
+            break;
+        case 'order':
+            r.axis = axis(i, rule);
+            r.nodes = selector(i, rule.nodes, 'nodes');
+            r.by = accessor(i, rule.by, 'by');
+            if(!r.by)
+                fail(i, 'needs `by`, the value to order the nodes by');
+            r.gap = number(i, rule, 'gap', 60);
+            r.align = !!rule.align;
+            break;
+        case 'gap':
+            r.axis = axis(i, rule);
+            if(rule.left === undefined || rule.right === undefined)
+                fail(i, 'needs both `left` and `right` nodes');
+            r.left = selector(i, rule.left, 'left');
+            r.right = selector(i, rule.right, 'right');
+            r.gap = number(i, rule, 'gap', 0);
+            r.equality = !!rule.equality;
+            r.connected = !!rule.connected;
+            r.align = !!rule.align;
+            if(r.align && r.connected)
+                fail(i, '`align` and `connected` cannot be combined');
+            break;
+        case 'circle':
+            r.nodes = selector(i, rule.nodes, 'nodes');
+            r.by = accessor(i, rule.by, 'by');
+            if(rule.distance !== undefined)
+                r.distance = number(i, rule, 'distance');
+            break;
+        case 'contain':
+            if(rule.container === undefined)
+                fail(i, 'needs a `container` selection');
+            r.container = selector(i, rule.container, 'container');
+            r.nodes = selector(i, rule.nodes, 'nodes');
+            r.by = accessor(i, rule.by, 'by');
+            r.padding = number(i, rule, 'padding', 10);
+            break;
+        default:
+            fail(i, 'unknown type ' + JSON.stringify(rule.type) + '; expected align, order, gap, circle or contain');
+        }
+        return r;
+    }
+
+    _rules = compile(spec);
+
+    // nodes by their value of `by`, as {value, keys}
+    function group_by(nodes, by, key) {
+        var groups = {};
+        nodes.forEach(function(n) {
+            var v = by(n.orig);
+            if(v === undefined || v === null)
+                return;
+            (groups[v] = groups[v] || {value: v, keys: []}).keys.push(key(n));
+        });
+        return d3.values(groups);
+    }
+
+    function generate(diagram, nodes, edges) {
+        var constraints = [], issues = [];
+        var key = diagram.nodeKey.eval;
+        _generated = [];
+        function issue(r, message, items) {
+            issues.push({
+                rule: r.index,
+                type: r.type,
+                message: 'rule ' + r.index + ' (' + r.type + '): ' + message,
+                nodes: items || []
+            });
+        }
+        function select(r, pred, what) {
+            var sel = nodes.filter(function(n) {
+                return pred(n.orig);
+            });
+            if(!sel.length)
+                issue(r, 'no nodes match ' + what);
+            return sel;
+        }
+        function unvalued(r, sel) {
+            var missing = sel.filter(function(n) {
+                var v = r.by(n.orig);
+                return v === undefined || v === null;
+            }).map(key);
+            if(missing.length)
+                issue(r, missing.length + ' of ' + sel.length + ' nodes have no value for `by` and are left out', missing);
+        }
+        function alignment(r, axis, members) {
+            constraints.push({
+                type: 'alignment',
+                axis: axis,
+                offsets: members.map(function(k) {
+                    return {node: k, offset: 0};
+                })
+            });
+            _generated.push({rule: r, kind: 'alignment', axis: axis, nodes: members});
+        }
+        function many_pairs(r, count) {
+            if(count > MANY_PAIRS)
+                issue(r, count + ' pairs of nodes are separated, which may slow down the layout;' +
+                      ' `align: true` needs far fewer constraints');
+        }
+        function separation(r, axis, left, right, gap, equality, message) {
+            var c = {axis: axis, left: left, right: right, gap: gap};
+            if(equality)
+                c.equality = true;
+            constraints.push(c);
+            _generated.push({
+                rule: r,
+                kind: 'separation',
+                axis: axis,
+                left: left,
+                right: right,
+                gap: gap,
+                equality: !!equality,
+                message: message
+            });
+        }
+        var engine = diagram.layoutEngine();
+        if(engine && engine.layoutAlgorithm() !== 'cola')
+            issues.push({
+                rule: null,
+                type: null,
+                message: 'constraints are only used by the cola engine, not ' + engine.layoutAlgorithm(),
+                nodes: []
+            });
+
+        function generate_rule(r) {
+            var sel, groups;
+            switch(r.type) {
+            case 'align':
+                sel = select(r, r.nodes, 'nodes');
+                if(r.by)
+                    unvalued(r, sel);
+                groups = r.by ? group_by(sel, r.by, key) : [{keys: sel.map(key)}];
+                groups.forEach(function(g) {
+                    if(g.keys.length > 1)
+                        alignment(r, r.axis, g.keys);
+                });
+                break;
+            case 'order':
+                sel = select(r, r.nodes, 'nodes');
+                unvalued(r, sel);
+                groups = group_by(sel, r.by, key).sort(function(a, b) {
+                    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+                });
+                if(r.align) {
+                    // with each group aligned, separating one node of each is enough
+                    groups.forEach(function(g, i) {
+                        if(g.keys.length > 1)
+                            alignment(r, r.axis, g.keys);
+                        if(i > 0) {
+                            var before = groups[i-1];
+                            separation(r, r.axis, before.keys[0], g.keys[0], r.gap, false,
+                                       before.value + ' should be before ' + g.value);
+                        }
+                    });
+                    break;
+                }
+                var count = 0;
+                groups.slice(1).forEach(function(after, i) {
+                    var before = groups[i];
+                    before.keys.forEach(function(k1) {
+                        after.keys.forEach(function(k2) {
+                            separation(r, r.axis, k1, k2, r.gap, false,
+                                       k1 + ' (' + before.value + ') should be before ' + k2 + ' (' + after.value + ')');
+                            ++count;
+                        });
+                    });
+                });
+                many_pairs(r, count);
+                break;
+            case 'gap':
+                var lefts = select(r, r.left, 'left').map(key),
+                    rights = select(r, r.right, 'right').map(key),
+                    both = lefts.filter(function(k) { return rights.indexOf(k) >= 0; });
+                if(both.length)
+                    issue(r, both.length + ' nodes match both left and right and are left out', both);
+                var only = function(k) { return both.indexOf(k) < 0; },
+                    how = (r.equality ? 'exactly ' : 'at least ') + r.gap + ' before ';
+                lefts = lefts.filter(only);
+                rights = rights.filter(only);
+                if(!lefts.length || !rights.length)
+                    break;
+                if(r.align) {
+                    // as with order, align each side and separate one node of each
+                    if(lefts.length > 1)
+                        alignment(r, r.axis, lefts);
+                    if(rights.length > 1)
+                        alignment(r, r.axis, rights);
+                    separation(r, r.axis, lefts[0], rights[0], r.gap, r.equality,
+                               'left nodes should be ' + how + 'right nodes');
+                    break;
+                }
+                if(!r.connected) {
+                    lefts.forEach(function(k1) {
+                        rights.forEach(function(k2) {
+                            separation(r, r.axis, k1, k2, r.gap, r.equality, k1 + ' should be ' + how + k2);
+                        });
+                    });
+                    many_pairs(r, lefts.length * rights.length);
+                    break;
+                }
+                var leftSet = d3.set(lefts), rightSet = d3.set(rights), pairs = d3.set();
+                edges.forEach(function(e) {
+                    var k1 = diagram.edgeSource.eval(e), k2 = diagram.edgeTarget.eval(e);
+                    if(rightSet.has(k1) && leftSet.has(k2)) {
+                        var t = k1; k1 = k2; k2 = t;
+                    }
+                    else if(!(leftSet.has(k1) && rightSet.has(k2)))
+                        return;
+                    var pair = JSON.stringify([k1, k2]);
+                    if(pairs.has(pair))
+                        return;
+                    pairs.add(pair);
+                    separation(r, r.axis, k1, k2, r.gap, r.equality, k1 + ' should be ' + how + k2);
+                });
+                if(pairs.empty())
+                    issue(r, 'no pairs of left and right nodes are connected');
+                break;
+            case 'circle':
+                sel = select(r, r.nodes, 'nodes');
+                if(r.by)
+                    unvalued(r, sel);
+                groups = r.by ? group_by(sel, r.by, key) : [{keys: sel.map(key)}];
+                groups.forEach(function(g) {
+                    var members = g.keys;
+                    if(members.length < 3) {
+                        issue(r, 'a circle needs at least 3 nodes, but ' + (r.by ? g.value : 'the selection') +
+                              ' has ' + members.length, members);
+                        return;
+                    }
+                    var c = {
+                        type: 'circle',
+                        nodes: members.map(function(k) {
+                            return {node: k};
+                        })
+                    };
+                    if(r.distance !== undefined)
+                        c.distance = r.distance;
+                    constraints.push(c);
+                    _generated.push({rule: r, kind: 'circle', nodes: members});
+                });
+                break;
+            case 'contain':
+                var containers = select(r, r.container, 'container'),
+                    ckeys = containers.map(key);
+                sel = nodes.filter(function(n) {
+                    return ckeys.indexOf(key(n)) < 0 && r.nodes(n.orig);
+                });
+                if(r.by)
+                    unvalued(r, sel);
+                containers.forEach(function(k) {
+                    var kkey = key(k), inside = r.by ? sel.filter(function(n) {
+                        return equal(r.by(n.orig), kkey);
+                    }) : sel;
+                    inside.forEach(function(n) {
+                        var nkey = key(n);
+                        ['x', 'y'].forEach(function(axis) {
+                            var size = axis === 'x' ? 'width' : 'height',
+                                gap = r.padding + (n.cola[size] - k.cola[size])/2;
+                            if(gap > 0)
+                                issue(r, nkey + ' is too ' + (axis === 'x' ? 'wide' : 'tall') + ' to fit in ' + kkey, [nkey]);
+                            separation(r, axis, kkey, nkey, gap, false, nkey + ' should be inside ' + kkey);
+                            separation(r, axis, nkey, kkey, gap, false, nkey + ' should be inside ' + kkey);
+                        });
+                    });
+                });
+                if(r.by) {
+                    var orphans = sel.filter(function(n) {
+                        var v = r.by(n.orig);
+                        return v !== undefined && v !== null && !ckeys.some(function(k) { return equal(v, k); });
+                    }).map(key);
+                    if(orphans.length)
+                        issue(r, orphans.length + ' nodes refer to containers which do not exist', orphans);
+                }
+                break;
+            }
+        }
+        _rules.forEach(generate_rule);
+        _report = {
+            issues: issues,
+            constraints: constraints.length,
+            unsatisfied: null
+        };
+        if(_mode.log())
+            issues.forEach(function(iss) {
+                console.warn('constraint_spec: ' + iss.message, iss.nodes);
+            });
+        _dispatch.validated(_report);
+        return constraints;
+    }
+
+    function check(diagram) {
+        if(!_report)
+            return;
+        var tol = _mode.tolerance(), unsatisfied = [];
+        function pos(k) {
+            var n = diagram.getWholeNode(k);
+            return n && n.cola;
+        }
+        function report(g, message, nodes) {
+            unsatisfied.push({
+                rule: g.rule.index,
+                type: g.rule.type,
+                message: 'rule ' + g.rule.index + ' (' + g.rule.type + '): ' + message,
+                nodes: nodes
+            });
+        }
+        function check_constraint(g) {
+            var ps;
+            switch(g.kind) {
+            case 'alignment':
+                ps = g.nodes.map(pos);
+                if(!ps.every(Boolean))
+                    return;
+                var coords = ps.map(function(p) { return p[g.axis]; }),
+                    spread = d3.max(coords) - d3.min(coords);
+                if(spread > tol)
+                    report(g, g.nodes.length + ' nodes are not aligned on ' + g.axis + ' (off by ' + spread.toFixed(1) + ')', g.nodes);
+                break;
+            case 'separation':
+                var l = pos(g.left), r = pos(g.right);
+                if(!l || !r)
+                    return;
+                var d = r[g.axis] - l[g.axis] - g.gap;
+                if(g.equality ? Math.abs(d) > tol : d < -tol)
+                    report(g, g.message + ' on ' + g.axis + ' (off by ' + Math.abs(d).toFixed(1) + ')', [g.left, g.right]);
+                break;
+            case 'circle':
+                ps = g.nodes.map(pos);
+                if(!ps.every(Boolean))
+                    return;
+                var cx = d3.mean(ps, function(p) { return p.x; }), cy = d3.mean(ps, function(p) { return p.y; }),
+                    radii = ps.map(function(p) { return Math.hypot(p.x - cx, p.y - cy); }),
+                    mean = d3.mean(radii),
+                    off = d3.max(radii, function(rad) { return Math.abs(rad - mean); });
+                // circles come from edge lengths, which are not exact, so allow 10%
+                if(off > Math.max(tol, mean/10))
+                    report(g, g.nodes.length + ' nodes are not on a circle (radius ' + mean.toFixed(1) +
+                           ', off by ' + off.toFixed(1) + ')', g.nodes);
+                break;
+            }
+        }
+        _generated.forEach(check_constraint);
+        _report.unsatisfied = unsatisfied;
+        if(_mode.log())
+            unsatisfied.forEach(function(u) {
+                console.warn('constraint_spec: ' + u.message, u.nodes);
+            });
+        _dispatch.checked(_report);
+    }
+
+    var _mode = {
+        parent: property(null).react(function(p) {
+            if(p) {
+                _previousConstrain = p.constrain();
+                p.constrain(generate);
+                p.on('end.constraint-spec', function() {
+                    check(p);
+                });
+            } else if(_mode.parent()) {
+                _mode.parent().constrain(_previousConstrain);
+                _mode.parent().on('end.constraint-spec', null);
+                _previousConstrain = null;
+            }
+        }),
+        supportsRenderer: function(rendererType) {
+            return true;
+        },
+        /**
+         * Subscribe to the `validated(report)` event, which fires when the constraints are
+         * generated, or the `checked(report)` event, which fires after the layout ends.
+         * @method on
+         * @memberof dc_graph.constraint_spec
+         * @instance
+         * @param {String} event
+         * @param {Function} [f]
+         * @return {dc_graph.constraint_spec}
+         **/
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        /**
+         * The report for the current layout, or null if no constraints have been generated yet;
+         * `unsatisfied` is null until the layout ends.
+         * @method report
+         * @memberof dc_graph.constraint_spec
+         * @instance
+         * @return {Object}
+         **/
+        report: function() {
+            return _report;
+        }
+    };
+    /**
+     * How far in pixels a node may be from where a constraint puts it before the constraint is
+     * reported as unsatisfied.
+     * @method tolerance
+     * @memberof dc_graph.constraint_spec
+     * @instance
+     * @param {Number} [tolerance=1]
+     * @return {Number|dc_graph.constraint_spec}
+     **/
+    _mode.tolerance = property(1);
+    /**
+     * Whether to print issues and unsatisfied constraints to the console.
+     * @method log
+     * @memberof dc_graph.constraint_spec
+     * @instance
+     * @param {Boolean} [log=true]
+     * @return {Boolean|dc_graph.constraint_spec}
+     **/
+    _mode.log = property(true);
+
+    return _mode;
+};
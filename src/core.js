@@ -175,6 +175,19 @@ function uuid() {
     });
 }
 
+// cubic bezier control points for a smooth curve through the points (catmull-rom),
+// in the form used for edge `points`
+function bezier_through(points) {
+    var ret = [points[0]], n = points.length;
+    for(var i = 0; i < n - 1; ++i) {
+        var p0 = points[Math.max(i-1, 0)], p1 = points[i], p2 = points[i+1], p3 = points[Math.min(i+2, n-1)];
+        ret.push({x: p1.x + (p2.x - p0.x)/6, y: p1.y + (p2.y - p0.y)/6},
+                 {x: p2.x - (p3.x - p1.x)/6, y: p2.y - (p3.y - p1.y)/6},
+                 p2);
+    }
+    return ret;
+}
+
 function is_ie() {
     var ua = window.navigator.userAgent;
 
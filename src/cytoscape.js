@@ -0,0 +1,143 @@
+// cytoscape.js elements json reader and writer
+// https://js.cytoscape.org/#notation/elements-json
+
+function is_cytoscape(data) {
+    return !!(data && typeof data === 'object' && data.elements &&
+              (Array.isArray(data.elements) || data.elements.nodes));
+}
+
+// nodes which are the parent of another node are compound nodes, i.e. clusters
+function process_cytoscape(data) {
+    var elements = data.elements, cnodes, cedges;
+    if(Array.isArray(elements)) {
+        var is_edge = function(el) {
+            return el.group ? el.group === 'edges' : el.data && el.data.source !== undefined;
+        };
+        cnodes = elements.filter(function(el) { return !is_edge(el); });
+        cedges = elements.filter(is_edge);
+    }
+    else {
+        cnodes = elements.nodes || [];
+        cedges = elements.edges || [];
+    }
+    var parents = d3.set(cnodes.map(function(n) {
+        return n.data && n.data.parent;
+    }).filter(function(p) {
+        return p !== undefined && p !== null;
+    }));
+    var nodes = [], edges = [], node_cluster = {}, clusters = [], node_index = {};
+    cnodes.forEach(function(n) {
+        var data = n.data || {}, name = data.id, parent = data.parent !== undefined ? data.parent : null;
+        var row = Object.assign({}, data);
+        delete row.parent;
+        if(n.position) {
+            row.x = n.position.x;
+            row.y = n.position.y;
+        }
+        if(n.classes)
+            row.classes = n.classes;
+        if(parents.has(name))
+            clusters.push(Object.assign(row, {parent: parent, key: name}));
+        else {
+            node_index[name] = nodes.length;
+            nodes.push(Object.assign(row, {id: nodes.length, name: name}));
+            node_cluster[name] = parent;
+        }
+    });
+    cedges.forEach(function(e) {
+        var data = e.data || {};
+        var row = Object.assign({}, data, {
+            sourcename: data.source,
+            targetname: data.target,
+            source: node_index[data.source],
+            target: node_index[data.target]
+        });
+        if(data.id !== undefined)
+            row.key = data.id;
+        if(e.classes)
+            row.classes = e.classes;
+        edges.push(row);
+    });
+    return {
+        nodes: nodes,
+        links: edges,
+        node_cluster: node_cluster,
+        clusters: clusters,
+        graph: data.data || {}
+    };
+}
+
+// copy the fields of a value which can be written as json data
+function json_fields(value, omit) {
+    var ret = {};
+    if(!value || typeof value !== 'object')
+        return ret;
+    Object.keys(value).forEach(function(k) {
+        var v = value[k];
+        if(omit.includes(k) || v === undefined || typeof v === 'function')
+            return;
+        ret[k] = v;
+    });
+    return ret;
+}
+
+/**
+ * Convert the nodes, edges and clusters currently displayed in a diagram to Cytoscape.js
+ * elements JSON, which can be read back with {@link dc_graph.load_graph load_graph} or passed to
+ * `cytoscape({elements: ...})`.
+ *
+ * Clusters become compound nodes, with `parent` from `nodeParentCluster` and `clusterParent`,
+ * and node positions from the last layout are written as `position`.
+ * @method export_cytoscape
+ * @memberof dc_graph
+ * @param {dc_graph.diagram} diagram
+ * @return {Object} `{elements: {nodes, edges}}`; use `JSON.stringify` to write it out
+ **/
+dc_graph.export_cytoscape = function(diagram) {
+    var nodes = diagram.nodeGroup().all().map(function(n) {
+        return diagram.getWholeNode(n.key);
+    }).filter(function(n) { return n; });
+    var edges = diagram.edgeGroup().all().map(function(e) {
+        return diagram.getWholeEdge(e.key);
+    }).filter(function(e) { return e; });
+    var clusters = diagram.clusterGroup() ? diagram.clusterGroup().all().map(function(c) {
+        return diagram.getWholeCluster(c.key);
+    }).filter(function(c) { return c; }) : [];
+
+    var structural = ['id', 'name', 'key', 'parent', 'source', 'target', 'sourcename', 'targetname', 'x', 'y'];
+    function parent_cluster(key) {
+        return key && diagram.getWholeCluster(key) ? key : undefined;
+    }
+    var cnodes = clusters.map(function(c) {
+        return {
+            data: Object.assign(json_fields(c.orig.value, structural), {
+                id: diagram.clusterKey.eval(c),
+                parent: parent_cluster(diagram.clusterParent.eval(c))
+            })
+        };
+    }).concat(nodes.map(function(n) {
+        var node = {
+            data: Object.assign(json_fields(n.orig.value, structural), {
+                id: diagram.nodeKey.eval(n),
+                parent: parent_cluster(diagram.nodeParentCluster.eval(n))
+            })
+        };
+        if(n.cola && !isNaN(n.cola.x) && !isNaN(n.cola.y))
+            node.position = {x: n.cola.x, y: n.cola.y};
+        return node;
+    }));
+    cnodes.forEach(function(n) {
+        if(n.data.parent === undefined)
+            delete n.data.parent;
+    });
+    var cedges = edges.map(function(e) {
+        return {
+            data: Object.assign(json_fields(e.orig.value, structural), {
+                id: diagram.edgeKey.eval(e),
+                source: diagram.edgeSource.eval(e),
+                target: diagram.edgeTarget.eval(e)
+            })
+        };
+    });
+    return {elements: {nodes: cnodes, edges: cedges}};
+};
@@ -54,7 +54,14 @@ dc_graph.d3v4_force_layout = function(id) {
             if(v.dcg_nodeFixed) {
                 v1.fx = v.dcg_nodeFixed.x;
                 v1.fy = v.dcg_nodeFixed.y;
-            } else v1.fx = v1.fy = null;
+            } else {
+                v1.fx = v1.fy = null;
+                // start from the given position, if any
+                if(v.x !== undefined)
+                    v1.x = v.x;
+                if(v.y !== undefined)
+                    v1.y = v.y;
+            }
         });
 
         _wedges = regenerate_objects(_edges, edges, null, function(e) {
@@ -3,6 +3,9 @@
  *
  * In addition to the below layout attributes, `dagre_layout` also implements the attributes from
  * {@link dc_graph.graphviz_attrs graphviz_attrs}
+ *
+ * Edges follow the routes that dagre computes for them, including the paths of long edges
+ * around intermediate ranks and the spacing of parallel edges.
  * @class dagre_layout
  * @memberof dc_graph
  * @param {String} [id=uuid()] - Unique identifier
@@ -10,18 +13,28 @@
  **/
 dc_graph.dagre_layout = function(id) {
     var _layoutId = id || uuid();
-    var _dagreGraph = null, _tick, _done;
+    var _dagreGraph = null, _options = null, _tick, _done;
     var _dispatch = d3.dispatch('tick', 'start', 'end');
     // node and edge objects preserved from one iteration
     // to the next (as long as the object is still in the layout)
     var _nodes = {}, _edges = {};
+    // the invisible nodes which implement rank constraints
+    var _rankNodes = [];
+    // strong enough to pull nodes onto the same rank, except where edges require otherwise
+    var RANK_WEIGHT = 100;
 
     function init(options) {
         // Create a new directed graph
         _dagreGraph = new dagre.graphlib.Graph({multigraph: true, compound: true});
 
         // Set an object for the graph label
-        _dagreGraph.setGraph({rankdir: options.rankdir, nodesep: options.nodesep, ranksep: options.ranksep});
+        _dagreGraph.setGraph({
+            rankdir: options.rankdir,
+            nodesep: options.nodesep,
+            edgesep: options.edgesep,
+            ranksep: options.ranksep,
+            ranker: options.ranker
+        });
 
         // Default to assigning a new object as a label for each new edge.
         _dagreGraph.setDefaultEdgeLabel(function() { return {}; });
@@ -52,11 +65,11 @@ dc_graph.dagre_layout = function(id) {
             e1.dcg_edgeKey = e.dcg_edgeKey;
             e1.dcg_edgeSource = e.dcg_edgeSource;
             e1.dcg_edgeTarget = e.dcg_edgeTarget;
-        }, function(k, o, e) {
-            _dagreGraph.setEdge(e.dcg_edgeSource, e.dcg_edgeTarget, o);
-        }, function(k, e) {
-            _dagreGraph.removeEdge(e.dcg_edgeSource, e.dcg_edgeTarget, e.dcg_edgeKey);
+        }, null, function(k, e) {
+            _dagreGraph.removeEdge(e.dcg_edgeSource, e.dcg_edgeTarget, k);
+            _dagreGraph.removeEdge(e.dcg_edgeTarget, e.dcg_edgeSource, k);
         });
+        constrain_ranks(nodes, wedges);
         clusters = clusters.filter(function(c) {
             return /^cluster/.test(c.dcg_clusterKey);
         });
@@ -76,7 +89,14 @@ dc_graph.dagre_layout = function(id) {
             _dispatch[event](
                 wnodes,
                 wedges.map(function(e) {
-                    return {dcg_edgeKey: e.dcg_edgeKey};
+                    var re = {dcg_edgeKey: e.dcg_edgeKey};
+                    if(_options.edgeRoutes && e.points && e.points.length > 1) {
+                        var points = e.points.slice();
+                        if(e.dcg_reversed)
+                            points.reverse();
+                        re.points = bezier_through(points);
+                    }
+                    return re;
                 }),
                 clusters.map(function(c) {
                     var c = Object.assign({}, _dagreGraph.node(c.dcg_clusterKey));
@@ -98,9 +118,169 @@ dc_graph.dagre_layout = function(id) {
         };
     }
 
+    // dagre does not support rank constraints directly, so we add invisible nodes and edges
+    // to implement them. the nodes of a same-rank group all get a heavy edge from one helper
+    // node, which pulls them onto the rank below it. edges into min-rank nodes and out of
+    // max-rank nodes are reversed, and after breaking any cycles, the min (max) helper also
+    // gets a weightless edge to (from) each source (sink) so that no node is above (below).
+    function constrain_ranks(nodes, wedges) {
+        _rankNodes.forEach(function(k) {
+            _dagreGraph.removeNode(k);
+        });
+        _rankNodes = [];
+        var same = {}, min = {}, max = {}, mins = [], maxes = [];
+        nodes.forEach(function(n) {
+            var k = n.dcg_nodeKey;
+            if(n.dcg_rankMin) {
+                min[k] = true;
+                mins.push(k);
+            }
+            else if(n.dcg_rankMax) {
+                max[k] = true;
+                maxes.push(k);
+            }
+            else if(n.dcg_rankSame !== undefined && n.dcg_rankSame !== null) {
+                var g = same[n.dcg_rankSame] = same[n.dcg_rankSame] || [];
+                g.push(k);
+            }
+        });
+        var out = {};
+        wedges.forEach(function(e) {
+            var v = e.dcg_edgeSource, w = e.dcg_edgeTarget;
+            e.dcg_reversed = v !== w && !!(min[w] && !min[v] || max[v] && !max[w]);
+            if(e.dcg_reversed) {
+                v = e.dcg_edgeTarget;
+                w = e.dcg_edgeSource;
+            }
+            if(v !== w)
+                (out[v] = out[v] || []).push(e);
+        });
+        if(mins.length || maxes.length) {
+            // depth-first search from the min-rank nodes, reversing back edges
+            var state = {};
+            var visit = function(v) {
+                state[v] = 1;
+                (out[v] || []).forEach(function(e) {
+                    var w = e.dcg_reversed ? e.dcg_edgeSource : e.dcg_edgeTarget;
+                    if(state[w] === 1)
+                        e.dcg_reversed = !e.dcg_reversed;
+                    else if(!state[w])
+                        visit(w);
+                });
+                state[v] = 2;
+            };
+            mins.concat(nodes.map(function(n) { return n.dcg_nodeKey; })).forEach(function(k) {
+                if(!state[k])
+                    visit(k);
+            });
+        }
+        var hasIn = {}, hasOut = {}, succs = {};
+        wedges.forEach(function(e) {
+            var v = e.dcg_reversed ? e.dcg_edgeTarget : e.dcg_edgeSource,
+                w = e.dcg_reversed ? e.dcg_edgeSource : e.dcg_edgeTarget;
+            if(!_dagreGraph.hasEdge(v, w, e.dcg_edgeKey)) {
+                _dagreGraph.removeEdge(w, v, e.dcg_edgeKey);
+                _dagreGraph.setEdge(v, w, e, e.dcg_edgeKey);
+            }
+            if(v !== w) {
+                hasOut[v] = true;
+                hasIn[w] = true;
+                (succs[v] = succs[v] || []).push(w);
+            }
+        });
+        // dagre breaks cycles by reversing the back edges of a depth-first search; leave those
+        // out when looking for paths between nodes
+        var forward = {}, searched = {};
+        function search(v) {
+            searched[v] = 1;
+            (succs[v] || []).forEach(function(w) {
+                if(searched[w] === 1)
+                    return;
+                (forward[v] = forward[v] || []).push(w);
+                if(!searched[w])
+                    search(w);
+            });
+            searched[v] = 2;
+        }
+        nodes.forEach(function(n) {
+            if(!searched[n.dcg_nodeKey])
+                search(n.dcg_nodeKey);
+        });
+        // whether any of the keys can be reached by following edges from key
+        function reaches(key, keys) {
+            var seen = {}, stack = (forward[key] || []).slice();
+            while(stack.length) {
+                var k = stack.pop();
+                if(keys.indexOf(k) >= 0)
+                    return true;
+                if(!seen[k]) {
+                    seen[k] = true;
+                    Array.prototype.push.apply(stack, forward[k] || []);
+                }
+            }
+            return false;
+        }
+        function rank_node(name) {
+            var k = '_dcg_rank_' + name;
+            _dagreGraph.setNode(k, {width: 0, height: 0});
+            _rankNodes.push(k);
+            return k;
+        }
+        function rank_edge(v, w, weight) {
+            _dagreGraph.setEdge(v, w, {minlen: 1, weight: weight});
+        }
+        Object.keys(same).forEach(function(g) {
+            if(same[g].some(function(k) { return reaches(k, same[g]); })) {
+                console.warn('dagre_layout: ignoring rankSame group ' + g +
+                             ', because a path of edges connects some of its nodes');
+                return;
+            }
+            var h = rank_node('same_' + g);
+            same[g].forEach(function(k) {
+                rank_edge(h, k, RANK_WEIGHT);
+            });
+        });
+        var hmin = mins.length && rank_node('min'), hmax = maxes.length && rank_node('max');
+        nodes.forEach(function(n) {
+            var k = n.dcg_nodeKey;
+            if(hmin && (min[k] || !hasIn[k]))
+                rank_edge(hmin, k, min[k] ? RANK_WEIGHT : 0);
+            if(hmax && (max[k] || !hasOut[k]))
+                rank_edge(k, hmax, max[k] ? RANK_WEIGHT : 0);
+        });
+    }
+
+    // the helper nodes may sit on a rank of their own at the edge of the layout; move the
+    // real nodes back to the origin, where they would be without the helpers
+    function trim_rank_nodes() {
+        var real = _dagreGraph.nodes().filter(function(k) {
+            return _rankNodes.indexOf(k) < 0;
+        }).map(function(k) {
+            return _dagreGraph.node(k);
+        });
+        if(!real.length)
+            return;
+        var dx = d3.min(real, function(n) { return n.x - n.width/2; }),
+            dy = d3.min(real, function(n) { return n.y - n.height/2; });
+        if(!dx && !dy)
+            return;
+        real.forEach(function(n) {
+            n.x -= dx;
+            n.y -= dy;
+        });
+        _dagreGraph.edges().forEach(function(e) {
+            (_dagreGraph.edge(e).points || []).forEach(function(p) {
+                p.x -= dx;
+                p.y -= dy;
+            });
+        });
+    }
+
     function start(options) {
         _dispatch.start();
         dagre.layout(_dagreGraph);
+        if(_rankNodes.length)
+            trim_rank_nodes();
         _done();
     }
 
@@ -126,8 +306,10 @@ dc_graph.dagre_layout = function(id) {
         },
         init: function(options) {
             this.optionNames().forEach(function(option) {
-                options[option] = options[option] || this[option]();
+                if(options[option] === undefined)
+                    options[option] = this[option]();
             }.bind(this));
+            _options = options;
             init(options);
             return this;
         },
@@ -141,10 +323,87 @@ dc_graph.dagre_layout = function(id) {
             stop();
         },
         optionNames: function() {
-            return graphviz_keys;
+            return ['edgesep', 'ranker', 'edgeRoutes'].concat(graphviz_keys);
+        },
+        passThru: function() {
+            return ['rankSame', 'rankMin', 'rankMax'];
+        },
+        populateLayoutNode: function(layout, node) {
+            if(this.rankSame())
+                layout.dcg_rankSame = this.rankSame.eval(node);
+            if(this.rankMin())
+                layout.dcg_rankMin = !!this.rankMin.eval(node);
+            if(this.rankMax())
+                layout.dcg_rankMax = !!this.rankMax.eval(node);
         },
-        populateLayoutNode: function() {},
-        populateLayoutEdge: function() {}
+        populateLayoutEdge: function() {},
+        /**
+         * Spacing in between adjacent edges, and between edges and nodes, in the same rank.
+         * @method edgesep
+         * @memberof dc_graph.dagre_layout
+         * @instance
+         * @param {Number} [edgesep=20]
+         * @return {Number}
+         * @return {dc_graph.dagre_layout}
+         **/
+        edgesep: property(20),
+        /**
+         * The algorithm dagre uses to assign nodes to ranks: `'network-simplex'`,
+         * `'tight-tree'`, or `'longest-path'`.
+         * @method ranker
+         * @memberof dc_graph.dagre_layout
+         * @instance
+         * @param {String} [ranker='network-simplex']
+         * @return {String}
+         * @return {dc_graph.dagre_layout}
+         **/
+        ranker: property('network-simplex'),
+        /**
+         * Whether edges should follow the routes computed by dagre; if false, edges are
+         * drawn by the diagram between the node positions.
+         * @method edgeRoutes
+         * @memberof dc_graph.dagre_layout
+         * @instance
+         * @param {Boolean} [edgeRoutes=true]
+         * @return {Boolean}
+         * @return {dc_graph.dagre_layout}
+         **/
+        edgeRoutes: property(true),
+        /**
+         * Function which returns a group key for a node, or `null`. Nodes with the same key are
+         * placed on the same rank, as far as the edges allow; like graphviz `rank=same`. A group
+         * whose nodes are connected by a path of edges can't share a rank, so it is ignored with
+         * a warning.
+         * @method rankSame
+         * @memberof dc_graph.dagre_layout
+         * @instance
+         * @param {Function} [rankSame=null]
+         * @return {Function}
+         * @return {dc_graph.dagre_layout}
+         **/
+        rankSame: property(null),
+        /**
+         * Function which returns true for nodes which should be placed on the minimum (first)
+         * rank; like graphviz `rank=min`. Edges into these nodes are laid out reversed.
+         * @method rankMin
+         * @memberof dc_graph.dagre_layout
+         * @instance
+         * @param {Function} [rankMin=null]
+         * @return {Function}
+         * @return {dc_graph.dagre_layout}
+         **/
+        rankMin: property(null),
+        /**
+         * Function which returns true for nodes which should be placed on the maximum (last)
+         * rank; like graphviz `rank=max`. Edges out of these nodes are laid out reversed.
+         * @method rankMax
+         * @memberof dc_graph.dagre_layout
+         * @instance
+         * @param {Function} [rankMax=null]
+         * @return {Function}
+         * @return {dc_graph.dagre_layout}
+         **/
+        rankMax: property(null)
     });
 };
 
@@ -21,7 +21,7 @@ dc_graph.diagram = function (parent, chartGroup) {
     var _diagram = dc.marginMixin({});
     _diagram.__dcFlag__ = dc.utils.uniqueId();
     _diagram.margins({left: 10, top: 10, right: 10, bottom: 10});
-    var _dispatch = d3.dispatch('preDraw', 'data', 'end', 'start', 'render', 'drawn', 'receivedLayout', 'transitionsStarted', 'zoomed', 'reset');
+    var _dispatch = d3.dispatch('preDraw', 'rawData', 'data', 'end', 'start', 'render', 'drawn', 'receivedLayout', 'transitionsStarted', 'zoomed', 'reset');
     var _nodes = {}, _edges = {}; // hold state between runs
     var _ports = {}; // id = node|edge/id/name
     var _clusters = {};
@@ -786,6 +786,19 @@ dc_graph.diagram = function (parent, chartGroup) {
      **/
     _diagram.edgeOpacity = _diagram.edgeOpacityAccessor = property(1);
 
+    /**
+     * Set or get the function which will be used to retrieve the weight of each edge. Edges
+     * lighter than the `minEdgeWeight` of the {@link dc_graph.diagram#levelOfDetail levelOfDetail}
+     * rules are not drawn when zoomed out.
+     * @method edgeWeight
+     * @memberof dc_graph.diagram
+     * @instance
+     * @param {Function|Number} [edgeWeight=1]
+     * @return {Function|Number}
+     * @return {dc_graph.diagram}
+     **/
+    _diagram.edgeWeight = property(1);
+
     /**
      * Set or get the function which will be used to retrieve the edge label text. The label is
      * displayed when an edge is hovered over. By default, uses the `edgeKey`.
@@ -1067,6 +1080,29 @@ dc_graph.diagram = function (parent, chartGroup) {
      **/
     _diagram.parallelEdgeOffset = property(10);
 
+    /**
+     * Rules for drawing less detail when the diagram is zoomed out. Each rule is a scale below
+     * which it applies, and the SVG renderer re-evaluates them whenever the diagram is zoomed:
+     * * `labels` - node, edge and port labels are hidden
+     * * `ports` - ports are drawn as dots
+     * * `parallelEdges` - each set of parallel edges is drawn as one edge, as wide as all of them
+     * * `lightEdges` - edges with an {@link dc_graph.diagram#edgeWeight edgeWeight} less than
+     * `minEdgeWeight` are hidden; parallel edges which are drawn as one weigh as much as all of
+     * them
+     *
+     * Rules which are not specified never apply. Nothing is laid out differently.
+     * @method levelOfDetail
+     * @memberof dc_graph.diagram
+     * @instance
+     * @param {Object} [levelOfDetail=null]
+     * @example
+     * // hide labels below 50% zoom, and below 25% show only edges with weight 3 or more
+     * diagram.levelOfDetail({labels: 0.5, lightEdges: 0.25, minEdgeWeight: 3});
+     * @return {Object}
+     * @return {dc_graph.diagram}
+     **/
+    _diagram.levelOfDetail = property(null);
+
     /**
      * By default, edges are added to the layout in the order that `.edgeGroup().all()` returns
      * them. If specified, `.edgeOrdering` provides an accessor that returns a key to sort the
@@ -1426,6 +1462,8 @@ dc_graph.diagram = function (parent, chartGroup) {
     _diagram.zoom = svg_specific('zoom');
     _diagram.translate = svg_specific('translate');
     _diagram.scale = svg_specific('scale');
+    _diagram.exportSVG = svg_specific('exportSVG');
+    _diagram.exportPNG = svg_specific('exportPNG');
 
     function renderer_specific(name) {
         return trace_function('trace', name + '() will have renderer-specific arguments', function() {
@@ -1561,6 +1599,14 @@ dc_graph.diagram = function (parent, chartGroup) {
         _diagram.layoutEngine().stop();
         _dispatch.preDraw();
 
+        // give modes a chance to check and repair the data before it is used
+        var raw = {nodes: nodes, edges: edges, ports: ports, clusters: clusters};
+        _dispatch.rawData(_diagram, raw);
+        nodes = raw.nodes;
+        edges = raw.edges;
+        ports = raw.ports;
+        clusters = raw.clusters;
+
         // ordering shouldn't matter, but we support ordering in case it does
         if(_diagram.nodeOrdering()) {
             nodes = crossfilter.quicksort.by(_diagram.nodeOrdering())(nodes.slice(0), 0, nodes.length);
@@ -1754,25 +1800,28 @@ dc_graph.diagram = function (parent, chartGroup) {
         // https://github.com/dc-js/dc.graph.js/issues/10
         var constraints = _diagram.constrain()(_diagram, wnodes, wedges);
 
-        // warn if there are any loops (before changing names to indices)
+        // warn if there are any loops which can't be satisfied (before changing names to indices)
         // it would be better to do this in webcola
         // (for one thing, this duplicates logic in rectangle.ts)
         // but by that time it has lost the names of things,
         // so the output would be difficult to use
+        // loops are per axis, and a loop whose gaps add up to zero or less is fine, e.g. keeping
+        // a node inside another
         var constraints_by_left = constraints.reduce(function(p, c) {
             if(c.type) {
                 switch(c.type) {
                 case 'alignment':
-                    var left = c.offsets[0].node;
+                    var left = c.axis + ':' + c.offsets[0].node;
                     p[left] = p[left] || [];
                     c.offsets.slice(1).forEach(function(o) {
-                        p[left].push({node: o.node, in_constraint: c});
+                        p[left].push({node: c.axis + ':' + o.node, in_constraint: c});
                     });
                     break;
                 }
             } else if(c.axis) {
-                p[c.left] = p[c.left] || [];
-                p[c.left].push({node: c.right, in_constraint: c});
+                var cleft = c.axis + ':' + c.left;
+                p[cleft] = p[cleft] || [];
+                p[cleft].push({node: c.axis + ':' + c.right, in_constraint: c});
             }
             return p;
         }, {});
@@ -1780,9 +1829,11 @@ dc_graph.diagram = function (parent, chartGroup) {
         function find_constraint_loops(con, stack) {
             var left = con.node;
             stack = stack || [];
-            var loop = stack.find(function(con) { return con.node === left; });
+            var loop = stack.findIndex(function(con) { return con.node === left; });
             stack = stack.concat([con]);
-            if(loop)
+            if(loop >= 0 && d3.sum(stack.slice(loop + 1), function(con) {
+                return con.in_constraint.gap || 0;
+            }) > 0)
                 console.warn('found a loop in constraints', stack);
             if(touched[left])
                 return;
@@ -1839,7 +1890,9 @@ dc_graph.diagram = function (parent, chartGroup) {
         constraints = constraints.filter(function(c) {
             return c.type !== 'circle';
         });
-        circle_constraints.forEach(function(c) {
+        // keys of the wheel edges, which the engine returns along with the real ones
+        var internal_edges = d3.set();
+        circle_constraints.forEach(function(c, ci) {
             var R = (c.distance || _diagram.baseLength()*4) / (2*Math.sin(Math.PI/c.nodes.length));
             var nindices = c.nodes.map(function(x) { return x.node; });
             var namef = function(i) {
@@ -1850,6 +1903,13 @@ dc_graph.diagram = function (parent, chartGroup) {
                         var e1 = {internal: e};
                         e1.source = _nodes[e.sourcename];
                         e1.target = _nodes[e.targetname];
+                        e1.cola = {
+                            dcg_edgeKey: 'wheel-' + ci + '-' + e.sourcename + '-' + e.targetname,
+                            dcg_edgeSource: e.sourcename,
+                            dcg_edgeTarget: e.targetname,
+                            dcg_edgeLength: e.distance
+                        };
+                        internal_edges.add(e1.cola.dcg_edgeKey);
                         return e1;
                     });
             layout_edges = layout_edges.concat(wheel);
@@ -1907,7 +1967,8 @@ dc_graph.diagram = function (parent, chartGroup) {
             redges.forEach(function(re) {
                 var e = _edges[re.dcg_edgeKey];
                 if(!e) {
-                    console.warn('received edge "' + re.dcg_edgeKey + '" that we did not send, ignored');
+                    if(!internal_edges.has(re.dcg_edgeKey))
+                        console.warn('received edge "' + re.dcg_edgeKey + '" that we did not send, ignored');
                     return;
                 }
                 if(re.points)
@@ -2346,6 +2407,9 @@ dc_graph.diagram = function (parent, chartGroup) {
      * {@link https://github.com/dc-js/dc.js/blob/develop/web/docs/api-latest.md#dc.baseMixin baseMixin}
      * method. Attaches an event handler to the diagram. The currently supported events are
      * * `start()` - layout is starting
+     * * `rawData(diagram, data)` - the contents of the node, edge, port and cluster groups are
+     * about to be used, as `data = {nodes, edges, ports, clusters}`; handlers may replace these
+     * arrays in order to repair the data, but should not modify them
      * * `drawn(nodes, edges)` - the node and edge elements have been rendered to the screen
      * and can be modified through the passed d3 selections.
      * * `end()` - diagram layout has completed.
@@ -0,0 +1,81 @@
+/**
+ * `dc_graph.draw_basemap` draws a map under the nodes and edges, using the projection of the
+ * diagram's {@link dc_graph.geo_layout geo_layout} engine. The map is GeoJSON, or TopoJSON if
+ * topojson.js is loaded, which has already been loaded by the page; no tiles are fetched.
+ * @class draw_basemap
+ * @memberof dc_graph
+ * @example
+ * d3.json('countries.geo.json', function(error, countries) {
+ *     diagram
+ *         .layoutEngine(dc_graph.geo_layout().projection('equirectangular').fitTo(countries))
+ *         .child('basemap', dc_graph.draw_basemap().basemap(countries))
+ *         .render();
+ * });
+ * @return {dc_graph.draw_basemap}
+ **/
+dc_graph.draw_basemap = function() {
+    function draw(diagram) {
+        var engine = diagram.layoutEngine(),
+            projection = engine && engine.currentProjection && engine.currentProjection(),
+            features = geo_features(_mode.basemap(), _mode.basemapObject());
+        var layer = diagram.g().selectAll('g.basemap-layer').data(projection && features ? [0] : []);
+        layer.exit().remove();
+        layer.enter().insert('g', ':first-child')
+            .attr('class', 'basemap-layer');
+        // keep the map under everything else, including clusters
+        layer.each(function() {
+            if(this.parentNode.firstChild !== this)
+                this.parentNode.insertBefore(this, this.parentNode.firstChild);
+        });
+        if(!projection || !features)
+            return;
+        var path = d3.geo.path().projection(projection);
+        var shapes = layer.selectAll('path.basemap-feature')
+            .data(features.type === 'FeatureCollection' ? features.features : [features]);
+        shapes.exit().remove();
+        shapes.enter().append('path')
+            .attr('class', 'basemap-feature');
+        shapes.attr({
+            d: path,
+            fill: _mode.basemapFill.eval,
+            stroke: _mode.basemapStroke.eval,
+            'stroke-width': _mode.basemapStrokeWidth.eval,
+            opacity: _mode.basemapOpacity.eval
+        });
+    }
+    function remove(diagram) {
+        diagram.g().selectAll('g.basemap-layer').remove();
+    }
+    var _mode = dc_graph.mode('draw-basemap', {
+        laterDraw: true,
+        draw: draw,
+        remove: remove
+    });
+    /**
+     * The GeoJSON object, or TopoJSON topology, to draw.
+     * @method basemap
+     * @memberof dc_graph.draw_basemap
+     * @instance
+     * @param {Object} [basemap=null]
+     * @return {Object}
+     * @return {dc_graph.draw_basemap}
+     **/
+    _mode.basemap = property(null);
+    /**
+     * If the basemap is TopoJSON, the name of the object to draw; by default, all of them.
+     * @method basemapObject
+     * @memberof dc_graph.draw_basemap
+     * @instance
+     * @param {String} [basemapObject=null]
+     * @return {String}
+     * @return {dc_graph.draw_basemap}
+     **/
+    _mode.basemapObject = property(null);
+    // these take the GeoJSON feature
+    _mode.basemapFill = property('#eee');
+    _mode.basemapStroke = property('#aaa');
+    _mode.basemapStrokeWidth = property(1);
+    _mode.basemapOpacity = property(1);
+
+    return _mode;
+};
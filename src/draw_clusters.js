@@ -16,6 +16,32 @@ dc_graph.draw_clusters = function() {
             }
         });
     }
+    // alignment is [vertical, horizontal]: top/middle/bottom and left/center/right
+    var label_padding = 4;
+    function apply_label_position(text) {
+        text.attr({
+            x: function(c) {
+                var b = c.cola.bounds, h = _mode.clusterLabelAlignment.eval(c)[1];
+                return h === 'left' ? b.left + label_padding :
+                    h === 'right' ? b.right - label_padding :
+                    (b.left + b.right)/2;
+            },
+            y: function(c) {
+                var b = c.cola.bounds, v = _mode.clusterLabelAlignment.eval(c)[0];
+                return v === 'top' ? b.top + label_padding :
+                    v === 'bottom' ? b.bottom - label_padding :
+                    (b.top + b.bottom)/2;
+            },
+            'text-anchor': function(c) {
+                var h = _mode.clusterLabelAlignment.eval(c)[1];
+                return h === 'left' ? 'start' : h === 'right' ? 'end' : 'middle';
+            },
+            'dominant-baseline': function(c) {
+                var v = _mode.clusterLabelAlignment.eval(c)[0];
+                return v === 'top' ? 'hanging' : v === 'bottom' ? 'auto' : 'middle';
+            }
+        });
+    }
     function draw(diagram) {
         if(!diagram.clusterGroup())
             return;
@@ -36,6 +62,7 @@ dc_graph.draw_clusters = function() {
                 opacity: 0,
                 stroke: _mode.clusterStroke.eval,
                 'stroke-width': _mode.clusterStrokeWidth.eval,
+                'stroke-dasharray': _mode.clusterStrokeDashArray.eval,
                 fill: function(c) {
                     return _mode.clusterFill.eval(c) || 'none';
                 }
@@ -45,6 +72,25 @@ dc_graph.draw_clusters = function() {
             .duration(_mode.parent().stagedDuration())
             .attr('opacity', _mode.clusterOpacity.eval)
             .call(apply_bounds);
+
+        var labels = clayer.selectAll('text.cluster-label')
+            .data(clusters.filter(function(c) {
+                return _mode.clusterLabel.eval(c);
+            }), function(c) { return c.orig.key; });
+        labels.exit().remove();
+        labels.enter().append('text')
+            .attr({
+                class: 'cluster-label',
+                opacity: 0
+            })
+            .call(apply_label_position);
+        labels
+            .attr('fill', _mode.clusterLabelFill.eval)
+            .text(_mode.clusterLabel.eval);
+        labels.transition()
+            .duration(_mode.parent().stagedDuration())
+            .attr('opacity', 1)
+            .call(apply_label_position);
     }
     function remove(diagram, node, edge, ehover) {
     }
@@ -56,6 +102,7 @@ dc_graph.draw_clusters = function() {
     _mode.clusterOpacity = property(0.25);
     _mode.clusterStroke = property('black');
     _mode.clusterStrokeWidth = property(1);
+    _mode.clusterStrokeDashArray = property(null);
     _mode.clusterFill = property(null);
     _mode.clusterLabel = property(null);
     _mode.clusterLabelFill = property('black');
@@ -1,10 +1,30 @@
-dc_graph.spawn_engine = function(layout, args, worker) {
+/**
+ * Creates a layout engine by name, from the engines registered in `dc_graph.engines`.
+ *
+ * The engine can be run with one of three strategies:
+ * * `'direct'` - in the page, as the engine normally runs (the default)
+ * * `'webworker'` - in a web worker, using {@link dc_graph.webworker_layout webworker_layout},
+ * if the engine and the browser support it
+ * * `'sync'` - to completion within each call to `start`, using
+ * {@link dc_graph.sync_layout sync_layout}, which also adds a `run` method returning the layout
+ * @method spawn_engine
+ * @memberof dc_graph
+ * @param {String} layout - the name of the layout, e.g. `'cola'` or `'dagre'`
+ * @param {Object} [args] - parameters for the engine, e.g. `rankdir`
+ * @param {String|Boolean} [strategy='direct'] - how to run the engine; `true` means `'webworker'`
+ * and `false` means `'direct'`
+ * @example
+ * // lay out a graph without rendering it
+ * var layout = dc_graph.spawn_engine('dagre', {rankdir: 'LR'}, 'sync').run(graph, nodes, edges);
+ * @return {Object} the layout engine
+ **/
+dc_graph.spawn_engine = function(layout, args, strategy) {
     args = args || {};
-    worker = worker && !!window.Worker;
-    var engine = dc_graph.engines.instantiate(layout, args, worker);
+    strategy = dc_graph.engines.strategy(strategy);
+    var engine = dc_graph.engines.instantiate(layout, args, strategy);
     if(!engine) {
         console.warn('layout engine ' + layout + ' not found; using default ' + dc_graph._default_engine);
-        engine = dc_graph.engines.instantiate(dc_graph._default_engine, args, worker);
+        engine = dc_graph.engines.instantiate(dc_graph._default_engine, args, strategy);
     }
     return engine;
 };
@@ -35,6 +55,25 @@ dc_graph._engines = [
             return dc_graph.tree_layout();
         }
     },
+    {
+        name: 'sugiyama',
+        params: ['rankdir'],
+        instantiate: function() {
+            return dc_graph.sugiyama_layout();
+        }
+    },
+    {
+        names: ['radial', 'circular', 'concentric'],
+        instantiate: function(layout) {
+            return dc_graph.radial_layout(null, layout);
+        }
+    },
+    {
+        names: ['stress', 'pivot-mds'],
+        instantiate: function(layout) {
+            return dc_graph.stress_layout(null, layout);
+        }
+    },
     {
         names: ['circo', 'dot', 'neato', 'osage', 'twopi', 'fdp'],
         instantiate: function(layout, args) {
@@ -54,6 +93,12 @@ dc_graph._engines = [
             return dc_graph.manual_layout();
         }
     },
+    {
+        name: 'geo',
+        instantiate: function() {
+            return dc_graph.geo_layout();
+        }
+    },
     {
         name: 'flexbox',
         instantiate: function() {
@@ -78,7 +123,32 @@ dc_graph.engines = {
     get: function(layoutName) {
         return dc_graph._engines.find(this.entry_pred(layoutName));
     },
-    instantiate: function(layout, args, worker) {
+    // execution strategies: each takes an engine and returns the engine to use
+    strategies: {
+        direct: function(engine) {
+            return engine;
+        },
+        webworker: function(engine) {
+            if(engine.supportsWebworker && engine.supportsWebworker() && typeof Worker !== 'undefined')
+                return dc_graph.webworker_layout(engine);
+            return engine;
+        },
+        sync: function(engine) {
+            return dc_graph.sync_layout(engine);
+        }
+    },
+    strategy: function(strategy) {
+        if(strategy === true)
+            return 'webworker';
+        if(!strategy)
+            return 'direct';
+        if(!this.strategies[strategy]) {
+            console.warn('unknown layout strategy ' + strategy + '; using direct');
+            return 'direct';
+        }
+        return strategy;
+    },
+    instantiate: function(layout, args, strategy) {
         var entry = this.get(layout);
         if(!entry)
             return null;
@@ -88,9 +158,7 @@ dc_graph.engines = {
             if(args[p])
                 engine[p](args[p]);
         });
-        if(engine.supportsWebworker && engine.supportsWebworker() && worker)
-            engine = dc_graph.webworker_layout(engine);
-        return engine;
+        return this.strategies[this.strategy(strategy)](engine);
     },
     available: function() {
         return dc_graph._engines.reduce(function(avail, entry) {
@@ -0,0 +1,197 @@
+// graphviz splines are always cubic; raise lines and quadratics to match
+function dot_spline_points(path) {
+    var p = path.points, ret = [p[0]], i, j;
+    switch(path.bezDegree) {
+    case 1:
+        for(i = 1; i < p.length; ++i)
+            for(j = 1; j <= 3; ++j)
+                ret.push({
+                    x: p[i-1].x + j*(p[i].x - p[i-1].x)/3,
+                    y: p[i-1].y + j*(p[i].y - p[i-1].y)/3
+                });
+        return ret;
+    case 2:
+        for(i = 1; i+1 < p.length; i += 2) {
+            var p0 = p[i-1], q = p[i], p2 = p[i+1];
+            ret.push({x: p0.x + 2*(q.x - p0.x)/3, y: p0.y + 2*(q.y - p0.y)/3},
+                     {x: p2.x + 2*(q.x - p2.x)/3, y: p2.y + 2*(q.y - p2.y)/3},
+                     p2);
+        }
+        return ret;
+    case 3:
+        return p;
+    }
+    throw new Error('unknown bezDegree ' + path.bezDegree);
+}
+
+function dot_quote(s) {
+    return '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+function dot_attrs(attrs) {
+    var props = Object.keys(attrs).filter(function(k) {
+        return attrs[k] !== null && attrs[k] !== undefined && attrs[k] !== '';
+    }).map(function(k) {
+        return k + '=' + dot_quote(attrs[k]);
+    });
+    return props.length ? ' [' + props.join(', ') + ']' : '';
+}
+
+function dot_number(x) {
+    return Math.round(x*100)/100;
+}
+
+/**
+ * Serialize the current state of a diagram to a graphviz DOT string. Positions are taken from
+ * whatever layout engine last ran, so that e.g. a cola or dagre layout can be opened in
+ * graphviz tools (`neato -n`) unchanged.
+ *
+ * Emits `pos`, `width`, `height`, `shape`, `label`, `color`, `fillcolor` and `penwidth` for
+ * nodes; `pos`, `label`, `color`, `penwidth`, `arrowhead`, `arrowtail`, and `tailport`/`headport`
+ * for edges; clusters from the `clusterGroup` become subgraphs with `bb` (and `cluster=true`
+ * when the key does not start with `cluster`, so that graphviz draws them), and if the
+ * {@link dc_graph.draw_clusters draw_clusters} mode is installed, their `label`, `color` and
+ * `fillcolor`.
+ * @method export_dot
+ * @memberof dc_graph
+ * @param {dc_graph.diagram} diagram
+ * @return {String}
+ **/
+dc_graph.export_dot = function(diagram) {
+    var nodes = diagram.nodeGroup().all().map(function(n) {
+        return diagram.getWholeNode(n.key);
+    }).filter(function(n) { return n; });
+    var edges = diagram.edgeGroup().all().map(function(e) {
+        return diagram.getWholeEdge(e.key);
+    }).filter(function(e) { return e && e.pos && e.pos.new; });
+    var clusters = diagram.clusterGroup() ? diagram.clusterGroup().all().map(function(c) {
+        return diagram.getWholeCluster(c.key);
+    }).filter(function(c) { return c; }) : [];
+    var draw_clusters = diagram.child('draw-clusters');
+
+    var bounds = nodes.length ? diagram.calculateBounds(nodes, edges) : {left: 0, top: 0, right: 0, bottom: 0};
+    clusters.forEach(function(c) {
+        if(c.cola && c.cola.bounds)
+            bounds = {
+                left: Math.min(bounds.left, c.cola.bounds.left),
+                top: Math.min(bounds.top, c.cola.bounds.top),
+                right: Math.max(bounds.right, c.cola.bounds.right),
+                bottom: Math.max(bounds.bottom, c.cola.bounds.bottom)
+            };
+    });
+    // graphviz points are 1/72 inch, and we treat them as pixels; only y needs flipping
+    function X(x) {
+        return dot_number(x - bounds.left);
+    }
+    function Y(y) {
+        return dot_number(bounds.bottom - y);
+    }
+    function point(p) {
+        return X(p.x) + ',' + Y(p.y);
+    }
+    function label(lines) {
+        if(Array.isArray(lines))
+            return lines.join('\n');
+        return lines;
+    }
+    var fillScale = diagram.nodeFillScale() || identity;
+    var directed = edges.some(function(e) {
+        return diagram.edgeArrowhead.eval(e) || diagram.edgeArrowtail.eval(e);
+    }) || !edges.length;
+
+    var lines = [];
+    lines.push((directed ? 'digraph' : 'graph') + ' G {');
+    lines.push('  graph' + dot_attrs({
+        bb: [0, 0, X(bounds.right), Y(bounds.top)].join(',')
+    }) + ';');
+
+    var cluster_nodes = {}, cluster_children = {}, tops = [];
+    nodes.forEach(function(n) {
+        var cl = diagram.nodeParentCluster.eval(n);
+        if(cl && diagram.getWholeCluster(cl)) {
+            cluster_nodes[cl] = cluster_nodes[cl] || [];
+            cluster_nodes[cl].push(n);
+        }
+    });
+    clusters.forEach(function(c) {
+        var p = diagram.clusterParent.eval(c);
+        if(p && diagram.getWholeCluster(p)) {
+            cluster_children[p] = cluster_children[p] || [];
+            cluster_children[p].push(c);
+        } else tops.push(c);
+    });
+
+    function print_node(indent, n) {
+        var shape = n.dcg_shape && n.dcg_shape.shape;
+        var attrs = {
+            label: label(diagram.nodeLabel.eval(n)),
+            shape: shape && shape !== 'nothing' ? shape : null,
+            width: n.dcg_rx !== undefined ? dot_number(n.dcg_rx*2/72) : null,
+            height: n.dcg_ry !== undefined ? dot_number(n.dcg_ry*2/72) : null,
+            fixedsize: n.dcg_rx !== undefined ? 'true' : null,
+            style: 'filled',
+            fillcolor: fillScale(diagram.nodeFill.eval(n)),
+            color: diagram.nodeStroke.eval(n),
+            penwidth: diagram.nodeStrokeWidth.eval(n),
+            fontcolor: diagram.nodeLabelFill.eval(n)
+        };
+        if(n.cola && !isNaN(n.cola.x) && !isNaN(n.cola.y))
+            attrs.pos = point(n.cola) + '!';
+        lines.push(indent + dot_quote(diagram.nodeKey.eval(n)) + dot_attrs(attrs) + ';');
+    }
+    function print_cluster(indent, c) {
+        var key = diagram.clusterKey.eval(c);
+        lines.push(indent + 'subgraph ' + dot_quote(key) + ' {');
+        // graphviz only treats subgraphs named cluster* as clusters, unless they say so
+        var attrs = /^cluster/.test(key) ? {} : {cluster: 'true'};
+        if(c.cola && c.cola.bounds)
+            attrs.bb = [X(c.cola.bounds.left), Y(c.cola.bounds.bottom),
+                        X(c.cola.bounds.right), Y(c.cola.bounds.top)].join(',');
+        if(draw_clusters) {
+            attrs.label = draw_clusters.clusterLabel.eval(c);
+            attrs.color = draw_clusters.clusterStroke.eval(c);
+            var fill = draw_clusters.clusterFill.eval(c);
+            if(fill) {
+                attrs.style = 'filled';
+                attrs.fillcolor = fill;
+            }
+        }
+        if(Object.keys(attrs).length)
+            lines.push(indent + '  graph' + dot_attrs(attrs) + ';');
+        (cluster_children[key] || []).forEach(print_cluster.bind(null, indent + '  '));
+        (cluster_nodes[key] || []).forEach(print_node.bind(null, indent + '  '));
+        lines.push(indent + '}');
+    }
+    tops.forEach(print_cluster.bind(null, '  '));
+    nodes.filter(function(n) {
+        var cl = diagram.nodeParentCluster.eval(n);
+        return !(cl && diagram.getWholeCluster(cl));
+    }).forEach(print_node.bind(null, '  '));
+
+    edges.forEach(function(e) {
+        var head = diagram.edgeArrowhead.eval(e), tail = diagram.edgeArrowtail.eval(e);
+        var attrs = {
+            label: label(diagram.edgeLabel.eval(e)),
+            color: diagram.edgeStroke.eval(e),
+            penwidth: diagram.edgeStrokeWidth.eval(e),
+            arrowhead: head || 'none',
+            arrowtail: tail || null,
+            arrowsize: diagram.edgeArrowSize.eval(e),
+            dir: tail ? 'both' : null,
+            tailport: diagram.edgeSourcePortName.eval(e),
+            headport: diagram.edgeTargetPortName.eval(e)
+        };
+        // graphviz splines stop at the arrows, and e,/s, give the arrow tips
+        var pos = e.pos.new, ends = [];
+        if(head)
+            ends.push('e,' + point(pos.full.points[pos.full.points.length-1]));
+        if(tail)
+            ends.push('s,' + point(pos.full.points[0]));
+        attrs.pos = ends.concat(dot_spline_points(pos.path).map(point)).join(' ');
+        lines.push('  ' + dot_quote(diagram.edgeSource.eval(e)) + (directed ? ' -> ' : ' -- ') +
+                   dot_quote(diagram.edgeTarget.eval(e)) + dot_attrs(attrs) + ';');
+    });
+    lines.push('}');
+    lines.push('');
+    return lines.join('\n');
+};
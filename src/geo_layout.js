@@ -0,0 +1,334 @@
+// GeoJSON for a GeoJSON object or a TopoJSON topology (which needs topojson.js)
+function geo_features(map, object) {
+    if(!map || map.type !== 'Topology')
+        return map;
+    if(typeof topojson === 'undefined')
+        throw new Error('topojson.js is needed to read TopoJSON');
+    var objects = object ? [object] : Object.keys(map.objects);
+    return {
+        type: 'FeatureCollection',
+        features: objects.reduce(function(features, name) {
+            var geo = topojson.feature(map, map.objects[name]);
+            return features.concat(geo.type === 'FeatureCollection' ? geo.features : [geo]);
+        }, [])
+    };
+}
+
+/**
+ * `dc_graph.geo_layout` places nodes on a map: each node with a longitude and latitude is
+ * positioned through a {@link https://github.com/d3/d3-3.x-api-reference/blob/master/Geo-Projections.md d3 geo projection}.
+ * Nodes without a location are placed by a short force layout, starting from their located
+ * neighbors, while the located nodes stay put.
+ *
+ * By default the projection is fitted to the located nodes, or to `fitTo` if it is set, e.g. to
+ * the basemap drawn by {@link dc_graph.draw_basemap draw_basemap}.
+ *
+ * This engine is registered as `'geo'`. It does not run in a web worker, since the projection
+ * is shared with the page.
+ * @class geo_layout
+ * @memberof dc_graph
+ * @param {String} [id=uuid()] - Unique identifier
+ * @example
+ * var engine = dc_graph.geo_layout()
+ *     .projection(d3.geo.albersUsa())
+ *     .longitude(function(kv) { return kv.value.lon; })
+ *     .latitude(function(kv) { return kv.value.lat; });
+ * diagram.layoutEngine(engine);
+ * @return {dc_graph.geo_layout}
+ **/
+dc_graph.geo_layout = function(id) {
+    var _layoutId = id || uuid();
+    var _dispatch = d3.dispatch('tick', 'start', 'end');
+    var _options = null, _projection = null;
+    var _wnodes = [], _wedges = [];
+
+    function init(options) {
+        _options = options;
+    }
+
+    function data(nodes, edges) {
+        _wnodes = nodes;
+        _wedges = edges;
+    }
+
+    function located(n) {
+        return typeof n.dcg_lon === 'number' && typeof n.dcg_lat === 'number' &&
+            !isNaN(n.dcg_lon) && !isNaN(n.dcg_lat);
+    }
+
+    // scale and center the projection so that the features fit the layout area
+    function fit_projection(projection, features) {
+        var scale = projection.scale();
+        projection.scale(1).translate([0, 0]);
+        var b = d3.geo.path().projection(projection).bounds(features),
+            pad = _engine.fitPadding(),
+            width = _options.width || 0, height = _options.height || 0,
+            s = Math.min((width - 2*pad) / (b[1][0] - b[0][0]), (height - 2*pad) / (b[1][1] - b[0][1]));
+        if(!isFinite(s) || s <= 0)
+            s = scale;
+        projection.scale(s).translate([
+            (width - s*(b[1][0] + b[0][0]))/2,
+            (height - s*(b[1][1] + b[0][1]))/2
+        ]);
+    }
+
+    function start() {
+        _dispatch.start();
+        var projection = _engine.projection();
+        if(typeof projection === 'string')
+            projection = d3.geo[projection]();
+        _projection = projection;
+        var locatedNodes = _wnodes.filter(located);
+        if(_engine.fitProjection()) {
+            var features = geo_features(_engine.fitTo(), _engine.fitObject());
+            if(!features && locatedNodes.length)
+                features = {
+                    type: 'MultiPoint',
+                    coordinates: locatedNodes.map(function(n) {
+                        return [n.dcg_lon, n.dcg_lat];
+                    })
+                };
+            if(features)
+                fit_projection(projection, features);
+        }
+        var unlocated = 0;
+        _wnodes.forEach(function(n) {
+            if(n.dcg_nodeFixed) {
+                n.x = n.dcg_nodeFixed.x;
+                n.y = n.dcg_nodeFixed.y;
+                n.fixed = true;
+                return;
+            }
+            var p = located(n) && projection([n.dcg_lon, n.dcg_lat]);
+            if(p) {
+                n.x = p[0];
+                n.y = p[1];
+                n.fixed = true;
+            }
+            else {
+                // e.g. outside the domain of albersUsa
+                delete n.x;
+                delete n.y;
+                n.fixed = false;
+                ++unlocated;
+            }
+        });
+        if(unlocated)
+            place_unlocated();
+        _dispatch.end(_wnodes, _wedges.map(function(e) {
+            return {dcg_edgeKey: e.dcg_edgeKey};
+        }));
+    }
+
+    // d3's force layout starts new nodes at the position of a neighbor, if any
+    function place_unlocated() {
+        var index = {};
+        _wnodes.forEach(function(n, i) {
+            index[n.dcg_nodeKey] = i;
+        });
+        var links = _wedges.map(function(e) {
+            return {source: index[e.dcg_edgeSource], target: index[e.dcg_edgeTarget]};
+        });
+        var force = d3.layout.force()
+            .size([_options.width || 0, _options.height || 0])
+            .nodes(_wnodes)
+            .links(links)
+            .linkDistance(_engine.linkDistance())
+            .charge(_engine.charge())
+            .gravity(_engine.gravity())
+            .start();
+        for(var i = 0; i < _engine.forceIterations(); ++i)
+            force.tick();
+        force.stop();
+        _wnodes.forEach(function(n) {
+            delete n.px;
+            delete n.py;
+            delete n.weight;
+        });
+    }
+
+    var _engine = {
+        layoutAlgorithm: function() {
+            return 'geo';
+        },
+        layoutId: function() {
+            return _layoutId;
+        },
+        supportsWebworker: function() {
+            return false;
+        },
+        parent: property(null),
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        init: function(options) {
+            this.optionNames().forEach(function(option) {
+                if(options[option] === undefined)
+                    options[option] = this[option]();
+            }.bind(this));
+            init(options);
+            return this;
+        },
+        data: function(graph, nodes, edges) {
+            data(nodes, edges);
+        },
+        start: function() {
+            start();
+        },
+        stop: function() {
+        },
+        optionNames: function() {
+            return [];
+        },
+        populateLayoutNode: function(layout, node) {
+            var lon = this.longitude.eval(node), lat = this.latitude.eval(node);
+            if(lon !== undefined && lon !== null && lat !== undefined && lat !== null) {
+                layout.dcg_lon = +lon;
+                layout.dcg_lat = +lat;
+            }
+            else {
+                delete layout.dcg_lon;
+                delete layout.dcg_lat;
+            }
+        },
+        populateLayoutEdge: function() {},
+        /**
+         * The d3 geo projection, or the name of one, e.g. `'equirectangular'` or `'albersUsa'`.
+         * @method projection
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Function|String} [projection='mercator']
+         * @return {Function|String}
+         * @return {dc_graph.geo_layout}
+         **/
+        projection: property('mercator'),
+        /**
+         * Returns the projection used by the last layout, after it was fitted; this is what
+         * {@link dc_graph.draw_basemap draw_basemap} uses to draw the map.
+         * @method currentProjection
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @return {Function}
+         **/
+        currentProjection: function() {
+            return _projection;
+        },
+        /**
+         * Function which returns the longitude of a node in degrees, or `undefined` if the node
+         * has no location.
+         * @method longitude
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Function} [longitude=function(kv) { return kv.value.longitude; }]
+         * @return {Function}
+         * @return {dc_graph.geo_layout}
+         **/
+        longitude: property(function(kv) {
+            return kv.value.longitude;
+        }),
+        /**
+         * Function which returns the latitude of a node in degrees, or `undefined` if the node
+         * has no location.
+         * @method latitude
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Function} [latitude=function(kv) { return kv.value.latitude; }]
+         * @return {Function}
+         * @return {dc_graph.geo_layout}
+         **/
+        latitude: property(function(kv) {
+            return kv.value.latitude;
+        }),
+        /**
+         * Whether to scale and translate the projection to fit the layout area. If false, the
+         * projection is used as it is.
+         * @method fitProjection
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Boolean} [fitProjection=true]
+         * @return {Boolean}
+         * @return {dc_graph.geo_layout}
+         **/
+        fitProjection: property(true),
+        /**
+         * GeoJSON or TopoJSON to fit the projection to; if null, the projection is fitted to the
+         * located nodes.
+         * @method fitTo
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Object} [fitTo=null]
+         * @return {Object}
+         * @return {dc_graph.geo_layout}
+         **/
+        fitTo: property(null),
+        /**
+         * If `fitTo` is TopoJSON, the name of the object to fit to; by default, all of them.
+         * @method fitObject
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {String} [fitObject=null]
+         * @return {String}
+         * @return {dc_graph.geo_layout}
+         **/
+        fitObject: property(null),
+        /**
+         * Space in pixels to leave around the fitted map.
+         * @method fitPadding
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Number} [fitPadding=20]
+         * @return {Number}
+         * @return {dc_graph.geo_layout}
+         **/
+        fitPadding: property(20),
+        /**
+         * The number of iterations of the force layout which places the nodes without a
+         * location.
+         * @method forceIterations
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Number} [forceIterations=100]
+         * @return {Number}
+         * @return {dc_graph.geo_layout}
+         **/
+        forceIterations: property(100),
+        /**
+         * The edge length for the force layout of nodes without a location.
+         * @method linkDistance
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Number} [linkDistance=40]
+         * @return {Number}
+         * @return {dc_graph.geo_layout}
+         **/
+        linkDistance: property(40),
+        /**
+         * The charge (repulsion, if negative) between nodes in the force layout.
+         * @method charge
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Number} [charge=-100]
+         * @return {Number}
+         * @return {dc_graph.geo_layout}
+         **/
+        charge: property(-100),
+        /**
+         * The pull toward the center in the force layout, which keeps nodes with no located
+         * neighbors on the map.
+         * @method gravity
+         * @memberof dc_graph.geo_layout
+         * @instance
+         * @param {Number} [gravity=0.02]
+         * @return {Number}
+         * @return {dc_graph.geo_layout}
+         **/
+        gravity: property(0.02)
+    };
+    return _engine;
+};
+
+dc_graph.geo_layout.scripts = ['d3.js'];
+dc_graph.geo_layout.optional_scripts = ['topojson.js'];
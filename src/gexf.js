@@ -0,0 +1,227 @@
+// gexf reader, including dynamic graphs (spells and time-varying attributes)
+// https://gexf.net/schema.html
+
+var gexf_shapes = {
+    disc: 'circle',
+    square: 'square',
+    triangle: 'triangle',
+    diamond: 'diamond'
+};
+
+// parse a gexf time value according to the graph's timeformat
+function gexf_time(format, text, unbounded) {
+    if(text === null || text === undefined || text === '')
+        return unbounded;
+    switch(format) {
+    case 'date':
+    case 'datetime':
+    case 'dateTime':
+        return new Date(text);
+    }
+    return +text;
+}
+
+function gexf_value(type, text) {
+    switch(type) {
+    case 'integer':
+    case 'long':
+        return parseInt(text, 10);
+    case 'float':
+    case 'double':
+        return +text;
+    case 'boolean':
+        return text.trim().toLowerCase() === 'true';
+    case 'liststring':
+        return text.split('|');
+    }
+    return text;
+}
+
+function process_gexf(callback, error, doc) {
+    if(error) {
+        callback(error, null);
+        return;
+    }
+    var root = doc && doc.documentElement;
+    if(!root || root.localName !== 'gexf') {
+        callback(new Error('gexf document has no <gexf> element'), null);
+        return;
+    }
+    var graph = xml_children(root, 'graph')[0];
+    if(!graph) {
+        callback(new Error('gexf document contains no <graph>'), null);
+        return;
+    }
+    var timeformat = graph.getAttribute('timeformat') || 'double',
+        directed = graph.getAttribute('defaultedgetype') !== 'undirected';
+
+    // gexf 1.1 uses start/end for inclusive bounds and startopen/endopen for exclusive;
+    // we don't distinguish
+    function interval(elem) {
+        return {
+            start: gexf_time(timeformat, elem.getAttribute('start') || elem.getAttribute('startopen'), -Infinity),
+            end: gexf_time(timeformat, elem.getAttribute('end') || elem.getAttribute('endopen'), Infinity)
+        };
+    }
+    function has_interval(elem) {
+        return ['start', 'end', 'startopen', 'endopen'].some(function(a) {
+            return elem.hasAttribute(a);
+        });
+    }
+
+    var attributes = {node: {}, edge: {}};
+    xml_children(graph, 'attributes').forEach(function(as) {
+        var cls = as.getAttribute('class') || 'node';
+        xml_children(as, 'attribute').forEach(function(a) {
+            var def = xml_children(a, 'default')[0];
+            attributes[cls][a.getAttribute('id')] = {
+                title: a.getAttribute('title') || a.getAttribute('id'),
+                type: a.getAttribute('type') || 'string',
+                'default': def ? gexf_value(a.getAttribute('type'), def.textContent) : undefined
+            };
+        });
+    });
+
+    // fields common to nodes and edges: attvalues, spells, and viz attributes
+    function read_element(elem, cls) {
+        var row = {}, attrs = attributes[cls];
+        Object.keys(attrs).forEach(function(id) {
+            if(attrs[id]['default'] !== undefined)
+                row[attrs[id].title] = attrs[id]['default'];
+        });
+        if(elem.hasAttribute('label'))
+            row.label = elem.getAttribute('label');
+        var unqualified = {};
+        xml_children(elem, 'attvalues').forEach(function(avs) {
+            xml_children(avs, 'attvalue').forEach(function(av) {
+                var id = av.getAttribute('for') || av.getAttribute('id'),
+                    attr = attrs[id] || {title: id, type: 'string'},
+                    value = gexf_value(attr.type, av.getAttribute('value'));
+                if(has_interval(av)) {
+                    row.dynamic = row.dynamic || {};
+                    row.dynamic[attr.title] = row.dynamic[attr.title] || [];
+                    row.dynamic[attr.title].push(Object.assign({value: value}, interval(av)));
+                }
+                else {
+                    row[attr.title] = value;
+                    unqualified[attr.title] = true;
+                }
+            });
+        });
+        // the static value of a dynamic attribute is the one which starts earliest,
+        // unless there is an unqualified value
+        if(row.dynamic)
+            Object.keys(row.dynamic).forEach(function(title) {
+                if(unqualified[title])
+                    return;
+                var earliest = row.dynamic[title].reduce(function(a, b) {
+                    return b.start < a.start ? b : a;
+                });
+                row[title] = earliest.value;
+            });
+        var spells = [];
+        xml_children(elem, 'spells').forEach(function(ss) {
+            xml_children(ss, 'spell').forEach(function(s) {
+                spells.push(interval(s));
+            });
+        });
+        if(has_interval(elem))
+            spells.push(interval(elem));
+        if(spells.length) {
+            row.spells = spells;
+            // overall lifetime, for simple crossfilter dimensions
+            row.start = d3.min(spells, function(s) { return s.start; });
+            row.end = d3.max(spells, function(s) { return s.end; });
+        }
+
+        var color = xml_children(elem, 'color')[0],
+            position = xml_children(elem, 'position')[0],
+            size = xml_children(elem, 'size')[0],
+            thickness = xml_children(elem, 'thickness')[0],
+            shape = xml_children(elem, 'shape')[0];
+        if(color) {
+            var rgb = d3.rgb(+color.getAttribute('r'), +color.getAttribute('g'), +color.getAttribute('b')).toString();
+            row[cls === 'node' ? 'fillcolor' : 'color'] = rgb;
+            if(color.hasAttribute('a'))
+                row.opacity = +color.getAttribute('a');
+        }
+        if(position) {
+            // gephi's y axis points up
+            row.x = +position.getAttribute('x');
+            row.y = -position.getAttribute('y');
+            if(position.hasAttribute('z'))
+                row.z = +position.getAttribute('z');
+        }
+        if(size)
+            row.radius = +size.getAttribute('value');
+        if(thickness)
+            row.penwidth = +thickness.getAttribute('value');
+        if(shape && gexf_shapes[shape.getAttribute('value')])
+            row.shape = gexf_shapes[shape.getAttribute('value')];
+        return row;
+    }
+
+    var nodes = [], edges = [], node_cluster = {}, clusters = [], node_index = {};
+    function read_nodes(container, parent) {
+        xml_children(container, 'nodes').forEach(function(ns) {
+            xml_children(ns, 'node').forEach(function(n) {
+                var name = n.getAttribute('id'),
+                    row = read_element(n, 'node'),
+                    pid = n.getAttribute('pid') || parent;
+                // hierarchical gexf: nodes containing nodes are clusters
+                if(xml_children(n, 'nodes').length) {
+                    clusters.push(Object.assign({parent: pid, key: name}, row));
+                    read_nodes(n, name);
+                }
+                else {
+                    node_index[name] = nodes.length;
+                    nodes.push(Object.assign(row, {id: nodes.length, name: name}));
+                    node_cluster[name] = pid;
+                }
+            });
+        });
+        xml_children(container, 'edges').forEach(function(es) {
+            xml_children(es, 'edge').forEach(function(e) {
+                var row = read_element(e, 'edge');
+                var type = e.getAttribute('type');
+                if(type ? type === 'undirected' : !directed)
+                    row.undirected = true;
+                if(e.hasAttribute('id'))
+                    row.key = e.getAttribute('id');
+                if(e.hasAttribute('weight'))
+                    row.weight = +e.getAttribute('weight');
+                row.sourcename = e.getAttribute('source');
+                row.targetname = e.getAttribute('target');
+                edges.push(row);
+            });
+        });
+    }
+    read_nodes(graph, null);
+    // pid may refer to nodes which are not otherwise nested
+    var cluster_names = d3.set(clusters.map(function(c) { return c.key; }));
+    d3.values(node_cluster).forEach(function(p) {
+        if(p && !cluster_names.has(p) && node_index[p] !== undefined) {
+            var n = nodes[node_index[p]];
+            clusters.push(Object.assign({parent: node_cluster[p], key: p}, n));
+            cluster_names.add(p);
+            delete node_cluster[p];
+        }
+    });
+    nodes = nodes.filter(function(n) {
+        return !cluster_names.has(n.name);
+    });
+    nodes.forEach(function(n, i) {
+        n.id = i;
+        node_index[n.name] = i;
+    });
+    edges.forEach(function(e) {
+        e.source = node_index[e.sourcename];
+        e.target = node_index[e.targetname];
+    });
+    callback(null, {
+        nodes: nodes,
+        links: edges,
+        node_cluster: node_cluster,
+        clusters: clusters
+    });
+}
@@ -0,0 +1,313 @@
+// graphml reader and writer
+// http://graphml.graphdrawing.org/specification.html
+
+function xml_children(elem, name) {
+    return Array.prototype.filter.call(elem.childNodes, function(c) {
+        return c.nodeType === 1 && (!name || c.localName === name);
+    });
+}
+
+function xml_escape(s) {
+    return String(s)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function graphml_value(type, text) {
+    switch(type) {
+    case 'int':
+    case 'long':
+        return parseInt(text, 10);
+    case 'float':
+    case 'double':
+        return +text;
+    case 'boolean':
+        return text.trim().toLowerCase() === 'true';
+    }
+    return text;
+}
+
+// yEd stores its drawing attributes as nested xml instead of plain values;
+// pull out the parts that have graphviz equivalents
+function yfiles_graphics(elem) {
+    var ret = {};
+    var label = elem.getElementsByTagNameNS('*', 'NodeLabel')[0] ||
+            elem.getElementsByTagNameNS('*', 'EdgeLabel')[0];
+    if(label && label.textContent.trim())
+        ret.label = label.textContent.trim();
+    var fill = elem.getElementsByTagNameNS('*', 'Fill')[0];
+    if(fill && fill.getAttribute('color'))
+        ret.fillcolor = fill.getAttribute('color');
+    var line = elem.getElementsByTagNameNS('*', 'LineStyle')[0];
+    if(line && line.getAttribute('color'))
+        ret.color = line.getAttribute('color');
+    var geometry = elem.getElementsByTagNameNS('*', 'Geometry')[0];
+    if(geometry && elem.getElementsByTagNameNS('*', 'NodeLabel').length) {
+        var w = +geometry.getAttribute('width'), h = +geometry.getAttribute('height');
+        // yEd geometry is top-left; we use centers
+        ret.x = +geometry.getAttribute('x') + w/2;
+        ret.y = +geometry.getAttribute('y') + h/2;
+        ret.width = w;
+        ret.height = h;
+    }
+    return ret;
+}
+
+function process_graphml(callback, error, doc) {
+    if(error) {
+        callback(error, null);
+        return;
+    }
+    var root = doc && doc.documentElement;
+    if(!root || root.localName !== 'graphml') {
+        callback(new Error('graphml document has no <graphml> element'), null);
+        return;
+    }
+    // keys declare attribute names, types and defaults for each kind of element
+    var keys = {}, defaults = {node: {}, edge: {}, graph: {}};
+    xml_children(root, 'key').forEach(function(k) {
+        var key = {
+            id: k.getAttribute('id'),
+            'for': k.getAttribute('for') || 'all',
+            name: k.getAttribute('attr.name') || k.getAttribute('id'),
+            type: k.getAttribute('attr.type') || 'string',
+            yfiles: k.getAttribute('yfiles.type')
+        };
+        keys[key.id] = key;
+        var def = xml_children(k, 'default')[0];
+        if(def) {
+            var value = graphml_value(key.type, def.textContent);
+            (key['for'] === 'all' ? Object.keys(defaults) : [key['for']]).forEach(function(f) {
+                if(defaults[f])
+                    defaults[f][key.name] = value;
+            });
+        }
+    });
+    function read_data(elem, kind) {
+        var attrs = Object.assign({}, defaults[kind]);
+        xml_children(elem, 'data').forEach(function(d) {
+            var key = keys[d.getAttribute('key')];
+            if(!key)
+                attrs[d.getAttribute('key')] = d.textContent;
+            else if(key.yfiles) {
+                if(/graphics$/.test(key.yfiles))
+                    Object.assign(attrs, yfiles_graphics(d));
+            }
+            else
+                attrs[key.name] = graphml_value(key.type, d.textContent);
+        });
+        return attrs;
+    }
+
+    var graph = xml_children(root, 'graph')[0];
+    if(!graph) {
+        callback(new Error('graphml document contains no <graph>'), null);
+        return;
+    }
+    var directed = graph.getAttribute('edgedefault') !== 'undirected';
+    var nodes = [], edges = [], node_cluster = {}, clusters = [], node_index = {};
+
+    // nodes which contain a nested <graph> are clusters, as with dot subgraphs
+    function read_graph(g, parent) {
+        xml_children(g, 'node').forEach(function(n) {
+            var name = n.getAttribute('id'),
+                attrs = read_data(n, 'node'),
+                subgraph = xml_children(n, 'graph')[0];
+            if(subgraph) {
+                clusters.push(Object.assign({parent: parent, key: name}, attrs));
+                read_graph(subgraph, name);
+            }
+            else {
+                node_index[name] = nodes.length;
+                nodes.push(Object.assign(attrs, {id: nodes.length, name: name}));
+                node_cluster[name] = parent;
+            }
+        });
+        // edges may appear at any level but they all refer to node ids
+        xml_children(g, 'edge').forEach(function(e) {
+            var edge = read_data(e, 'edge');
+            var edir = e.getAttribute('directed');
+            if(edir ? edir === 'false' : !directed)
+                edge.undirected = true;
+            if(e.getAttribute('id'))
+                edge.key = e.getAttribute('id');
+            edge.sourcename = e.getAttribute('source');
+            edge.targetname = e.getAttribute('target');
+            if(e.getAttribute('sourceport'))
+                edge.sourceport = e.getAttribute('sourceport');
+            if(e.getAttribute('targetport'))
+                edge.targetport = e.getAttribute('targetport');
+            edges.push(edge);
+        });
+    }
+    read_graph(graph, null);
+    edges.forEach(function(e) {
+        e.source = node_index[e.sourcename];
+        e.target = node_index[e.targetname];
+    });
+    callback(null, {
+        nodes: nodes,
+        links: edges,
+        node_cluster: node_cluster,
+        clusters: clusters,
+        graph: read_data(graph, 'graph')
+    });
+}
+
+function graphml_type(values) {
+    var types = d3.set(values.map(function(v) {
+        switch(typeof v) {
+        case 'boolean':
+            return 'boolean';
+        case 'number':
+            return Math.floor(v) === v ? 'int' : 'double';
+        }
+        return 'string';
+    })).values();
+    if(types.length === 1)
+        return types[0];
+    if(types.length === 2 && types.includes('int') && types.includes('double'))
+        return 'double';
+    return 'string';
+}
+
+// fields which are written as graphml structure rather than as data
+var graphml_structural = ['id', 'name', 'key', 'source', 'target', 'sourcename', 'targetname', 'parent'];
+
+function graphml_attrs(rows) {
+    var values = {};
+    rows.forEach(function(row) {
+        if(!row || typeof row !== 'object')
+            return;
+        Object.keys(row).forEach(function(k) {
+            var v = row[k];
+            if(graphml_structural.includes(k) || v === null || v === undefined || typeof v === 'object' ||
+               typeof v === 'function')
+                return;
+            values[k] = values[k] || [];
+            values[k].push(v);
+        });
+    });
+    return Object.keys(values).map(function(k) {
+        return {name: k, type: graphml_type(values[k])};
+    });
+}
+
+/**
+ * Serialize the nodes, edges and clusters currently displayed in a diagram to GraphML text,
+ * which can be read back with {@link dc_graph.load_graph load_graph} or opened in yEd or Gephi.
+ *
+ * Node and edge ids come from the diagram's key accessors; all primitive fields of the
+ * values in the node, edge, and cluster groups are written as typed `<data>` attributes.
+ * Clusters are written as nodes containing nested graphs.
+ * @method export_graphml
+ * @memberof dc_graph
+ * @param {dc_graph.diagram} diagram
+ * @return {String}
+ **/
+dc_graph.export_graphml = function(diagram) {
+    var nodes = diagram.nodeGroup().all().map(function(n) {
+        return diagram.getWholeNode(n.key);
+    }).filter(function(n) { return n; });
+    var edges = diagram.edgeGroup().all().map(function(e) {
+        return diagram.getWholeEdge(e.key);
+    }).filter(function(e) { return e; });
+    var clusters = diagram.clusterGroup() ? diagram.clusterGroup().all().map(function(c) {
+        return diagram.getWholeCluster(c.key);
+    }).filter(function(c) { return c; }) : [];
+
+    function value(x) {
+        return x.orig.value;
+    }
+    var nattrs = graphml_attrs(nodes.map(value).concat(clusters.map(value))),
+        eattrs = graphml_attrs(edges.map(value));
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns ' +
+            'http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+    ];
+    function key_id(kind, name) {
+        return kind[0] + '_' + name.replace(/[^\w.-]/g, '_');
+    }
+    nattrs.forEach(function(a) {
+        lines.push('  <key id="' + xml_escape(key_id('node', a.name)) + '" for="node" attr.name="' +
+                   xml_escape(a.name) + '" attr.type="' + a.type + '"/>');
+    });
+    eattrs.forEach(function(a) {
+        lines.push('  <key id="' + xml_escape(key_id('edge', a.name)) + '" for="edge" attr.name="' +
+                   xml_escape(a.name) + '" attr.type="' + a.type + '"/>');
+    });
+    function data_lines(indent, kind, attrs, v) {
+        if(!v || typeof v !== 'object')
+            return [];
+        return attrs.filter(function(a) {
+            return v[a.name] !== undefined && v[a.name] !== null;
+        }).map(function(a) {
+            return indent + '<data key="' + xml_escape(key_id(kind, a.name)) + '">' +
+                xml_escape(v[a.name]) + '</data>';
+        });
+    }
+
+    var cluster_nodes = {}, cluster_children = {}, top_nodes = [], top_clusters = [];
+    nodes.forEach(function(n) {
+        var cl = diagram.nodeParentCluster.eval(n);
+        if(cl && diagram.getWholeCluster(cl)) {
+            cluster_nodes[cl] = cluster_nodes[cl] || [];
+            cluster_nodes[cl].push(n);
+        }
+        else top_nodes.push(n);
+    });
+    clusters.forEach(function(c) {
+        var p = diagram.clusterParent.eval(c);
+        if(p && diagram.getWholeCluster(p)) {
+            cluster_children[p] = cluster_children[p] || [];
+            cluster_children[p].push(c);
+        }
+        else top_clusters.push(c);
+    });
+
+    function print_node(indent, n) {
+        var data = data_lines(indent + '  ', 'node', nattrs, value(n));
+        var id = xml_escape(diagram.nodeKey.eval(n));
+        if(data.length) {
+            lines.push(indent + '<node id="' + id + '">');
+            lines = lines.concat(data);
+            lines.push(indent + '</node>');
+        }
+        else lines.push(indent + '<node id="' + id + '"/>');
+    }
+    function print_cluster(indent, c) {
+        var key = diagram.clusterKey.eval(c);
+        lines.push(indent + '<node id="' + xml_escape(key) + '">');
+        lines = lines.concat(data_lines(indent + '  ', 'node', nattrs, value(c)));
+        lines.push(indent + '  <graph id="' + xml_escape(key) + ':" edgedefault="directed">');
+        (cluster_children[key] || []).forEach(print_cluster.bind(null, indent + '    '));
+        (cluster_nodes[key] || []).forEach(print_node.bind(null, indent + '    '));
+        lines.push(indent + '  </graph>');
+        lines.push(indent + '</node>');
+    }
+
+    lines.push('  <graph id="G" edgedefault="directed">');
+    top_clusters.forEach(print_cluster.bind(null, '    '));
+    top_nodes.forEach(print_node.bind(null, '    '));
+    edges.forEach(function(e) {
+        var data = data_lines('      ', 'edge', eattrs, value(e));
+        var open = '    <edge id="' + xml_escape(diagram.edgeKey.eval(e)) +
+                '" source="' + xml_escape(diagram.edgeSource.eval(e)) +
+                '" target="' + xml_escape(diagram.edgeTarget.eval(e)) + '"';
+        if(data.length) {
+            lines.push(open + '>');
+            lines = lines.concat(data);
+            lines.push('    </edge>');
+        }
+        else lines.push(open + '/>');
+    });
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    lines.push('');
+    return lines.join('\n');
+};
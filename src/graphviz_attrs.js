@@ -110,8 +110,27 @@ dc_graph.apply_graphviz_accessors = function(diagram) {
             .clusterFill(function(c) {
                 return c.value.style === 'filled' ? c.value.fillcolor || c.value.color || c.value.bgcolor : null;
             })
+            .clusterStrokeDashArray(function(c) {
+                switch(c.value.style) {
+                case 'dotted':
+                    return [1,5];
+                case 'dashed':
+                    return [5,5];
+                }
+                return null;
+            })
             .clusterLabel(function(c) {
                 return c.value.label;
+            })
+            .clusterLabelFill(function(c) {
+                return c.value.fontcolor || 'black';
+            })
+            .clusterLabelAlignment(function(c) {
+                // graphviz default is top center
+                return [
+                    c.value.labelloc === 'b' ? 'bottom' : 'top',
+                    {l: 'left', r: 'right'}[c.value.labeljust] || 'center'
+                ];
             });
     }
 };
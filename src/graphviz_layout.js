@@ -63,7 +63,8 @@ dc_graph.graphviz_layout = function(id, layout, server) {
             lines.push(indent + 'subgraph "' + c + '" {');
             if(cluster_children[c])
                 cluster_children[c].forEach(print_subgraph.bind(null, i+1));
-            lines.push(indent + '  ' + cluster_nodes[c].join(' '));
+            if(cluster_nodes[c])
+                lines.push(indent + '  ' + cluster_nodes[c].join(' '));
             lines.push(indent + '}');
         }
         tops.forEach(print_subgraph.bind(null, 1));
@@ -73,7 +74,7 @@ dc_graph.graphviz_layout = function(id, layout, server) {
                 stringize_property('width', v.width/72),
                 stringize_property('height', v.height/72),
                 stringize_property('fixedsize', 'shape'),
-                stringize_property('shape', v.abstract.shape)
+                stringize_property('shape', v.abstract ? v.abstract.shape : 'ellipse')
             ];
             if(v.dcg_nodeFixed)
                 props.push(stringize_property('pos', [
@@ -0,0 +1,350 @@
+/**
+ * `dc_graph.headless_layout` runs a layout engine without a DOM, for example to precompute
+ * layouts offline in node.js and ship the positions to the browser, where they can be displayed
+ * with {@link dc_graph.manual_layout manual_layout}.
+ *
+ * It takes the same data and the same accessors as {@link dc_graph.diagram diagram}: nodes, edges
+ * and clusters are arrays in the form of crossfilter group `.all()` results (by default
+ * `{key, value}`), and nodes are sized by shape, radius, padding and label the way the diagram
+ * sizes them. Since text can't be measured without a DOM, label sizes come from
+ * `nodeLabelSize`, or are estimated from the `fontSize`.
+ *
+ * In node.js, use the `dc.graph.headless.js` build, which needs only `d3` version 3 and
+ * whichever of `webcola`, `dagre`, `d3-force`, `css-layout`, `yoga-layout` and `viz.js` the
+ * chosen engine uses.
+ * @class headless_layout
+ * @memberof dc_graph
+ * @example
+ * var dc_graph = require('dc.graph/dc.graph.headless.js');
+ * var result = dc_graph.headless_layout()
+ *     .layoutEngine(dc_graph.spawn_engine('dagre', {rankdir: 'LR'}))
+ *     .layout(nodes, edges);
+ * fs.writeFileSync('layout.json', JSON.stringify(result));
+ * @return {dc_graph.headless_layout}
+ **/
+dc_graph.headless_layout = function() {
+    function label_size(n) {
+        var lines = _layout.nodeLabel.eval(n);
+        if(!lines)
+            return null;
+        if(typeof lines === 'string')
+            lines = [lines];
+        if(_layout.nodeLabelSize())
+            return _layout.nodeLabelSize.eval(n);
+        var fontSize = _layout.fontSize.eval(n);
+        return {
+            width: d3.max(lines, function(line) { return String(line).length; }) * fontSize * 0.6,
+            height: ((lines.length - 1) * _layout.nodeLineHeight() + 1) * fontSize
+        };
+    }
+
+    function size_nodes(wnodes) {
+        var infer = infer_shape(_layout);
+        wnodes.forEach(function(n) {
+            infer(n);
+            var shape = _layout.shape(n.dcg_shape.shape), bbox = null;
+            if((!shape.useTextSize || shape.useTextSize(n.dcg_shape)) && _layout.nodeFitLabel.eval(n)) {
+                var size = label_size(n);
+                if(size) {
+                    var padding = node_label_padding(_layout, n);
+                    bbox = {
+                        x: -size.width/2,
+                        y: -size.height/2,
+                        width: size.width + padding.x*2,
+                        height: size.height + padding.y*2
+                    };
+                }
+            }
+            size_node(shape, _layout, n, bbox);
+            // polygons compute their points when they are drawn
+            if(n.dcg_shape.shape === 'polygon')
+                polygon_attrs(_layout, n).d(n);
+        });
+    }
+
+    function straight_edge(source, target) {
+        var dx = target.cola.x - source.cola.x, dy = target.cola.y - source.cola.y,
+            len = Math.hypot(dx, dy) || 1;
+        // cast the rays far enough to leave the shapes, even if the nodes overlap
+        dx = dx/len*1000;
+        dy = dy/len*1000;
+        var sp = _layout.shape(source.dcg_shape.shape).intersect_vec(source, dx, dy) || {x: 0, y: 0},
+            tp = _layout.shape(target.dcg_shape.shape).intersect_vec(target, -dx, -dy) || {x: 0, y: 0};
+        return [
+            {x: source.cola.x + sp.x, y: source.cola.y + sp.y},
+            {x: target.cola.x + tp.x, y: target.cola.y + tp.y}
+        ];
+    }
+
+    function get_engine() {
+        var engine = _layout.layoutEngine();
+        if(typeof engine === 'string')
+            engine = dc_graph.spawn_engine(engine, {}, 'sync');
+        else if(!engine.run)
+            engine = dc_graph.sync_layout(engine);
+        if(engine.parent)
+            engine.parent(_layout);
+        return engine;
+    }
+
+    var _layout = {
+        /**
+         * The layout engine to use, either an engine object or the name of a registered engine.
+         * The engine is run synchronously using {@link dc_graph.sync_layout sync_layout}.
+         * @method layoutEngine
+         * @memberof dc_graph.headless_layout
+         * @instance
+         * @param {Object|String} [layoutEngine='cola']
+         * @return {Object|String}
+         * @return {dc_graph.headless_layout}
+         **/
+        layoutEngine: property('cola'),
+        /**
+         * The width of the layout area, which some engines use to center or scale the layout.
+         * @method width
+         * @memberof dc_graph.headless_layout
+         * @instance
+         * @param {Number} [width=1000]
+         * @return {Number}
+         * @return {dc_graph.headless_layout}
+         **/
+        width: property(1000),
+        /**
+         * The height of the layout area.
+         * @method height
+         * @memberof dc_graph.headless_layout
+         * @instance
+         * @param {Number} [height=1000]
+         * @return {Number}
+         * @return {dc_graph.headless_layout}
+         **/
+        height: property(1000),
+        /**
+         * Function which returns the `{width, height}` of a node's label, in pixels. If null,
+         * the size is estimated from the number of lines and characters, and the `fontSize`.
+         * @method nodeLabelSize
+         * @memberof dc_graph.headless_layout
+         * @instance
+         * @param {Function} [nodeLabelSize=null]
+         * @return {Function}
+         * @return {dc_graph.headless_layout}
+         **/
+        nodeLabelSize: property(null),
+        /**
+         * The font size in pixels used to estimate label sizes, matching the `.node-label` style.
+         * @method fontSize
+         * @memberof dc_graph.headless_layout
+         * @instance
+         * @param {Function|Number} [fontSize=18]
+         * @return {Function|Number}
+         * @return {dc_graph.headless_layout}
+         **/
+        fontSize: property(18),
+
+        // the following have the same meaning and defaults as the diagram accessors
+        nodeKey: property(function(kv) {
+            return kv.key;
+        }),
+        edgeKey: property(function(kv) {
+            return kv.key;
+        }),
+        edgeSource: property(function(kv) {
+            return kv.value.sourcename;
+        }),
+        edgeTarget: property(function(kv) {
+            return kv.value.targetname;
+        }),
+        clusterKey: property(function(kv) {
+            return kv.key;
+        }),
+        clusterParent: property(null),
+        nodeParentCluster: property(null),
+        nodeRadius: property(25),
+        nodeStrokeWidth: property(1),
+        nodePadding: property(6),
+        nodeLabelPadding: property(0),
+        nodeLineHeight: property(1),
+        nodeLabel: property(function(kv) {
+            return kv.value.label || kv.value.name;
+        }),
+        nodeFitLabel: property(true),
+        nodeShape: property(default_shape),
+        shape: named_children(),
+        nodeFixed: property(null),
+        edgeLength: property(function(kv) {
+            return kv.value.distance;
+        }),
+        // engines which constrain or annotate nodes may ask for these
+        nodeRadiusAccessor: function() {
+            return this.nodeRadius.apply(this, arguments);
+        },
+
+        /**
+         * Lays out the nodes, edges and clusters, and returns the result as plain data which
+         * can be written as JSON:
+         * * `nodes` - `{key, x, y, width, height}`, with `x` and `y` at the center
+         * * `edges` - `{key, source, target, points, path}`; `points` are the cubic bezier
+         * control points of routed edges, or the two ends of a straight edge, clipped to the node
+         * shapes, and `path` is the SVG path
+         * * `clusters` - `{key, bounds}`, for engines which lay out clusters
+         * * `bounds` - `{left, top, right, bottom}` of everything
+         *
+         * Edges whose ends are missing, and self-loops, are left out, as in the diagram.
+         * @method layout
+         * @memberof dc_graph.headless_layout
+         * @instance
+         * @param {Array} nodes
+         * @param {Array} edges
+         * @param {Array} [clusters]
+         * @param {Array} [constraints] - cola constraints, with node keys or indices
+         * @return {Object}
+         **/
+        layout: function(nodes, edges, clusters, constraints) {
+            var engine = get_engine();
+            var _nodes = {};
+            var wnodes = nodes.map(function(v) {
+                var n = {orig: v, cola: {}};
+                n.cola.dcg_nodeKey = _layout.nodeKey.eval(n);
+                n.cola.dcg_nodeParentCluster = _layout.nodeParentCluster.eval(n);
+                if(_layout.nodeFixed())
+                    n.cola.dcg_nodeFixed = _layout.nodeFixed.eval(n);
+                engine.populateLayoutNode(n.cola, n);
+                _nodes[n.cola.dcg_nodeKey] = n;
+                return n;
+            });
+            var wedges = (edges || []).map(function(e) {
+                var e1 = {orig: e, cola: {}};
+                e1.cola.dcg_edgeKey = _layout.edgeKey.eval(e1);
+                e1.cola.dcg_edgeSource = _layout.edgeSource.eval(e1);
+                e1.cola.dcg_edgeTarget = _layout.edgeTarget.eval(e1);
+                e1.source = _nodes[e1.cola.dcg_edgeSource];
+                e1.target = _nodes[e1.cola.dcg_edgeTarget];
+                engine.populateLayoutEdge(e1.cola, e1);
+                return e1;
+            }).filter(function(e) {
+                return e.source && e.target && e.source !== e.target;
+            });
+            var wclusters = (clusters || []).map(function(c) {
+                var c1 = {orig: c};
+                c1.cola = {
+                    dcg_clusterKey: _layout.clusterKey.eval(c1),
+                    dcg_clusterParent: _layout.clusterParent.eval(c1)
+                };
+                return c1;
+            });
+            size_nodes(wnodes);
+            wedges.forEach(function(e) {
+                e.cola.dcg_edgeLength = _layout.edgeLength.eval(e);
+            });
+            var index = {};
+            wnodes.forEach(function(n, i) {
+                index[n.cola.dcg_nodeKey] = i;
+            });
+            // cola constraints use indices
+            constraints = (constraints || []).map(function(c) {
+                c = Object.assign({}, c);
+                if(c.left !== undefined && index[c.left] !== undefined)
+                    c.left = index[c.left];
+                if(c.right !== undefined && index[c.right] !== undefined)
+                    c.right = index[c.right];
+                if(c.offsets)
+                    c.offsets = c.offsets.map(function(o) {
+                        return Object.assign({}, o, {node: index[o.node] !== undefined ? index[o.node] : o.node});
+                    });
+                return c;
+            });
+
+            var result = engine.run(
+                {width: _layout.width(), height: _layout.height()},
+                wnodes.map(function(v) {
+                    var lv = Object.assign({}, v.cola, v.dcg_shape);
+                    if(engine.annotateNode)
+                        engine.annotateNode(lv, v);
+                    else if(engine.extractNodeAttrs)
+                        Object.keys(engine.extractNodeAttrs()).forEach(function(key) {
+                            lv[key] = engine.extractNodeAttrs()[key](v.orig);
+                        });
+                    return lv;
+                }),
+                wedges.map(function(e) {
+                    var le = Object.assign({}, e.cola);
+                    if(engine.annotateEdge)
+                        engine.annotateEdge(le, e);
+                    else if(engine.extractEdgeAttrs)
+                        Object.keys(engine.extractEdgeAttrs()).forEach(function(key) {
+                            le[key] = engine.extractEdgeAttrs()[key](e.orig);
+                        });
+                    return le;
+                }),
+                wclusters.map(function(c) {
+                    return c.cola;
+                }),
+                constraints);
+
+            result.nodes.forEach(function(rn) {
+                var n = _nodes[rn.dcg_nodeKey];
+                if(n) {
+                    n.cola.x = rn.x;
+                    n.cola.y = rn.y;
+                }
+            });
+            var points = {};
+            result.edges.forEach(function(re) {
+                if(re.points)
+                    points[re.dcg_edgeKey] = re.points;
+            });
+            var left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+            function include(x0, y0, x1, y1) {
+                left = Math.min(left, x0);
+                top = Math.min(top, y0);
+                right = Math.max(right, x1);
+                bottom = Math.max(bottom, y1);
+            }
+            var rnodes = wnodes.map(function(n) {
+                var w = n.cola.width, h = n.cola.height;
+                include(n.cola.x - w/2, n.cola.y - h/2, n.cola.x + w/2, n.cola.y + h/2);
+                return {
+                    key: n.cola.dcg_nodeKey,
+                    x: n.cola.x,
+                    y: n.cola.y,
+                    width: w,
+                    height: h
+                };
+            });
+            var redges = wedges.map(function(e) {
+                var pts = points[e.cola.dcg_edgeKey] || straight_edge(e.source, e.target);
+                pts.forEach(function(p) {
+                    include(p.x, p.y, p.x, p.y);
+                });
+                return {
+                    key: e.cola.dcg_edgeKey,
+                    source: e.cola.dcg_edgeSource,
+                    target: e.cola.dcg_edgeTarget,
+                    points: pts,
+                    path: generate_path(pts, pts.length > 2 ? 3 : 1)
+                };
+            });
+            var rclusters = result.clusters.filter(function(c) {
+                return c.bounds;
+            }).map(function(c) {
+                include(c.bounds.left, c.bounds.top, c.bounds.right, c.bounds.bottom);
+                return {
+                    key: c.dcg_clusterKey,
+                    bounds: Object.assign({}, c.bounds)
+                };
+            });
+            return {
+                nodes: rnodes,
+                edges: redges,
+                clusters: rclusters,
+                bounds: left <= right ? {left: left, top: top, right: right, bottom: bottom} : null
+            };
+        }
+    };
+    _layout.shape('nothing', dc_graph.no_shape());
+    _layout.shape('ellipse', dc_graph.ellipse_shape());
+    _layout.shape('polygon', dc_graph.polygon_shape());
+    _layout.shape('rounded-rect', dc_graph.rounded_rectangle_shape());
+    _layout.shape('elaborated-rect', dc_graph.elaborated_rectangle_shape());
+    return _layout;
+};
@@ -0,0 +1,4 @@
+(function() { function _dc_graph_headless(d3, engines) {
+'use strict';
+var cola = engines.cola, dagre = engines.dagre, d3v4 = engines.d3v4,
+    yogaLayout = engines.yogaLayout, computeLayout = engines.computeLayout, Viz = engines.Viz;
@@ -0,0 +1,28 @@
+dc_graph.d3 = d3;
+
+return dc_graph;
+}
+    // the layout libraries are optional: only the ones used by the chosen engines are needed
+    function optional_require(name) {
+        try {
+            return require(name);
+        }
+        catch(xep) {
+            return undefined;
+        }
+    }
+    var _d3 = require('d3');
+    // webcola's d3 v3 adaptor looks for d3 as a global
+    if(typeof global.d3 === 'undefined')
+        global.d3 = _d3;
+    var _cssLayout = optional_require('css-layout');
+    module.exports = _dc_graph_headless(_d3, {
+        cola: optional_require('webcola'),
+        dagre: optional_require('dagre'),
+        d3v4: optional_require('./d3v4-force.js'),
+        yogaLayout: optional_require('yoga-layout'),
+        computeLayout: _cssLayout && (_cssLayout.computeLayout || _cssLayout),
+        Viz: optional_require('viz.js')
+    });
+}
+)();
@@ -39,6 +39,7 @@ dc_graph.highlight_neighbors = function(includeprops, excludeprops, neighborsgro
     }
 
     var _mode = dc_graph.mode('highlight-neighbors', {
+        renderers: ['svg', 'canvas', 'webgl'],
         draw: draw,
         remove: function(diagram, node, edge) {
             remove(diagram, node, edge);
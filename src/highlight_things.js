@@ -28,6 +28,7 @@ dc_graph.highlight_things = function(includeprops, excludeprops, modename, group
         diagram.cascade(cascbase + 10, false, excludeprops);
     }
     var _mode = dc_graph.mode(modename, {
+        renderers: ['svg', 'canvas', 'webgl'],
         draw: draw,
         remove: remove,
         parent: function(p) {
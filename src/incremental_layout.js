@@ -0,0 +1,255 @@
+/**
+ * `dc_graph.incremental_layout` keeps the layout stable when nodes and edges are added or
+ * removed, e.g. through {@link dc_graph.draw_graphs draw_graphs} or
+ * {@link dc_graph.delete_things delete_things}, so that readers keep their mental map of the
+ * graph. It works with cola, d3v4force and dagre, whether they run directly, in a web worker,
+ * or synchronously:
+ * * Nodes which were already in the layout are seeded with their previous positions, and new
+ * nodes are placed near their neighbors which already have positions. (cola and d3v4force start
+ * from these positions; dagre always lays out from scratch.)
+ * * After layout, the result is shifted so that the nodes which were already there stay
+ * centered where they were, and each of those nodes is moved at most `maxDisplacement` from its
+ * previous position. Routed edges which touch a node that was held back are drawn straight.
+ * * A `stability` event reports how much the layout changed.
+ *
+ * Like {@link dc_graph.sync_layout sync_layout}, this modifies and returns the engine itself.
+ * The adjustments are applied to the final positions, not to the positions of each tick.
+ * @class incremental_layout
+ * @memberof dc_graph
+ * @param {Object} layoutEngine - the engine whose layouts should be incremental
+ * @example
+ * var engine = dc_graph.incremental_layout(dc_graph.spawn_engine('cola', {}, true))
+ *     .maxDisplacement(50)
+ *     .on('stability', function(report) {
+ *         console.log('stability', report.stability, 'mean displacement', report.meanDisplacement);
+ *     });
+ * diagram.layoutEngine(engine);
+ * @return {Object} the same engine
+ **/
+dc_graph.incremental_layout = function(layoutEngine) {
+    var _data = layoutEngine.data, _on = layoutEngine.on;
+    var _dispatch = d3.dispatch('stability');
+    // last known position of each node, by key
+    var _positions = {};
+    // positions before the current layout, the current edges, and the nodes of the last layout,
+    // by key
+    var _previous = {}, _edges = {}, _laidOut = {};
+    var _stability = null;
+
+    function has_position(n) {
+        return n && typeof n.x === 'number' && typeof n.y === 'number' && !isNaN(n.x) && !isNaN(n.y);
+    }
+
+    // place nodes which have no position near their neighbors which do, repeating so that chains
+    // of new nodes are placed one after the other
+    function place_new_nodes(nodes, edges) {
+        var byKey = {}, neighbors = {};
+        nodes.forEach(function(n) {
+            byKey[n.dcg_nodeKey] = n;
+            neighbors[n.dcg_nodeKey] = [];
+        });
+        edges.forEach(function(e) {
+            if(neighbors[e.dcg_edgeSource] && neighbors[e.dcg_edgeTarget]) {
+                neighbors[e.dcg_edgeSource].push(e.dcg_edgeTarget);
+                neighbors[e.dcg_edgeTarget].push(e.dcg_edgeSource);
+            }
+        });
+        var distance = engine.newNodeDistance(), count = 0;
+        function place(n) {
+            var positioned = neighbors[n.dcg_nodeKey].map(function(k) {
+                return byKey[k];
+            }).filter(has_position);
+            if(!positioned.length)
+                return false;
+            var angle = count++ * 2.399963, // golden angle, so that siblings spread out
+                r = positioned.length === 1 ? distance : distance/2;
+            n.x = d3.mean(positioned, function(m) { return m.x; }) + r*Math.cos(angle);
+            n.y = d3.mean(positioned, function(m) { return m.y; }) + r*Math.sin(angle);
+            return true;
+        }
+        function unplaced(n) {
+            return !has_position(n);
+        }
+        var remaining = nodes.filter(unplaced);
+        while(remaining.length && remaining.filter(place).length)
+            remaining = remaining.filter(unplaced);
+    }
+
+    function adjust(nodes, edges) {
+        var kept = nodes.filter(function(n) {
+            return has_position(n) && _previous[n.dcg_nodeKey];
+        });
+        var added = nodes.filter(has_position).length - kept.length;
+        var present = {};
+        nodes.forEach(function(n) {
+            present[n.dcg_nodeKey] = true;
+        });
+        var removed = Object.keys(_laidOut).filter(function(k) {
+            return !present[k];
+        }).length;
+        _laidOut = present;
+        var dx = 0, dy = 0, held = {};
+        if(kept.length) {
+            if(engine.align()) {
+                dx = d3.mean(kept, function(n) { return _previous[n.dcg_nodeKey].x - n.x; });
+                dy = d3.mean(kept, function(n) { return _previous[n.dcg_nodeKey].y - n.y; });
+                nodes.forEach(function(n) {
+                    if(has_position(n) && !n.dcg_nodeFixed) {
+                        n.x += dx;
+                        n.y += dy;
+                    }
+                });
+                edges.forEach(function(e) {
+                    if(e.points)
+                        e.points.forEach(function(p) {
+                            p.x += dx;
+                            p.y += dy;
+                        });
+                });
+            }
+            var max = engine.maxDisplacement();
+            if(max !== null)
+                kept.forEach(function(n) {
+                    var prev = _previous[n.dcg_nodeKey],
+                        ddx = n.x - prev.x, ddy = n.y - prev.y,
+                        len = Math.hypot(ddx, ddy);
+                    if(len > max) {
+                        n.x = prev.x + ddx*max/len;
+                        n.y = prev.y + ddy*max/len;
+                        held[n.dcg_nodeKey] = true;
+                    }
+                });
+            edges.forEach(function(e) {
+                var e0 = _edges[e.dcg_edgeKey];
+                if(e.points && e0 && (held[e0.dcg_edgeSource] || held[e0.dcg_edgeTarget]))
+                    delete e.points;
+            });
+        }
+        var displacements = kept.map(function(n) {
+            var prev = _previous[n.dcg_nodeKey];
+            return {
+                distance: Math.hypot(n.x - prev.x, n.y - prev.y),
+                size: Math.max(n.width || 0, n.height || 0)
+            };
+        });
+        _stability = {
+            kept: kept.length,
+            added: added,
+            removed: removed,
+            held: Object.keys(held).length,
+            shift: {x: dx, y: dy},
+            meanDisplacement: d3.mean(displacements, function(d) { return d.distance; }) || 0,
+            maxDisplacement: d3.max(displacements, function(d) { return d.distance; }) || 0,
+            stability: kept.length ? displacements.filter(function(d) {
+                return d.distance <= d.size/2;
+            }).length / kept.length : 1
+        };
+        nodes.forEach(function(n) {
+            if(has_position(n))
+                _positions[n.dcg_nodeKey] = {x: n.x, y: n.y};
+        });
+        _dispatch.stability(_stability);
+    }
+
+    var engine = layoutEngine;
+    engine.data = function(graph, nodes, edges, clusters, constraints) {
+        _previous = {};
+        _edges = {};
+        nodes.forEach(function(n) {
+            if(n.dcg_nodeFixed)
+                return;
+            if(!has_position(n) && _positions[n.dcg_nodeKey]) {
+                n.x = _positions[n.dcg_nodeKey].x;
+                n.y = _positions[n.dcg_nodeKey].y;
+            }
+            if(has_position(n))
+                _previous[n.dcg_nodeKey] = {x: n.x, y: n.y};
+        });
+        (edges || []).forEach(function(e) {
+            _edges[e.dcg_edgeKey] = e;
+        });
+        place_new_nodes(nodes, edges || []);
+        return _data.apply(this, arguments);
+    };
+    engine.on = function(event, f) {
+        if(event.split('.')[0] === 'stability') {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        }
+        return _on.apply(this, arguments);
+    };
+    // registered before anyone else listens, so it adjusts the positions before they are used
+    _on.call(engine, 'end.incremental-layout', function(nodes, edges) {
+        adjust(nodes, edges || []);
+    });
+    /**
+     * The maximum distance in pixels that a node which was already in the layout may move in
+     * one update, or null for no limit.
+     * @method maxDisplacement
+     * @memberof dc_graph.incremental_layout
+     * @instance
+     * @param {Number} [maxDisplacement=null]
+     * @return {Number}
+     * @return {dc_graph.incremental_layout}
+     **/
+    engine.maxDisplacement = property(null);
+    /**
+     * The distance from its neighbor at which a new node is placed, if it has one neighbor
+     * with a position; new nodes with more neighbors are placed around their center.
+     * @method newNodeDistance
+     * @memberof dc_graph.incremental_layout
+     * @instance
+     * @param {Number} [newNodeDistance=60]
+     * @return {Number}
+     * @return {dc_graph.incremental_layout}
+     **/
+    engine.newNodeDistance = property(60);
+    /**
+     * Whether to shift each new layout so that the nodes which were already there keep their
+     * average position.
+     * @method align
+     * @memberof dc_graph.incremental_layout
+     * @instance
+     * @param {Boolean} [align=true]
+     * @return {Boolean}
+     * @return {dc_graph.incremental_layout}
+     **/
+    engine.align = property(true);
+    /**
+     * Gets or sets the remembered node positions, `{key: {x, y}}`, which seed the next layout.
+     * These can be saved and set again to continue from an earlier layout.
+     * @method positions
+     * @memberof dc_graph.incremental_layout
+     * @instance
+     * @param {Object} [positions]
+     * @return {Object}
+     * @return {dc_graph.incremental_layout}
+     **/
+    engine.positions = function(positions) {
+        if(!arguments.length)
+            return Object.assign({}, _positions);
+        _positions = Object.assign({}, positions);
+        return this;
+    };
+    /**
+     * The stability report of the last layout, which is also passed to the `stability` event:
+     * * `kept`, `added`, `removed` - the number of nodes which had positions before this layout
+     * (including nodes which were removed earlier and came back), are new, or are gone since the
+     * last layout
+     * * `held` - the number of nodes which were held back by `maxDisplacement`
+     * * `shift` - the `{x, y}` by which the layout was moved to align it
+     * * `meanDisplacement`, `maxDisplacement` - how far the kept nodes moved
+     * * `stability` - the fraction of the kept nodes which moved less than half their size,
+     * from 0 to 1
+     * @method stability
+     * @memberof dc_graph.incremental_layout
+     * @instance
+     * @return {Object}
+     **/
+    engine.stability = function() {
+        return _stability;
+    };
+    return engine;
+};
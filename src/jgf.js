@@ -0,0 +1,136 @@
+// JSON Graph Format reader and writer, versions 1 and 2
+// https://jsongraphformat.info/
+
+function is_jgf(data) {
+    var graph = data && typeof data === 'object' && (data.graph || data.graphs && data.graphs[0]);
+    return !!(graph && typeof graph === 'object' && graph.nodes && !data.nodes && !data.elements);
+}
+
+// JGF has no standard fields for positions or nesting; we use metadata x/y or position,
+// and metadata parent. nodes which are the parent of another node are clusters
+function process_jgf(data) {
+    var graph = data.graph || data.graphs[0];
+    // v1 nodes are an array with ids, v2 nodes are an object keyed by id
+    var jnodes = Array.isArray(graph.nodes) ? graph.nodes : Object.keys(graph.nodes).map(function(id) {
+        return Object.assign({id: id}, graph.nodes[id]);
+    });
+    var jedges = graph.edges || [];
+    var directed = graph.directed !== false;
+    function read(elem) {
+        var row = Object.assign({}, elem.metadata);
+        if(elem.label !== undefined)
+            row.label = elem.label;
+        if(row.position && typeof row.position === 'object') {
+            row.x = row.position.x;
+            row.y = row.position.y;
+            delete row.position;
+        }
+        return row;
+    }
+    var parents = d3.set(jnodes.map(function(n) {
+        return n.metadata && n.metadata.parent;
+    }).filter(function(p) {
+        return p !== undefined && p !== null;
+    }));
+    var nodes = [], edges = [], node_cluster = {}, clusters = [], node_index = {};
+    jnodes.forEach(function(n) {
+        var row = read(n), parent = row.parent !== undefined ? row.parent : null;
+        delete row.parent;
+        if(parents.has(n.id))
+            clusters.push(Object.assign(row, {parent: parent, key: n.id}));
+        else {
+            node_index[n.id] = nodes.length;
+            nodes.push(Object.assign(row, {id: nodes.length, name: n.id}));
+            node_cluster[n.id] = parent;
+        }
+    });
+    jedges.forEach(function(e) {
+        var row = read(e);
+        if(e.id !== undefined)
+            row.key = e.id;
+        if(e.relation !== undefined)
+            row.relation = e.relation;
+        if(e.directed !== undefined ? !e.directed : !directed)
+            row.undirected = true;
+        row.sourcename = e.source;
+        row.targetname = e.target;
+        row.source = node_index[e.source];
+        row.target = node_index[e.target];
+        edges.push(row);
+    });
+    var attrs = Object.assign({}, graph.metadata);
+    ['id', 'label', 'type'].forEach(function(k) {
+        if(graph[k] !== undefined)
+            attrs[k] = graph[k];
+    });
+    return {
+        nodes: nodes,
+        links: edges,
+        node_cluster: node_cluster,
+        clusters: clusters,
+        graph: attrs
+    };
+}
+
+/**
+ * Convert the nodes, edges and clusters currently displayed in a diagram to JSON Graph Format
+ * version 2, which can be read back with {@link dc_graph.load_graph load_graph}.
+ *
+ * The fields of node and edge values are written as `metadata`. Since JGF does not define
+ * nesting or positions, clusters are written as nodes, with `metadata.parent` on their children,
+ * and node positions from the last layout are written as `metadata.x` and `metadata.y`.
+ * @method export_jgf
+ * @memberof dc_graph
+ * @param {dc_graph.diagram} diagram
+ * @return {Object} `{graph: {directed, nodes, edges}}`; use `JSON.stringify` to write it out
+ **/
+dc_graph.export_jgf = function(diagram) {
+    var nodes = diagram.nodeGroup().all().map(function(n) {
+        return diagram.getWholeNode(n.key);
+    }).filter(function(n) { return n; });
+    var edges = diagram.edgeGroup().all().map(function(e) {
+        return diagram.getWholeEdge(e.key);
+    }).filter(function(e) { return e; });
+    var clusters = diagram.clusterGroup() ? diagram.clusterGroup().all().map(function(c) {
+        return diagram.getWholeCluster(c.key);
+    }).filter(function(c) { return c; }) : [];
+
+    var structural = ['id', 'name', 'key', 'parent', 'source', 'target', 'sourcename', 'targetname',
+                      'label', 'x', 'y', 'undirected'];
+    function element(value, parent) {
+        var ret = {}, metadata = json_fields(value, structural);
+        if(value && value.label !== undefined)
+            ret.label = String(value.label);
+        if(parent && diagram.getWholeCluster(parent))
+            metadata.parent = parent;
+        if(Object.keys(metadata).length)
+            ret.metadata = metadata;
+        return ret;
+    }
+    var jnodes = {};
+    clusters.forEach(function(c) {
+        jnodes[diagram.clusterKey.eval(c)] = element(c.orig.value, diagram.clusterParent.eval(c));
+    });
+    nodes.forEach(function(n) {
+        var node = jnodes[diagram.nodeKey.eval(n)] = element(n.orig.value, diagram.nodeParentCluster.eval(n));
+        if(n.cola && !isNaN(n.cola.x) && !isNaN(n.cola.y))
+            node.metadata = Object.assign(node.metadata || {}, {x: n.cola.x, y: n.cola.y});
+    });
+    var jedges = edges.map(function(e) {
+        var edge = Object.assign({
+            id: String(diagram.edgeKey.eval(e)),
+            source: String(diagram.edgeSource.eval(e)),
+            target: String(diagram.edgeTarget.eval(e))
+        }, element(e.orig.value));
+        if(e.orig.value && e.orig.value.undirected)
+            edge.directed = false;
+        return edge;
+    });
+    return {
+        graph: {
+            directed: true,
+            nodes: jnodes,
+            edges: jedges
+        }
+    };
+};
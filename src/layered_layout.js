@@ -10,7 +10,7 @@ dc_graph.layered_layout = function(id) {
     var _layoutId = id || uuid();
     var _dispatch = d3.dispatch('tick', 'start', 'end');
     var _supergraph, _subgraphs;
-    var _layers;
+    var _layers, _order;
     var _options = null;
 
     function init(options) {
@@ -80,29 +80,27 @@ dc_graph.layered_layout = function(id) {
             };
         });
         var mi = ranks.indexOf(max);
-        var ups = ranks.slice(mi+1), downs = ranks.slice(0, mi).reverse();
-        layout_layer(max, -1).then(function(layout) {
-            Promise.all([
-                layout_layers(layout, max, ups),
-                layout_layers(layout, max, downs)
-            ]).then(function() {
-                _dispatch.end(
-                    _supergraph.nodes().map(function(n) { return n.value(); }),
-                    _supergraph.edges().map(function(e) { return e.value(); }));
-            });
-        });
+        _order = {
+            max: max,
+            ups: ranks.slice(mi+1),
+            downs: ranks.slice(0, mi).reverse()
+        };
     }
 
-    function layout_layers(layout, last, layers) {
-        if(layers.length === 0)
-            return Promise.resolve(layout);
+    // continuations rather than promises, so that the layout finishes synchronously
+    // if the subengines do
+    function layout_layers(last, layers, k) {
+        if(layers.length === 0) {
+            k();
+            return;
+        }
         var curr = layers.shift();
-        return layout_layer(curr, last).then(function(layout) {
-            return layout_layers(layout, curr, layers);
+        layout_layer(curr, last, function() {
+            layout_layers(curr, layers, k);
         });
     }
 
-    function layout_layer(r, last) {
+    function layout_layer(r, last, k) {
         _subgraphs[r].nodes().forEach(function(n) {
             if(engine.layerAccessor()(n.value()) !== r &&
                n.value().x !== undefined &&
@@ -123,19 +121,9 @@ dc_graph.layered_layout = function(id) {
             _subgraphs[r].edges().map(function(e) {
                 return e.value();
             }));
-        return promise_layout(r, subengine);
-    }
-
-    function promise_layout(r, subengine) {
-        // stopgap - engine.start() should return a promise
-        return new Promise(function(resolve, reject) {
-            subengine.on('end', function(nodes, edges) {
-                resolve({nodes: nodes, edges: edges});
-            });
-            subengine.start();
-        }).then(function(layout) {
+        subengine.on('end', function(nodes, edges) {
             // copy positions back into the subgraph (and hence supergraph)
-            layout.nodes.forEach(function(ln) {
+            nodes.forEach(function(ln) {
                 var n = _subgraphs[r].node(ln.dcg_nodeKey);
                 // do not copy positions for shadow nodes
                 if(engine.layerAccessor()(n.value()) !== r)
@@ -144,12 +132,24 @@ dc_graph.layered_layout = function(id) {
                 n.value().y = ln.y;
                 n.value().z = -r * engine.layerSeparationZ(); // lowest rank at top
             });
-            return layout;
+            k();
         });
+        subengine.start();
     }
 
     function start() {
         _dispatch.start();
+        var order = _order, remaining = 2;
+        function done() {
+            if(--remaining === 0)
+                _dispatch.end(
+                    _supergraph.nodes().map(function(n) { return n.value(); }),
+                    _supergraph.edges().map(function(e) { return e.value(); }));
+        }
+        layout_layer(order.max, -1, function() {
+            layout_layers(order.max, order.ups.slice(), done);
+            layout_layers(order.max, order.downs.slice(), done);
+        });
     }
 
     function stop() {
@@ -0,0 +1,391 @@
+/**
+ * `dc_graph.layout_metrics` measures the quality of a diagram's layout each time the layout
+ * ends, so that layout engines can be compared, regression-tested, or chosen automatically. The
+ * results are an object with
+ * * `engine` - the layout algorithm of the diagram's engine
+ * * `nodes`, `edges` - how many were measured
+ * * `crossings` - the number of places where edge segments cross, not counting edges which share
+ * a node
+ * * `nodeOverlaps`, `nodeOverlapArea` - the number of pairs of nodes whose bounding boxes
+ * overlap, and the total area of the overlaps
+ * * `edgeLengthMean`, `edgeLengthVariance`, `edgeLengthDeviation` - the mean and variance of the
+ * distances between the centers of connected nodes, and the standard deviation divided by the
+ * mean, which does not depend on the scale of the layout
+ * * `angularResolution` - the smallest angle in degrees between two edges at the same node
+ * * `angularResolutionRatio` - the average over nodes with more than one edge of the smallest
+ * angle divided by the ideal angle (360 / the degree), from 0 to 1
+ * * `aspectRatio` - the width divided by the height of the `bounds` of the nodes
+ * * `stress` - how far the distances between nodes are from being proportional to the graph
+ * distances (the number of edges on the shortest path), from 0 (perfect) to 1, after scaling
+ * the layout to fit best, or to `idealLength` if it is set
+ * * `clusterOverlaps`, `clusterOverlapArea` - the number of pairs of clusters whose bounds
+ * overlap without one containing the other, and the total area of the overlaps
+ *
+ * The results are passed to the `metrics` event, and are also available from `.results()`.
+ *
+ * Edges are measured along their routes, if the engine routed them, flattening the cubic bezier
+ * curves into short segments, or else as straight lines between the node centers. To measure a layout outside of a diagram, e.g. the
+ * result of {@link dc_graph.headless_layout headless_layout}, use
+ * {@link dc_graph.layout_metrics.measure dc_graph.layout_metrics.measure}.
+ * @class layout_metrics
+ * @memberof dc_graph
+ * @return {dc_graph.layout_metrics}
+ * @example
+ * diagram.child('layout-metrics', dc_graph.layout_metrics()
+ *     .on('metrics', function(metrics) {
+ *         console.log(metrics.engine, metrics.crossings, 'crossings, stress', metrics.stress);
+ *     }));
+ **/
+dc_graph.layout_metrics = function() {
+    var _dispatch = d3.dispatch('metrics');
+    var _wnodes = [], _wedges = [];
+    var _results = null;
+
+    function received_layout(diagram, nodes, wnodes, edges, wedges) {
+        _wnodes = wnodes;
+        _wedges = wedges;
+    }
+    function diagram_layout(diagram) {
+        var clusters = diagram.clusterGroup() ? diagram.clusterGroup().all().map(function(kv) {
+            return diagram.getWholeCluster(diagram.clusterKey()(kv));
+        }).filter(function(c) {
+            return c && c.cola.bounds;
+        }) : [];
+        return {
+            nodes: _wnodes.map(function(n) {
+                return {
+                    key: n.cola.dcg_nodeKey,
+                    x: n.cola.x,
+                    y: n.cola.y,
+                    width: n.cola.width,
+                    height: n.cola.height
+                };
+            }),
+            edges: _wedges.map(function(e) {
+                return {
+                    key: e.cola.dcg_edgeKey,
+                    source: e.cola.dcg_edgeSource,
+                    target: e.cola.dcg_edgeTarget,
+                    points: e.cola.points
+                };
+            }),
+            clusters: clusters.map(function(c) {
+                return {
+                    key: c.cola.dcg_clusterKey,
+                    bounds: c.cola.bounds
+                };
+            })
+        };
+    }
+    function measure(diagram) {
+        _results = Object.assign({
+            engine: diagram.layoutEngine() ? diagram.layoutEngine().layoutAlgorithm() : null
+        }, dc_graph.layout_metrics.measure(diagram_layout(diagram), {
+            idealLength: _mode.idealLength(),
+            stressSources: _mode.stressSources()
+        }));
+        _dispatch.metrics(_results);
+    }
+    var _mode = {
+        parent: property(null).react(function(p) {
+            if(p) {
+                p.on('receivedLayout.layout-metrics', received_layout);
+                p.on('end.layout-metrics', function() {
+                    measure(p);
+                });
+            } else if(_mode.parent()) {
+                _mode.parent().on('receivedLayout.layout-metrics', null);
+                _mode.parent().on('end.layout-metrics', null);
+            }
+        }),
+        supportsRenderer: function(rendererType) {
+            return true;
+        },
+        /**
+         * Subscribe to the `metrics(results)` event, which fires each time the layout ends.
+         * @method on
+         * @memberof dc_graph.layout_metrics
+         * @instance
+         * @param {String} event
+         * @param {Function} [f]
+         * @return {dc_graph.layout_metrics}
+         **/
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        /**
+         * The metrics of the most recent layout, or null if none has ended yet.
+         * @method results
+         * @memberof dc_graph.layout_metrics
+         * @instance
+         * @return {Object}
+         **/
+        results: function() {
+            return _results;
+        }
+    };
+    /**
+     * The edge length which `stress` compares against, or null to use the scale which fits the
+     * layout best, so that layouts of different sizes can be compared.
+     * @method idealLength
+     * @memberof dc_graph.layout_metrics
+     * @instance
+     * @param {Number} [idealLength=null]
+     * @return {Number|dc_graph.layout_metrics}
+     **/
+    _mode.idealLength = property(null);
+    /**
+     * Stress needs the graph distances between all pairs of nodes; for bigger graphs, it is
+     * estimated from the distances from this many nodes, spread evenly through the nodes.
+     * @method stressSources
+     * @memberof dc_graph.layout_metrics
+     * @instance
+     * @param {Number} [stressSources=1000]
+     * @return {Number|dc_graph.layout_metrics}
+     **/
+    _mode.stressSources = property(1000);
+
+    return _mode;
+};
+
+/**
+ * Measures a layout given as plain data, in the form returned by
+ * {@link dc_graph.headless_layout#layout headless_layout.layout}:
+ * * `nodes` - `{key, x, y, width, height}`, with `x` and `y` at the center
+ * * `edges` - `{key, source, target, points}`, where `points` is optional, and are cubic bezier
+ * control points if given
+ * * `clusters` - `{key, bounds}`, optional
+ *
+ * Returns the metrics described in {@link dc_graph.layout_metrics layout_metrics}, without
+ * `engine`.
+ * @method measure
+ * @memberof dc_graph.layout_metrics
+ * @param {Object} layout
+ * @param {Object} [options] - `{idealLength, stressSources}`, as in
+ * {@link dc_graph.layout_metrics layout_metrics}
+ * @return {Object}
+ * @example
+ * var layout = dc_graph.headless_layout().layoutEngine(engine).layout(nodes, edges),
+ *     metrics = dc_graph.layout_metrics.measure(layout);
+ * assert(metrics.crossings <= 3);
+ **/
+dc_graph.layout_metrics.measure = function(layout, options) {
+    options = options || {};
+    var nodes = layout.nodes, index = {};
+    nodes.forEach(function(n) {
+        index[n.key] = n;
+    });
+    var edges = (layout.edges || []).filter(function(e) {
+        return index[e.source] && index[e.target] && e.source !== e.target;
+    });
+    var clusters = (layout.clusters || []).filter(function(c) {
+        return c.bounds;
+    });
+
+    // routes are cubic bezier control points, so measure along the curves
+    function route(e) {
+        if(!e.points || e.points.length < 2)
+            return [index[e.source], index[e.target]];
+        return (e.points.length - 1) % 3 ? e.points : flatten_path({points: e.points, bezDegree: 3});
+    }
+    var routes = edges.map(route);
+    function box(n) {
+        return {
+            left: n.x - (n.width || 0)/2,
+            top: n.y - (n.height || 0)/2,
+            right: n.x + (n.width || 0)/2,
+            bottom: n.y + (n.height || 0)/2
+        };
+    }
+    function intersection_area(a, b) {
+        var w = Math.min(a.right, b.right) - Math.max(a.left, b.left),
+            h = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+        return w > 0 && h > 0 ? w*h : 0;
+    }
+    function contains(a, b) {
+        return a.left <= b.left && a.top <= b.top && a.right >= b.right && a.bottom >= b.bottom;
+    }
+    function orientation(a, b, c) {
+        var cross = (b.x - a.x)*(c.y - a.y) - (b.y - a.y)*(c.x - a.x);
+        return cross > 0 ? 1 : cross < 0 ? -1 : 0;
+    }
+    // segments which properly cross; touching at an end does not count
+    function segments_cross(s, t) {
+        return orientation(s.p, s.q, t.p) * orientation(s.p, s.q, t.q) < 0 &&
+            orientation(t.p, t.q, s.p) * orientation(t.p, t.q, s.q) < 0;
+    }
+
+    // crossings, by sweeping segments sorted by their left ends
+    var segments = [];
+    edges.forEach(function(e, ei) {
+        var points = routes[ei];
+        for(var i = 1; i < points.length; ++i)
+            segments.push({
+                edge: e,
+                p: points[i-1],
+                q: points[i],
+                left: Math.min(points[i-1].x, points[i].x),
+                right: Math.max(points[i-1].x, points[i].x),
+                top: Math.min(points[i-1].y, points[i].y),
+                bottom: Math.max(points[i-1].y, points[i].y)
+            });
+    });
+    segments.sort(function(a, b) {
+        return a.left - b.left;
+    });
+    var crossings = 0;
+    segments.forEach(function(s, i) {
+        for(var j = i + 1; j < segments.length && segments[j].left <= s.right; ++j) {
+            var t = segments[j];
+            if(t.top > s.bottom || t.bottom < s.top)
+                continue;
+            if(t.edge.source === s.edge.source || t.edge.source === s.edge.target ||
+               t.edge.target === s.edge.source || t.edge.target === s.edge.target)
+                continue;
+            if(segments_cross(s, t))
+                ++crossings;
+        }
+    });
+
+    // node overlaps, the same way
+    var boxes = nodes.map(box).sort(function(a, b) {
+        return a.left - b.left;
+    });
+    var nodeOverlaps = 0, nodeOverlapArea = 0;
+    boxes.forEach(function(a, i) {
+        for(var j = i + 1; j < boxes.length && boxes[j].left < a.right; ++j) {
+            var area = intersection_area(a, boxes[j]);
+            if(area) {
+                ++nodeOverlaps;
+                nodeOverlapArea += area;
+            }
+        }
+    });
+
+    // edge lengths
+    var lengths = edges.map(function(e) {
+        var s = index[e.source], t = index[e.target];
+        return Math.hypot(t.x - s.x, t.y - s.y);
+    });
+    var edgeLengthMean = d3.mean(lengths) || 0,
+        edgeLengthVariance = d3.mean(lengths, function(l) {
+            return (l - edgeLengthMean)*(l - edgeLengthMean);
+        }) || 0;
+
+    // angular resolution, from the direction of the first segment at each end
+    var angles = {};
+    edges.forEach(function(e, ei) {
+        var points = routes[ei], n = points.length,
+            s = index[e.source], t = index[e.target],
+            sp = n > 2 ? points[1] : t, tp = n > 2 ? points[n-2] : s;
+        (angles[e.source] = angles[e.source] || []).push(Math.atan2(sp.y - s.y, sp.x - s.x));
+        (angles[e.target] = angles[e.target] || []).push(Math.atan2(tp.y - t.y, tp.x - t.x));
+    });
+    var minAngle = null, ratios = [];
+    Object.keys(angles).forEach(function(k) {
+        var a = angles[k].sort(function(x, y) { return x - y; });
+        if(a.length < 2)
+            return;
+        var min = a[0] + 2*Math.PI - a[a.length-1];
+        for(var i = 1; i < a.length; ++i)
+            min = Math.min(min, a[i] - a[i-1]);
+        minAngle = minAngle === null ? min : Math.min(minAngle, min);
+        ratios.push(min / (2*Math.PI / a.length));
+    });
+
+    // bounds and aspect ratio
+    var bounds = null;
+    nodes.map(box).forEach(function(b) {
+        bounds = bounds ? {
+            left: Math.min(bounds.left, b.left),
+            top: Math.min(bounds.top, b.top),
+            right: Math.max(bounds.right, b.right),
+            bottom: Math.max(bounds.bottom, b.bottom)
+        } : b;
+    });
+    var aspectRatio = bounds && bounds.bottom > bounds.top ?
+            (bounds.right - bounds.left) / (bounds.bottom - bounds.top) : null;
+
+    // stress over the pairs reachable from the sources, with weights 1/g^2 for graph distance g:
+    // with r = d/g, the best scale is s = sum(r)/sum(r^2), and the normalized stress is
+    // mean((s*r - 1)^2) = 1 - sum(r)^2 / (pairs*sum(r^2))
+    var neighbors = nodes.map(function() { return []; }), nindex = {};
+    nodes.forEach(function(n, i) {
+        nindex[n.key] = i;
+    });
+    edges.forEach(function(e) {
+        neighbors[nindex[e.source]].push(nindex[e.target]);
+        neighbors[nindex[e.target]].push(nindex[e.source]);
+    });
+    var maxSources = options.stressSources || 1000,
+        step = Math.max(1, nodes.length / maxSources),
+        allPairs = step === 1;
+    var pairs = 0, sumR = 0, sumR2 = 0, sumErr = 0,
+        scale = options.idealLength ? 1/options.idealLength : null,
+        dist = new Int32Array(nodes.length), queue = new Int32Array(nodes.length);
+    for(var f = 0; f < nodes.length; f += step) {
+        var src = Math.floor(f), head = 0, tail = 0;
+        dist.fill(-1);
+        dist[src] = 0;
+        queue[tail++] = src;
+        while(head < tail) {
+            var u = queue[head++];
+            for(var k = 0; k < neighbors[u].length; ++k) {
+                var v = neighbors[u][k];
+                if(dist[v] < 0) {
+                    dist[v] = dist[u] + 1;
+                    queue[tail++] = v;
+                }
+            }
+        }
+        for(var q = 1; q < tail; ++q) {
+            var w = queue[q];
+            if(allPairs && w < src)
+                continue;
+            var r = Math.hypot(nodes[w].x - nodes[src].x, nodes[w].y - nodes[src].y) / dist[w];
+            ++pairs;
+            sumR += r;
+            sumR2 += r*r;
+            if(scale !== null)
+                sumErr += (scale*r - 1)*(scale*r - 1);
+        }
+    }
+    var stress = !pairs ? 0 :
+            scale !== null ? sumErr / pairs :
+            sumR2 ? 1 - sumR*sumR / (pairs*sumR2) : 1;
+
+    // clusters which overlap without being nested
+    var clusterOverlaps = 0, clusterOverlapArea = 0;
+    clusters.forEach(function(a, i) {
+        clusters.slice(i + 1).forEach(function(b) {
+            if(contains(a.bounds, b.bounds) || contains(b.bounds, a.bounds))
+                return;
+            var area = intersection_area(a.bounds, b.bounds);
+            if(area) {
+                ++clusterOverlaps;
+                clusterOverlapArea += area;
+            }
+        });
+    });
+
+    return {
+        nodes: nodes.length,
+        edges: edges.length,
+        crossings: crossings,
+        nodeOverlaps: nodeOverlaps,
+        nodeOverlapArea: nodeOverlapArea,
+        edgeLengthMean: edgeLengthMean,
+        edgeLengthVariance: edgeLengthVariance,
+        edgeLengthDeviation: edgeLengthMean ? Math.sqrt(edgeLengthVariance) / edgeLengthMean : 0,
+        angularResolution: minAngle === null ? null : minAngle * 180 / Math.PI,
+        angularResolutionRatio: ratios.length ? d3.mean(ratios) : null,
+        bounds: bounds,
+        aspectRatio: aspectRatio,
+        stress: stress,
+        clusterOverlaps: clusterOverlaps,
+        clusterOverlapArea: clusterOverlapArea
+    };
+};
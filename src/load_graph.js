@@ -1,112 +1,294 @@
+// graphviz only draws subgraphs whose names start with "cluster" (or which have cluster=true);
+// other subgraphs just group statements
+function dot_is_cluster(key, attrs) {
+    return /^cluster/.test(key) || attrs.cluster === true || attrs.cluster === 'true';
+}
+
 function process_dot(callback, error, text) {
     if(error) {
         callback(error, null);
         return;
     }
-    var nodes, edges, node_cluster = {}, clusters = [];
+    // the two graphlib-dot versions build graphs with different graphlib apis;
+    // adapt them to a common interface and then read nodes, edges, and subgraphs the same way
+    var digraph, nodeNames, edgeList, children, attrs, graphAttrs;
+    try {
+        digraph = graphlibDot.parse ? graphlibDot.parse(text) : graphlibDot.read(text);
+    }
+    catch(xep) {
+        callback(xep, null);
+        return;
+    }
     if(graphlibDot.parse) { // graphlib-dot 1.1.0 (where did i get it from?)
-        var digraph = graphlibDot.parse(text);
-
-        var nodeNames = digraph.nodes();
-        nodes = new Array(nodeNames.length);
-        nodeNames.forEach(function (name, i) {
-            var node = nodes[i] = digraph._nodes[nodeNames[i]];
-            node.id = i;
-            node.name = name;
-        });
-
-        var edgeNames = digraph.edges();
-        edges = [];
-        edgeNames.forEach(function(e) {
+        nodeNames = digraph.nodes();
+        edgeList = digraph.edges().map(function(e) {
             var edge = digraph._edges[e];
-            edges.push(Object.assign({}, edge.value, {
-                source: digraph._nodes[edge.u].id,
-                target: digraph._nodes[edge.v].id,
-                sourcename: edge.u,
-                targetname: edge.v
-            }));
+            return {u: edge.u, v: edge.v, value: edge.value};
         });
-        // TODO: if this version exists in the wild, look at how it does subgraphs/clusters
+        children = function(key) {
+            return digraph.children ? digraph.children(key === undefined ? null : key) : [];
+        };
+        attrs = function(key) {
+            return digraph.node(key) || {};
+        };
+        graphAttrs = digraph.graph ? digraph.graph() : {};
     } else { // graphlib-dot 0.6
-        digraph = graphlibDot.read(text);
-
         nodeNames = digraph.nodes();
-        nodes = new Array(nodeNames.length);
-        nodeNames.forEach(function (name, i) {
-            var node = nodes[i] = digraph._nodes[nodeNames[i]];
-            node.id = i;
-            node.name = name;
+        edgeList = digraph.edges().map(function(e) {
+            return {u: e.v, v: e.w, value: digraph.edge(e)};
         });
+        children = function(key) {
+            return digraph.children(key);
+        };
+        attrs = function(key) {
+            return digraph.node(key) || {};
+        };
+        graphAttrs = digraph.graph() || {};
+    }
 
-        edges = [];
-        digraph.edges().forEach(function(e) {
-            edges.push(Object.assign({}, digraph.edge(e.v, e.w), {
-                source: digraph._nodes[e.v].id,
-                target: digraph._nodes[e.w].id,
-                sourcename: e.v,
-                targetname: e.w
-            }));
+    // walk the subgraph tree; nodes belong to their nearest enclosing cluster
+    var node_cluster = {}, clusters = [], subgraphs = {};
+    function read_subgraphs(key, cluster) {
+        children(key).forEach(function(c) {
+            if(children(c).length) {
+                var a = attrs(c), is_cluster = dot_is_cluster(c, a);
+                subgraphs[c] = {cluster: is_cluster ? c : cluster};
+                if(is_cluster)
+                    clusters.push(Object.assign({}, a, {parent: cluster, key: c}));
+                read_subgraphs(c, is_cluster ? c : cluster);
+            }
+            else node_cluster[c] = cluster;
         });
+    }
+    read_subgraphs(undefined, null);
+    // subgraphs are not drawn as nodes
+    var nodes = [], node_index = {};
+    nodeNames.forEach(function(name) {
+        if(subgraphs[name])
+            return;
+        node_index[name] = nodes.length;
+        nodes.push(Object.assign({}, attrs(name), {id: nodes.length, name: name}));
+    });
 
-        // iterative bfs for variety (recursion would work just as well)
-        var cluster_names = {};
-        var queue = digraph.children().map(function(c) { return Object.assign({parent: null, key: c}, digraph.node(c)); });
-        while(queue.length) {
-            var item = queue.shift(),
-                children = digraph.children(item.key);
-            if(children.length) {
-                clusters.push(item);
-                cluster_names[item.key] = true;
-            }
-            else
-                node_cluster[item.key] = item.parent;
-            queue = queue.concat(children.map(function(c) { return {parent: item.key, key: c}; }));
+    // graphlib merges subgraph and node names, so an edge can name a subgraph directly.
+    // connect it to a node inside, and clip it to the cluster using lhead/ltail, as graphviz
+    // does for compound edges
+    function representative(key) {
+        while(subgraphs[key])
+            key = children(key)[0];
+        return key;
+    }
+    var undirected = digraph.isDirected && !digraph.isDirected();
+    var edges = edgeList.map(function(e) {
+        var edge = Object.assign({}, e.value);
+        if(undirected)
+            edge.undirected = true;
+        if(subgraphs[e.u]) {
+            if(subgraphs[e.u].cluster && !edge.ltail)
+                edge.ltail = subgraphs[e.u].cluster;
+            e.u = representative(e.u);
+        }
+        if(subgraphs[e.v]) {
+            if(subgraphs[e.v].cluster && !edge.lhead)
+                edge.lhead = subgraphs[e.v].cluster;
+            e.v = representative(e.v);
         }
-        // clusters as nodes not currently supported
-        nodes = nodes.filter(function(n) {
-            return !cluster_names[n.name];
+        return Object.assign(edge, {
+            source: node_index[e.u],
+            target: node_index[e.v],
+            sourcename: e.u,
+            targetname: e.v
         });
-    }
-    var graph = {nodes: nodes, links: edges, node_cluster: node_cluster, clusters: clusters};
+    });
+    var graph = {nodes: nodes, links: edges, node_cluster: node_cluster, clusters: clusters, graph: graphAttrs};
     callback(null, graph);
 }
 
-function process_dsv(callback, error, data) {
+// convert rows of an edge list, and optionally a node table, to {nodes, links}
+// options:
+//   sourceColumn, targetColumn - edge columns for source and target (default first two columns)
+//   edgeKeyColumn - edge column to use as key (default row index)
+//   nodeKeyColumn - node table column to use as name (default first column)
+//   nodes - rows of the node table
+// all other columns are kept as attributes of the edges and nodes
+function dsv_graph(data, options) {
+    options = options || {};
+    var keys = data.length ? Object.keys(data[0]) : [];
+    var source = options.sourceColumn || keys[0], target = options.targetColumn || keys[1];
+    [source, target, options.edgeKeyColumn].forEach(function(col) {
+        if(col && data.length && !(col in data[0]))
+            throw new Error('edge column "' + col + '" not found in ' + JSON.stringify(keys));
+    });
+    var links = data.map(function(r, i) {
+        return Object.assign({}, r, {
+            key: options.edgeKeyColumn ? r[options.edgeKeyColumn] : i,
+            sourcename: r[source],
+            targetname: r[target]
+        });
+    });
+    var nodes = [], names = d3.set();
+    if(options.nodes && options.nodes.length) {
+        var nodeKey = options.nodeKeyColumn || Object.keys(options.nodes[0])[0];
+        if(!(nodeKey in options.nodes[0]))
+            throw new Error('node column "' + nodeKey + '" not found in ' + JSON.stringify(Object.keys(options.nodes[0])));
+        options.nodes.forEach(function(r) {
+            var name = r[nodeKey];
+            if(names.has(name))
+                return;
+            names.add(name);
+            nodes.push(Object.assign({}, r, {name: name}));
+        });
+    }
+    // any endpoints not in the node table become plain nodes
+    links.forEach(function(l) {
+        [l.sourcename, l.targetname].forEach(function(name) {
+            if(!names.has(name)) {
+                names.add(name);
+                nodes.push({name: name});
+            }
+        });
+    });
+    return {nodes: nodes, links: links};
+}
+
+function process_dsv(callback, options, error, data) {
     if(error) {
         callback(error, null);
         return;
     }
-    var keys = Object.keys(data[0]);
-    var source = keys[0], target = keys[1];
-    var nodes = d3.set(data.map(function(r) { return r[source]; }));
-    data.forEach(function(r) {
-        nodes.add(r[target]);
-    });
-    nodes = nodes.values().map(function(k) { return {name: k}; });
-    callback(null, {
-        nodes: nodes,
-        links: data.map(function(r, i) {
-            return {
-                key: i,
-                sourcename: r[source],
-                targetname: r[target]
-            };
-        })
-    });
+    var graph;
+    try {
+        graph = dsv_graph(data, options);
+    }
+    catch(xep) {
+        callback(xep, null);
+        return;
+    }
+    callback(null, graph);
+}
+
+function parse_xml(text) {
+    var doc = new DOMParser().parseFromString(text, 'application/xml');
+    var errors = doc.getElementsByTagName('parsererror');
+    if(errors.length)
+        throw new Error('could not parse xml: ' + errors[0].textContent);
+    return doc;
+}
+
+function xml_from_text(process) {
+    return function(text, callback) {
+        var doc;
+        try {
+            doc = parse_xml(text);
+        }
+        catch(xep) {
+            callback(xep, null);
+            return;
+        }
+        process(callback, null, doc);
+    };
+}
+
+// plain json is passed through, except for json graph formats we recognize
+function json_graph(data) {
+    if(is_cytoscape(data))
+        return process_cytoscape(data);
+    if(is_jgf(data))
+        return process_jgf(data);
+    return data;
+}
+
+function json_from_url(process) {
+    return function(url, callback) {
+        d3.json(url, function(error, data) {
+            if(error)
+                callback(error, null);
+            else
+                callback(null, process(data));
+        });
+    };
+}
+
+function json_from_text(process) {
+    return function(text, callback) {
+        var data;
+        try {
+            data = process(JSON.parse(text));
+        }
+        catch(xep) {
+            callback(xep, null);
+            return;
+        }
+        callback(null, data);
+    };
 }
 
+// the first line of the text, for sniffing delimited formats
+function first_line(text) {
+    return text.slice(0, text.search(/\r?\n|$/));
+}
+
+function count_char(s, c) {
+    return s.split(c).length - 1;
+}
+
+/**
+ * The file formats known to {@link dc_graph.load_graph load_graph} and
+ * {@link dc_graph.load_graph_text load_graph_text}, in order of precedence. Use
+ * {@link dc_graph.register_file_format register_file_format} to add to this list.
+ *
+ * Each format is an object with
+ * * `name` - unique name, which can be passed as `options.format` to force the format
+ * * `exts` - file extension or array of extensions
+ * * `mimes` - mime type or array of mime types, for `data:` urls
+ * * `sniff(text)` - returns true if the text looks like this format
+ * * `from_text(text, callback, options)` - parse text and call `callback(error, data)`
+ * * `from_url(url, callback, options)` - load and parse a url (optional; by default the text
+ * is fetched and passed to `from_text`)
+ * * `options` - default options for this format (optional)
+ * @member file_formats
+ * @memberof dc_graph
+ * @type {Array}
+ **/
 dc_graph.file_formats = [
     {
+        name: 'cytoscape',
+        exts: 'cyjs',
+        mimes: 'application/vnd.cytoscape+json',
+        sniff: function(text) {
+            return /^\s*\{/.test(text) && /"elements"\s*:/.test(text);
+        },
+        from_url: json_from_url(process_cytoscape),
+        from_text: json_from_text(process_cytoscape)
+    },
+    {
+        name: 'jgf',
+        exts: 'jgf',
+        mimes: 'application/vnd.jgf+json',
+        sniff: function(text) {
+            return /^\s*\{\s*"graphs?"\s*:/.test(text);
+        },
+        from_url: json_from_url(process_jgf),
+        from_text: json_from_text(process_jgf)
+    },
+    {
+        name: 'json',
         exts: 'json',
         mimes: 'application/json',
-        from_url: d3.json,
-        from_text: function(text, callback) {
-            callback(null, JSON.parse(text));
-        }
+        sniff: function(text) {
+            return /^\s*[\[{]/.test(text);
+        },
+        from_url: json_from_url(json_graph),
+        from_text: json_from_text(json_graph)
     },
     {
+        name: 'dot',
         exts: ['gv', 'dot'],
         mimes: 'text/vnd.graphviz',
+        sniff: function(text) {
+            // skip comments, then look for the graph keyword
+            return /^(\s|\/\/[^\n]*\n|#[^\n]*\n|\/\*[\s\S]*?\*\/)*(strict\s+)?(di)?graph\b/i.test(text);
+        },
         from_url: function(url, callback) {
             d3.text(url, process_dot.bind(null, callback));
         },
@@ -115,27 +297,116 @@ dc_graph.file_formats = [
         }
     },
     {
+        name: 'psv',
         exts: 'psv',
         mimes: 'text/psv',
-        from_url: function(url, callback) {
-            d3.dsv('|', 'text/plain')(url, process_dsv.bind(null, callback));
+        delimiter: '|',
+        sniff: function(text) {
+            var line = first_line(text);
+            return !/^\s*</.test(line) && count_char(line, '|') > count_char(line, ',');
         },
-        from_text: function(text, callback) {
-            process_dsv(callback, null, d3.dsv('|').parse(text));
+        from_url: function(url, callback, options) {
+            d3.dsv(options.delimiter || '|', 'text/plain')(url, process_dsv.bind(null, callback, options));
+        },
+        from_text: function(text, callback, options) {
+            process_dsv(callback, options, null, d3.dsv(options.delimiter || '|').parse(text));
         }
     },
     {
+        name: 'csv',
         exts: 'csv',
         mimes: 'text/csv',
-        from_url: function(url, callback) {
-            d3.csv(url, process_dsv.bind(null, callback));
+        delimiter: ',',
+        sniff: function(text) {
+            var line = first_line(text);
+            return !/^\s*</.test(line) && line.indexOf(',') >= 0;
         },
-        from_text: function(text, callback) {
-            process_dsv(callback, null, d3.csv.parse(text));
+        from_url: function(url, callback, options) {
+            d3.dsv(options.delimiter || ',', 'text/csv')(url, process_dsv.bind(null, callback, options));
+        },
+        from_text: function(text, callback, options) {
+            process_dsv(callback, options, null, d3.dsv(options.delimiter || ',').parse(text));
         }
+    },
+    {
+        name: 'graphml',
+        exts: 'graphml',
+        mimes: 'application/graphml+xml',
+        sniff: function(text) {
+            return /<graphml[\s>]/.test(text);
+        },
+        from_url: function(url, callback) {
+            d3.xml(url, 'application/xml', process_graphml.bind(null, callback));
+        },
+        from_text: xml_from_text(process_graphml)
+    },
+    {
+        name: 'gexf',
+        exts: 'gexf',
+        mimes: 'application/gexf+xml',
+        sniff: function(text) {
+            return /<gexf[\s>]/.test(text);
+        },
+        from_url: function(url, callback) {
+            d3.xml(url, 'application/xml', process_gexf.bind(null, callback));
+        },
+        from_text: xml_from_text(process_gexf)
     }
 ];
 
+/**
+ * Add a file format to {@link dc_graph.file_formats file_formats}, or replace the format with
+ * the same name. New formats take precedence over the built-in ones when matching extensions,
+ * mime types, and content.
+ * @method register_file_format
+ * @memberof dc_graph
+ * @param {Object} format - see {@link dc_graph.file_formats file_formats}
+ * @return {Object} the format
+ * @example
+ * dc_graph.register_file_format({
+ *     name: 'tsv',
+ *     exts: 'tsv',
+ *     mimes: 'text/tab-separated-values',
+ *     delimiter: '\t',
+ *     sniff: function(text) { return /\t/.test(text.split('\n')[0]); },
+ *     from_text: function(text, callback, options) {
+ *         dc_graph.file_format('csv').from_text(text, callback, Object.assign({}, options, {delimiter: '\t'}));
+ *     }
+ * });
+ **/
+dc_graph.register_file_format = function(format) {
+    if(!format.name)
+        throw new Error('file format needs a name');
+    if(typeof format.from_text !== 'function')
+        throw new Error('file format ' + format.name + ' needs from_text');
+    format = Object.assign({
+        exts: [],
+        mimes: [],
+        from_url: function(url, callback, options) {
+            d3.text(url, function(error, text) {
+                if(error)
+                    callback(error, null);
+                else
+                    format.from_text(text, callback, options);
+            });
+        }
+    }, format);
+    var i = dc_graph.file_formats.findIndex(function(f) {
+        return f.name === format.name;
+    });
+    if(i >= 0)
+        dc_graph.file_formats[i] = format;
+    else
+        dc_graph.file_formats.unshift(format);
+    return format;
+};
+
+dc_graph.file_format = function(name) {
+    return dc_graph.file_formats.find(function(format) {
+        return format.name === name;
+    });
+};
+
 dc_graph.match_file_format = function(filename) {
     return dc_graph.file_formats.find(function(format) {
         var exts = format.exts;
@@ -156,6 +427,19 @@ dc_graph.match_mime_type = function(mime) {
     });
 };
 
+/**
+ * Guess the format of some text by asking each format's `sniff` function in turn.
+ * @method sniff_file_format
+ * @memberof dc_graph
+ * @param {String} text
+ * @return {Object} the format, or undefined
+ **/
+dc_graph.sniff_file_format = function(text) {
+    return dc_graph.file_formats.find(function(format) {
+        return format.sniff && format.sniff(text);
+    });
+};
+
 function unknown_format_error(filename) {
     var spl = filename.split('.');
     if(spl.length)
@@ -168,60 +452,208 @@ function unknown_mime_error(mime) {
     return new Error('do not know how to process mime type ' + mime);
 }
 
-// load a graph from various formats and return the data in consistent {nodes, links} format
+function unknown_format_name_error(name) {
+    return new Error('no file format named ' + name);
+}
+
+// ignore any query parameters for checking extension
+function ignore_query(file) {
+    if(!file)
+        return null;
+    return file.replace(/\?.*/, '');
+}
+
+// options.directed overrides the directedness the file declares
+function apply_directed(options, callback) {
+    if(options.directed === undefined)
+        return callback;
+    return function(error, data) {
+        if(!error && data && data.links)
+            data.links.forEach(function(e) {
+                if(options.directed)
+                    delete e.undirected;
+                else
+                    e.undirected = true;
+            });
+        callback(error, data);
+    };
+}
+
+// choose the format for text: the forced format, else the one named by the extension or mime
+// type, unless options.sniff is set and its sniffer rejects the text and another format's accepts it
+function text_format(text, matched, options) {
+    if(options.format)
+        return dc_graph.file_format(options.format);
+    if(matched && (!options.sniff || !matched.sniff || matched.sniff(text)))
+        return matched;
+    return dc_graph.sniff_file_format(text) || matched;
+}
+
+function format_options(format, options) {
+    return Object.assign({}, format.options, options);
+}
+
+// load the rows of a table, for the two-file form of load_graph
+function load_table(file, callback) {
+    var fileNoQ = ignore_query(file),
+        format = dc_graph.match_file_format(fileNoQ);
+    if(!format)
+        callback(unknown_format_error(fileNoQ), null);
+    else if(format.delimiter)
+        d3.dsv(format.delimiter, 'text/plain')(file, callback);
+    else
+        d3.json(file, function(error, data) {
+            // titan wraps results this way
+            callback(error, data && data.results || data);
+        });
+}
+
+/**
+ * Load a graph from various formats and return the data in consistent `{nodes, links}` format
+ * (JSON files are passed through as is, to be interpreted by {@link dc_graph.munge_graph munge_graph},
+ * unless they are Cytoscape.js elements or JSON Graph Format).
+ *
+ * With one file, the format is chosen by `options.format`, the file extension, or the mime type
+ * of a `data:` url. If none of these match, or if `options.sniff` is set and the content does not
+ * look like the matched format, the text is fetched and the format is guessed from the content;
+ * see {@link dc_graph.file_formats file_formats}.
+ *
+ * With two files, the first is a node table and the second is an edge table. These can be
+ * delimited files, which are read with the same options as a delimited edge list; or JSON arrays,
+ * optionally wrapped in `{results}`, which are returned as `{nodes, edges}`.
+ *
+ * Delimited edge lists keep every column as an edge attribute; by default the first two
+ * columns are the source and target.
+ * @method load_graph
+ * @memberof dc_graph
+ * @param {String} file - the file, or the node table file if `edgeFile` is specified
+ * @param {String} [edgeFile] - the edge table file
+ * @param {Object} [options] - format-specific options are passed through to the format
+ * @param {String} [options.format] - name of the format to use, regardless of extension
+ * @param {Boolean} [options.sniff=false] - check the content even if the extension matches a format
+ * @param {Boolean} [options.directed] - if specified, override the directedness of all edges
+ * @param {String} [options.delimiter] - override the delimiter of a delimited format
+ * @param {String} [options.sourceColumn] - edge column containing the source node name
+ * @param {String} [options.targetColumn] - edge column containing the target node name
+ * @param {String} [options.edgeKeyColumn] - edge column containing the edge key (default: row index)
+ * @param {String} [options.nodeKeyColumn] - node column containing the node name (default: first column)
+ * @param {Function} callback - called with `(error, data)`
+ **/
 dc_graph.load_graph = function() {
-    // ignore any query parameters for checking extension
-    function ignore_query(file) {
-        if(!file)
-            return null;
-        return file.replace(/\?.*/, '');
-    }
-    var file1, file2, callback;
-    file1 = arguments[0];
-    if(arguments.length===3) {
-        file2 = arguments[1];
-        callback = arguments[2];
-    }
-    else if(arguments.length===2) {
-        callback = arguments[1];
-    }
-    else throw new Error('need two or three arguments');
+    var args = Array.prototype.slice.call(arguments);
+    var callback = args.pop(), options;
+    if(args.length && typeof args[args.length-1] === 'object')
+        options = args.pop();
+    var file1 = args[0], file2 = args[1];
+    if(typeof callback !== 'function' || args.length < 1 || args.length > 2)
+        throw new Error('need one or two files, optional options, and a callback');
+    options = options || {};
+    callback = apply_directed(options, callback);
 
     if(file2) {
-        // this is not general - really titan-specific
         queue()
-            .defer(d3.json, file1)
-            .defer(d3.json, file2)
+            .defer(load_table, file1)
+            .defer(load_table, file2)
             .await(function(error, nodes, edges) {
                 if(error)
                     callback(error, null);
+                else if(dc_graph.match_file_format(ignore_query(file2)).delimiter)
+                    process_dsv(callback, Object.assign({}, options, {nodes: nodes}), null, edges);
                 else
-                    callback(null, {nodes: nodes.results, edges: edges.results});
+                    callback(null, {nodes: nodes, edges: edges});
             });
+        return;
     }
-    else {
-        var format;
-        if(/^data:/.test(file1)) {
-            var parts = file1.slice(5).split(/,(.+)/);
-            format = dc_graph.match_mime_type(parts[0]);
-            if(format)
-                format.from_text(parts[1], callback);
-            else callback(unknown_mime_error(parts[0]));
-        } else {
-            var file1noq = ignore_query(file1);
-            format = dc_graph.match_file_format(file1noq);
-            if(format)
-                format.from_url(file1, callback);
-            else callback(unknown_format_error(file1noq));
-        }
+    var format;
+    if(/^data:/.test(file1)) {
+        var parts = file1.slice(5).split(/,(.+)/);
+        format = text_format(parts[1], dc_graph.match_mime_type(parts[0]), options);
+        if(format)
+            format.from_text(parts[1], callback, format_options(format, options));
+        else callback(options.format ? unknown_format_name_error(options.format) : unknown_mime_error(parts[0]));
+        return;
     }
+    var file1noq = ignore_query(file1);
+    format = options.format ? dc_graph.file_format(options.format) : dc_graph.match_file_format(file1noq);
+    if(options.format && !format)
+        callback(unknown_format_name_error(options.format));
+    else if(format && (options.format || !options.sniff))
+        format.from_url(file1, callback, format_options(format, options));
+    else
+        d3.text(file1, function(error, text) {
+            if(error) {
+                callback(error, null);
+                return;
+            }
+            var format2 = text_format(text, format, options);
+            if(format2)
+                format2.from_text(text, callback, format_options(format2, options));
+            else callback(unknown_format_error(file1noq));
+        });
 };
 
-dc_graph.load_graph_text = function(text, filename, callback) {
-    var format = dc_graph.match_file_format(filename);
+/**
+ * Parse graph text which has already been loaded, e.g. from a file input. The format is chosen
+ * as with {@link dc_graph.load_graph load_graph}: by `options.format`, the filename extension,
+ * or else the content.
+ * @method load_graph_text
+ * @memberof dc_graph
+ * @param {String} text
+ * @param {String} filename - used to choose the format
+ * @param {Function} callback - called with `(error, data)`
+ * @param {Object} [options] - as for {@link dc_graph.load_graph load_graph}
+ **/
+dc_graph.load_graph_text = function(text, filename, callback, options) {
+    options = options || {};
+    callback = apply_directed(options, callback);
+    var format = text_format(text, filename ? dc_graph.match_file_format(ignore_query(filename)) : null, options);
     if(format)
-        format.from_text(text, callback);
-    else callback(unknown_format_error(filename));
+        format.from_text(text, callback, format_options(format, options));
+    else callback(options.format ? unknown_format_name_error(options.format) : unknown_format_error(filename || ''));
+};
+
+function promisify_load(load) {
+    return function() {
+        var args = Array.prototype.slice.call(arguments);
+        return new Promise(function(resolve, reject) {
+            load.apply(null, args.concat([function(error, data) {
+                if(error)
+                    reject(error);
+                else
+                    resolve(data);
+            }]));
+        });
+    };
+}
+
+/**
+ * Promise-returning variant of {@link dc_graph.load_graph load_graph}.
+ * @method load_graph_promise
+ * @memberof dc_graph
+ * @param {String} file
+ * @param {String} [edgeFile]
+ * @param {Object} [options]
+ * @return {Promise} resolves to the graph data
+ * @example
+ * dc_graph.load_graph_promise('graph.dot').then(function(data) {
+ *     // ...
+ * });
+ **/
+dc_graph.load_graph_promise = promisify_load(dc_graph.load_graph);
+
+/**
+ * Promise-returning variant of {@link dc_graph.load_graph_text load_graph_text}.
+ * @method load_graph_text_promise
+ * @memberof dc_graph
+ * @param {String} text
+ * @param {String} filename
+ * @param {Object} [options]
+ * @return {Promise} resolves to the graph data
+ **/
+dc_graph.load_graph_text_promise = function(text, filename, options) {
+    return promisify_load(function(callback) {
+        dc_graph.load_graph_text(text, filename, callback, options);
+    })();
 };
 
 dc_graph.data_url = function(data) {
@@ -0,0 +1,249 @@
+// reads a delimited file incrementally, emitting ('header', fields), ('chunk', rows),
+// ('progress', {loaded, total, rows}), ('end', {rows}) and ('error', message).
+// this function must not refer to anything outside itself, because it is also
+// stringified into a worker. (quoted fields may not contain newlines.)
+function stream_dsv(url, options, emit) {
+    var delimiter = options.delimiter, chunkSize = options.chunkSize;
+    var header = null, partial = '', rows = [], nrows = 0, loaded = 0, total = null, aborted = false;
+
+    function parse_line(line) {
+        var fields = [], field = '', quoted = false, i = 0;
+        while(i < line.length) {
+            var c = line[i];
+            if(quoted) {
+                if(c === '"') {
+                    if(line[i+1] === '"') {
+                        field += '"';
+                        ++i;
+                    }
+                    else quoted = false;
+                }
+                else field += c;
+            }
+            else if(c === '"' && !field.length)
+                quoted = true;
+            else if(c === delimiter) {
+                fields.push(field);
+                field = '';
+            }
+            else field += c;
+            ++i;
+        }
+        fields.push(field);
+        return fields;
+    }
+    function flush() {
+        if(rows.length) {
+            emit('chunk', rows);
+            rows = [];
+        }
+    }
+    function text(s, done) {
+        var lines = (partial + s).split(/\r?\n/);
+        partial = done ? '' : lines.pop();
+        lines.forEach(function(line) {
+            if(!line)
+                return;
+            var fields = parse_line(line);
+            if(!header) {
+                header = fields;
+                emit('header', header);
+                return;
+            }
+            var row = {};
+            for(var i = 0; i < header.length; ++i)
+                row[header[i]] = fields[i];
+            rows.push(row);
+            ++nrows;
+            if(rows.length >= chunkSize)
+                flush();
+        });
+        emit('progress', {loaded: loaded, total: total, rows: nrows});
+        if(done) {
+            flush();
+            emit('end', {rows: nrows});
+        }
+    }
+    fetch(url).then(function(response) {
+        if(!response.ok)
+            throw new Error('could not load ' + url + ': ' + response.status + ' ' + response.statusText);
+        total = +response.headers.get('Content-Length') || null;
+        var reader = response.body.getReader(), decoder = new TextDecoder();
+        function pump() {
+            return reader.read().then(function(result) {
+                if(aborted)
+                    return reader.cancel();
+                if(result.done) {
+                    text(decoder.decode(), true);
+                    return null;
+                }
+                loaded += result.value.byteLength;
+                text(decoder.decode(result.value, {stream: true}), false);
+                return pump();
+            });
+        }
+        return pump();
+    }).catch(function(error) {
+        emit('error', error.message);
+    });
+    return function() {
+        aborted = true;
+    };
+}
+
+function stream_dsv_worker(url, options, emit) {
+    var source = '(' + stream_dsv.toString() + ')' +
+            '(' + JSON.stringify(url) + ', ' + JSON.stringify(options) + ', function(event, data) {' +
+            '    postMessage({event: event, data: data});' +
+            '});';
+    var blobUrl = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+    var worker = new Worker(blobUrl);
+    worker.onmessage = function(e) {
+        emit(e.data.event, e.data.data);
+        if(e.data.event === 'end' || e.data.event === 'error') {
+            worker.terminate();
+            URL.revokeObjectURL(blobUrl);
+        }
+    };
+    return function() {
+        worker.terminate();
+        URL.revokeObjectURL(blobUrl);
+    };
+}
+
+/**
+ * `dc_graph.load_graph_stream` is a streaming variant of {@link dc_graph.load_graph load_graph}
+ * for very large edge lists in delimited formats (CSV, PSV, or any file format with a
+ * `delimiter`). Instead of waiting for the whole file, it parses the text as it arrives,
+ * optionally in a web worker, and adds the rows to the node and edge crossfilters in chunks,
+ * so that the diagram can start rendering early.
+ *
+ * As with `load_graph`, by default the first two columns are the source and target, and the
+ * rest are kept as edge attributes; nodes are `{name}` and edges also get `{key, sourcename, targetname}`.
+ *
+ * Events, subscribed with `.on()`:
+ * * `progress({loaded, total, rows})` - bytes loaded so far, total bytes if known, rows parsed
+ * * `chunk(nodes, edges)` - new nodes (not seen in any previous chunk) and edges
+ * * `end({nodes, edges})` - counts of everything loaded
+ * * `error(error)`
+ * @class load_graph_stream
+ * @memberof dc_graph
+ * @param {String} file - the url of the file; the extension determines the delimiter
+ * @param {Object} [options]
+ * @param {String} [options.format] - name of the file format, if the extension does not match
+ * @param {String} [options.delimiter] - override the delimiter from the file format
+ * @param {String} [options.sourceColumn] - column containing the source node name
+ * @param {String} [options.targetColumn] - column containing the target node name
+ * @param {String} [options.edgeKeyColumn] - column containing the edge key (default: row index)
+ * @param {Number} [options.chunkSize=10000] - number of rows per chunk
+ * @param {Boolean} [options.worker=false] - parse in a web worker
+ * @param {crossfilter} [options.nodeCrossfilter] - add new nodes to this crossfilter
+ * @param {crossfilter} [options.edgeCrossfilter] - add new edges to this crossfilter
+ * @param {dc_graph.diagram} [options.diagram] - render, then redraw, this diagram after each chunk
+ * @example
+ * var node_flat = dc_graph.flat_group.make([], function(n) { return n.name; }),
+ *     edge_flat = dc_graph.flat_group.make([], function(e) { return e.key; });
+ * // ... set up diagram with the groups ...
+ * dc_graph.load_graph_stream('huge.csv', {
+ *     worker: true,
+ *     nodeCrossfilter: node_flat.crossfilter,
+ *     edgeCrossfilter: edge_flat.crossfilter,
+ *     diagram: diagram
+ * }).on('progress', function(p) {
+ *     console.log(p.rows + ' rows');
+ * }).start();
+ * @return {dc_graph.load_graph_stream}
+ **/
+dc_graph.load_graph_stream = function(file, options) {
+    options = Object.assign({
+        chunkSize: 10000,
+        worker: false
+    }, options);
+    var _dispatch = d3.dispatch('progress', 'chunk', 'end', 'error');
+    var _names = d3.set(), _nedges = 0, _source, _target, _abort = null;
+
+    var delimiter = options.delimiter;
+    if(!delimiter) {
+        var format = options.format ? dc_graph.file_format(options.format) :
+                dc_graph.match_file_format(ignore_query(file));
+        delimiter = format && format.delimiter;
+    }
+
+    function receive(event, data) {
+        switch(event) {
+        case 'header':
+            _source = options.sourceColumn || data[0];
+            _target = options.targetColumn || data[1];
+            break;
+        case 'chunk':
+            var nodes = [], edges = data.map(function(r) {
+                var i = _nedges++;
+                return Object.assign({}, r, {
+                    key: options.edgeKeyColumn ? r[options.edgeKeyColumn] : i,
+                    sourcename: r[_source],
+                    targetname: r[_target]
+                });
+            });
+            edges.forEach(function(e) {
+                [e.sourcename, e.targetname].forEach(function(name) {
+                    if(!_names.has(name)) {
+                        _names.add(name);
+                        nodes.push({name: name});
+                    }
+                });
+            });
+            if(options.nodeCrossfilter)
+                options.nodeCrossfilter.add(nodes);
+            if(options.edgeCrossfilter)
+                options.edgeCrossfilter.add(edges);
+            _dispatch.chunk(nodes, edges);
+            if(options.diagram) {
+                if(options.diagram.renderer().isRendered())
+                    options.diagram.redraw();
+                else
+                    options.diagram.render();
+            }
+            break;
+        case 'progress':
+            _dispatch.progress(data);
+            break;
+        case 'end':
+            _abort = null;
+            _dispatch.end({nodes: _names.size(), edges: _nedges});
+            break;
+        case 'error':
+            _abort = null;
+            _dispatch.error(new Error(data));
+            break;
+        }
+    }
+
+    var _loader = {
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        start: function() {
+            if(!delimiter) {
+                _dispatch.error(unknown_format_error(ignore_query(file)));
+                return this;
+            }
+            var url = new URL(file, window.location.href).href,
+                args = {delimiter: delimiter, chunkSize: options.chunkSize};
+            _abort = options.worker && window.Worker ?
+                stream_dsv_worker(url, args, receive) :
+                stream_dsv(url, args, receive);
+            return this;
+        },
+        stop: function() {
+            if(_abort) {
+                _abort();
+                _abort = null;
+            }
+            return this;
+        }
+    };
+    return _loader;
+};
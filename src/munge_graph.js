@@ -2,20 +2,185 @@ function can_get_graph_from_this(data) {
     return (data.nodes || data.vertices) &&  (data.edges || data.links);
 }
 
+// strings which look like dates; plain numbers are numeric, not dates
+var date_pattern = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+var tag_separators = ['|', ';', ','];
+// strings with more distinct values than this (and more than half as many values as rows) are text
+var max_categories = 50;
+
+function infer_attribute_type(values, nrows) {
+    var present = values.filter(function(v) {
+        return v !== null && v !== undefined && v !== '';
+    });
+    var info = {
+        count: present.length,
+        missing: nrows - present.length,
+        distinct: d3.set(present.map(function(v) {
+            return Array.isArray(v) ? v.join('\0') : v instanceof Date ? v.getTime() : v;
+        })).size()
+    };
+    if(!present.length)
+        return Object.assign({type: 'empty'}, info);
+    if(present.every(function(v) {
+        return typeof v === 'number' || typeof v === 'string' && v.trim() !== '' && !isNaN(v);
+    })) {
+        var numbers = present.map(Number);
+        return Object.assign({type: 'numeric', min: d3.min(numbers), max: d3.max(numbers)}, info);
+    }
+    if(present.every(function(v) {
+        return v instanceof Date || typeof v === 'string' && date_pattern.test(v.trim()) && !isNaN(Date.parse(v));
+    })) {
+        var dates = present.map(function(v) { return new Date(v); });
+        return Object.assign({type: 'date', min: d3.min(dates), max: d3.max(dates)}, info);
+    }
+    if(present.every(Array.isArray)) {
+        var tags = d3.set([].concat.apply([], present));
+        return Object.assign({type: 'tags', values: tags.values()}, info);
+    }
+    if(present.some(function(v) { return typeof v === 'object'; }))
+        return Object.assign({type: 'object'}, info);
+    // delimited strings are tag lists if at least half contain the separator
+    // and there are no more tags than distinct strings
+    var strings = present.map(String);
+    var separator = tag_separators.find(function(sep) {
+        return strings.filter(function(s) { return s.indexOf(sep) >= 0; }).length*2 >= strings.length;
+    });
+    if(separator) {
+        var split = d3.set();
+        strings.forEach(function(s) {
+            s.split(separator).forEach(function(t) {
+                t = t.trim();
+                if(t)
+                    split.add(t);
+            });
+        });
+        if(split.size() <= info.distinct)
+            return Object.assign({type: 'tags', separator: separator, values: split.values()}, info);
+    }
+    if(info.distinct <= max_categories || info.distinct*2 <= present.length)
+        return Object.assign({type: 'categorical', values: d3.set(strings).values()}, info);
+    return Object.assign({type: 'text'}, info);
+}
+
+/**
+ * Infer the type of every attribute of an array of objects, e.g. nodes or edges. Each attribute
+ * is described by an object with
+ * * `type` - one of
+ *   * `numeric` - numbers or numeric strings, with `min` and `max`
+ *   * `date` - Dates or ISO 8601 date strings, with `min` and `max` as Dates
+ *   * `tags` - arrays, or strings delimited by `separator` (`|`, `;`, or `,`), with the distinct
+ *   tags in `values`
+ *   * `categorical` - strings or booleans with few distinct `values`
+ *   * `text` - strings which are mostly distinct, like names or descriptions
+ *   * `object` - nested objects
+ *   * `empty` - no values
+ * * `count` - number of rows with a value
+ * * `missing` - number of rows without a value
+ * * `distinct` - number of distinct values
+ * @method infer_attribute_types
+ * @memberof dc_graph
+ * @param {Array} rows
+ * @return {Object} attribute name => description
+ **/
+dc_graph.infer_attribute_types = function(rows) {
+    var names = [], seen = {};
+    rows.forEach(function(r) {
+        Object.keys(r || {}).forEach(function(k) {
+            if(!seen[k]) {
+                seen[k] = true;
+                names.push(k);
+            }
+        });
+    });
+    var ret = {};
+    names.forEach(function(k) {
+        ret[k] = infer_attribute_type(rows.map(function(r) { return r && r[k]; }), rows.length);
+    });
+    return ret;
+};
+
+// suggest attributes for common diagram accessors, based on the inferred types
+function suggest_accessors(attributes, nodekeyattr) {
+    var names = Object.keys(attributes);
+    function first(pred) {
+        return names.find(function(k) { return pred(attributes[k], k); }) || null;
+    }
+    return {
+        nodeLabel: first(function(a, k) {
+            return /^(label|name|title)$/i.test(k) && a.type !== 'object';
+        }) || nodekeyattr,
+        // the categorical attribute with fewest categories that still distinguishes something
+        nodeFill: names.filter(function(k) {
+            var a = attributes[k];
+            return k !== nodekeyattr && a.type === 'categorical' && a.distinct > 1 && a.distinct <= 20;
+        }).sort(function(a, b) {
+            return attributes[a].distinct - attributes[b].distinct;
+        })[0] || null,
+        dimensions: names.filter(function(k) {
+            var a = attributes[k];
+            return k !== nodekeyattr && ['numeric', 'date', 'categorical', 'tags'].includes(a.type) &&
+                a.distinct > 1;
+        })
+    };
+}
+
 // general-purpose reader of various json-based graph formats
 // (esp but not limited to titan graph database-like formats)
 // this could be generalized a lot
+
+/**
+ * Find the nodes and edges in JSON graph data, and the attributes to use for node keys and
+ * edge source and target. Understands `{nodes, edges}`, `{vertices, links}`, the same wrapped
+ * in `database` or `response`, and nodes and edges wrapped in `vertex` and `edge`.
+ *
+ * Besides `nodes`, `edges`, `nodekeyattr`, `sourceattr` and `targetattr`, returns `clusters` and
+ * `node_cluster` if the data has them, and a `report` describing what was found:
+ * * `wrapper`, `nodeWrapper`, `edgeWrapper` - the wrapper fields that were unwrapped, or null;
+ * `wrapper` is `cytoscape` or `jgf` if the data was Cytoscape.js elements or JSON Graph Format
+ * * `nodeKey`, `source`, `target` - for each, `{attr, how, candidates, rejected}`, where `how` is
+ * `specified`, `default`, or `detected`; `candidates` are the attributes which matched; and
+ * `rejected` lists `{attr, reason}` for candidates which were not used
+ * * `nodeAttributes`, `edgeAttributes` - the inferred attribute types, see
+ * {@link dc_graph.infer_attribute_types infer_attribute_types}
+ * * `suggested` - `{nodeLabel, nodeFill, dimensions}`: node attributes which would make
+ * sensible defaults for the diagram accessors and crossfilter dimensions
+ * @method munge_graph
+ * @memberof dc_graph
+ * @param {Object} data
+ * @param {String} [nodekeyattr] - attribute containing the node key
+ * @param {String} [sourceattr] - attribute containing the edge source
+ * @param {String} [targetattr] - attribute containing the edge target
+ * @return {Object}
+ **/
 dc_graph.munge_graph = function(data, nodekeyattr, sourceattr, targetattr) {
     // we want data = {nodes, edges} and the field names for keys; find those in common json formats
     var nodes, edges, nka = nodekeyattr || "name",
         sa = sourceattr || "sourcename", ta = targetattr || "targetname";
+    var report = {
+        wrapper: null,
+        nodeWrapper: null,
+        edgeWrapper: null,
+        nodeKey: {attr: nka, how: nodekeyattr ? 'specified' : 'default', candidates: [], rejected: []},
+        source: {attr: sa, how: sourceattr ? 'specified' : 'default', candidates: [], rejected: []},
+        target: {attr: ta, how: targetattr ? 'specified' : 'default', candidates: [], rejected: []}
+    };
 
+    // json graph formats which have their own readers
+    if(is_cytoscape(data)) {
+        data = process_cytoscape(data);
+        report.wrapper = 'cytoscape';
+    }
+    else if(is_jgf(data)) {
+        data = process_jgf(data);
+        report.wrapper = 'jgf';
+    }
     if(!can_get_graph_from_this(data)) {
         var wrappers = ['database', 'response'];
         var wi = wrappers.findIndex(function(f) { return data[f] && can_get_graph_from_this(data[f]); });
         if(wi<0)
             throw new Error("couldn't find the data!");
         data = data[wrappers[wi]];
+        report.wrapper = wrappers[wi];
     }
     edges = data.edges || data.links;
     nodes = data.nodes || data.vertices;
@@ -23,6 +188,21 @@ dc_graph.munge_graph = function(data, nodekeyattr, sourceattr, targetattr) {
     function find_attr(o, attrs) {
         return attrs.filter(function(a) { return !!o[a]; });
     }
+    // record the chosen candidate, and why the others were not chosen
+    function choose(entry, candidates, tried) {
+        entry.attr = candidates[0];
+        entry.how = entry.how === 'specified' ? 'specified' : 'detected';
+        entry.candidates = candidates;
+        entry.rejected = tried.filter(function(a) {
+            return a !== entry.attr;
+        }).map(function(a) {
+            return {
+                attr: a,
+                reason: candidates.includes(a) ? 'ambiguous: ' + entry.attr + ' preferred' : 'not found'
+            };
+        });
+        return entry.attr;
+    }
 
     //var edgekeyattr = "id";
     var edge0 = edges[0];
@@ -32,8 +212,10 @@ dc_graph.munge_graph = function(data, nodekeyattr, sourceattr, targetattr) {
         //var edgekeyattrs = ['id', '_id', 'ecomp_uid'];
         var edgewrappers = ['edge'];
         if(edge0.node0 && edge0.node1) { // specific conflict here
-            sa = 'node0';
-            ta = 'node1';
+            // node1 is a source candidate, but with node0 it is the target; other candidates are
+            // not considered, except any specified attribute, which was not found
+            sa = choose(report.source, ['node0'], ['node0'].concat(sourceattr ? [sourceattr] : []));
+            ta = choose(report.target, ['node1'], ['node1'].concat(targetattr && edge0[targetattr] === undefined ? [targetattr] : []));
         }
         else {
             var candidates = find_attr(edge0, sourceattrs);
@@ -50,10 +232,11 @@ dc_graph.munge_graph = function(data, nodekeyattr, sourceattr, targetattr) {
                 edges = edges.map(function(e) { return e[edgewrappers[wi]]; });
                 edge0 = edges[0];
                 candidates = find_attr(edge0, sourceattrs);
+                report.edgeWrapper = edgewrappers[wi];
             }
             if(candidates.length > 1)
                 console.warn('found more than one possible source attr', candidates);
-            sa = candidates[0];
+            sa = choose(report.source, candidates, sourceattrs);
 
             candidates = find_attr(edge0, targetattrs);
             if(!candidates.length) {
@@ -64,7 +247,7 @@ dc_graph.munge_graph = function(data, nodekeyattr, sourceattr, targetattr) {
             }
             if(candidates.length > 1)
                 console.warn('found more than one possible target attr', candidates);
-            ta = candidates[0];
+            ta = choose(report.target, candidates, targetattrs);
 
             /*
              // we're currently assembling our own edgeid
@@ -95,17 +278,25 @@ dc_graph.munge_graph = function(data, nodekeyattr, sourceattr, targetattr) {
             nodes = nodes.map(function(n) { return n[nodewrappers[wi]]; });
             node0 = nodes[0];
             candidates = find_attr(node0, nodekeyattrs);
+            report.nodeWrapper = nodewrappers[wi];
         }
         if(candidates.length > 1)
             console.warn('found more than one possible node key attr', candidates);
-        nka = candidates[0];
+        nka = choose(report.nodeKey, candidates, nodekeyattrs);
     }
 
+    report.nodeAttributes = dc_graph.infer_attribute_types(nodes);
+    report.edgeAttributes = dc_graph.infer_attribute_types(edges);
+    report.suggested = suggest_accessors(report.nodeAttributes, nka);
+
     return {
         nodes: nodes,
         edges: edges,
         nodekeyattr: nka,
         sourceattr: sa,
-        targetattr: ta
+        targetattr: ta,
+        clusters: data.clusters,
+        node_cluster: data.node_cluster,
+        report: report
     };
 }
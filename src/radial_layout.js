@@ -0,0 +1,346 @@
+/**
+ * `dc_graph.radial_layout` places nodes on circles, without any external library:
+ * * `radial` - a radial tree: a spanning tree is grown breadth-first from the roots, each node is
+ * placed on the ring for its depth, within the wedge of its parent, and each subtree gets a wedge
+ * proportional to its number of leaves. With more than one root, the roots form the first ring.
+ * * `circular` - all nodes on one circle, in depth-first order of the spanning tree so that
+ * neighbors tend to be close together.
+ * * `concentric` - one ring for each value of the `ring` accessor, innermost first in ascending
+ * order; by default nodes with higher degree are closer to the center. Nodes within a ring are
+ * ordered by the angles of their neighbors on inner rings, to reduce crossings.
+ *
+ * Rings are at least `ranksep` apart, and each ring is big enough to fit its nodes with `nodesep`
+ * between them. If there is no `root` accessor, or it returns false for all nodes in a connected
+ * component, the component is rooted at a node with no incoming edges, preferring higher degree.
+ *
+ * In addition to the below layout attributes, `radial_layout` also implements the attributes from
+ * {@link dc_graph.graphviz_attrs graphviz_attrs}. It can run in a web worker.
+ * @class radial_layout
+ * @memberof dc_graph
+ * @param {String} [id=uuid()] - Unique identifier
+ * @param {String} [layout='radial'] - `'radial'`, `'circular'`, or `'concentric'`
+ * @return {dc_graph.radial_layout}
+ * @example
+ * diagram.layoutEngine(dc_graph.spawn_engine('concentric'))
+ *     .layoutEngine().ring(function(n) { return n.value.level; });
+ **/
+dc_graph.radial_layout = function(id, layout) {
+    var _layoutId = id || uuid();
+    var _dispatch = d3.dispatch('tick', 'start', 'end');
+    var _options = null;
+    var _graph, _nodes, _edges;
+
+    function init(options) {
+        _options = options;
+    }
+
+    function data(graph, nodes, edges) {
+        _graph = graph;
+        _nodes = nodes;
+        _edges = edges;
+    }
+
+    function node_size(n) {
+        return Math.max(n.width || 0, n.height || 0);
+    }
+
+    // the radius needed to fit these nodes around a circle
+    function fit_radius(nodes) {
+        if(nodes.length < 2)
+            return 0;
+        return d3.sum(nodes, function(n) {
+            return node_size(n) + _options.nodesep;
+        }) / (2 * Math.PI);
+    }
+
+    function adjacency() {
+        var adj = {}, indegree = {};
+        _nodes.forEach(function(n) {
+            adj[n.dcg_nodeKey] = [];
+            indegree[n.dcg_nodeKey] = 0;
+        });
+        _edges.forEach(function(e) {
+            if(!adj[e.dcg_edgeSource] || !adj[e.dcg_edgeTarget] || e.dcg_edgeSource === e.dcg_edgeTarget)
+                return;
+            adj[e.dcg_edgeSource].push(e.dcg_edgeTarget);
+            adj[e.dcg_edgeTarget].push(e.dcg_edgeSource);
+            ++indegree[e.dcg_edgeTarget];
+        });
+        return {adj: adj, indegree: indegree};
+    }
+
+    // breadth-first spanning forest from the roots; returns children and depth by key, and roots
+    function spanning_forest(adj, indegree) {
+        var byKey = {}, children = {}, depth = {}, roots = [];
+        _nodes.forEach(function(n) {
+            byKey[n.dcg_nodeKey] = n;
+        });
+        function grow(starts) {
+            var queue = starts.slice();
+            starts.forEach(function(k) {
+                depth[k] = 0;
+                children[k] = [];
+                roots.push(k);
+            });
+            while(queue.length) {
+                var k = queue.shift();
+                for(var i = 0; i < adj[k].length; ++i) {
+                    var k2 = adj[k][i];
+                    if(depth[k2] !== undefined)
+                        continue;
+                    depth[k2] = depth[k] + 1;
+                    children[k2] = [];
+                    children[k].push(k2);
+                    queue.push(k2);
+                }
+            }
+        }
+        grow(_nodes.filter(function(n) {
+            return n.dcg_root;
+        }).map(function(n) {
+            return n.dcg_nodeKey;
+        }));
+        // root any remaining components at the best source
+        var rest = _nodes.map(function(n) {
+            return n.dcg_nodeKey;
+        }).sort(function(a, b) {
+            return (indegree[a] === 0 ? 0 : 1) - (indegree[b] === 0 ? 0 : 1) ||
+                adj[b].length - adj[a].length;
+        });
+        rest.forEach(function(k) {
+            if(depth[k] === undefined)
+                grow([k]);
+        });
+        return {byKey: byKey, children: children, depth: depth, roots: roots};
+    }
+
+    function place(n, center, radius, angle) {
+        n.x = center.x + radius * Math.cos(angle);
+        n.y = center.y + radius * Math.sin(angle);
+        n.dcg_angle = angle;
+    }
+
+    function radial(center, start) {
+        var graph = adjacency(), forest = spanning_forest(graph.adj, graph.indegree);
+        var leaves = {}, rings = [];
+        function count_leaves(k) {
+            var c = forest.children[k];
+            return (leaves[k] = c.length ? d3.sum(c, count_leaves) : 1);
+        }
+        forest.roots.forEach(count_leaves);
+        // with several roots, they make up the first ring around an empty center
+        var offset = forest.roots.length > 1 ? 1 : 0;
+        function assign(keys, a0, a1, depth) {
+            var total = d3.sum(keys, function(k) { return leaves[k]; }), a = a0;
+            keys.forEach(function(k) {
+                var a2 = a + (a1 - a0) * leaves[k] / total;
+                (rings[depth] = rings[depth] || []).push({key: k, angle: (a + a2) / 2});
+                assign(forest.children[k], a, a2, depth + 1);
+                a = a2;
+            });
+        }
+        assign(forest.roots, start, start + 2 * Math.PI, offset);
+        var radius = 0, maxSize = d3.max(_nodes, node_size) || 0;
+        rings.forEach(function(ring, d) {
+            if(!ring)
+                return;
+            var nodes = ring.map(function(r) { return forest.byKey[r.key]; });
+            if(d === 0)
+                radius = 0;
+            else {
+                // the narrowest gap between neighbors on the ring determines how far out it must be
+                var sorted = ring.map(function(r) { return r.angle; }).sort(d3.ascending),
+                    gap = 2 * Math.PI;
+                for(var i = 0; i < sorted.length; ++i)
+                    gap = Math.min(gap, (i + 1 < sorted.length ? sorted[i+1] : sorted[0] + 2 * Math.PI) - sorted[i]);
+                var needed = sorted.length > 1 ? (maxSize + _options.nodesep) / Math.max(gap, 1e-3) : 0;
+                radius = Math.max(radius + maxSize + _options.ranksep, needed);
+            }
+            ring.forEach(function(r, i) {
+                place(nodes[i], center, radius, r.angle);
+            });
+        });
+    }
+
+    function circular(center, start) {
+        var graph = adjacency(), forest = spanning_forest(graph.adj, graph.indegree), order = [];
+        function visit(k) {
+            order.push(forest.byKey[k]);
+            forest.children[k].forEach(visit);
+        }
+        forest.roots.forEach(visit);
+        var radius = fit_radius(order);
+        order.forEach(function(n, i) {
+            place(n, center, radius, start + 2 * Math.PI * i / order.length);
+        });
+    }
+
+    function concentric(center, start) {
+        var graph = adjacency(), byKey = {};
+        _nodes.forEach(function(n) {
+            byKey[n.dcg_nodeKey] = n;
+        });
+        var ringOf = _nodes.some(function(n) { return n.dcg_ring !== undefined; }) ?
+                function(n) { return n.dcg_ring; } :
+                function(n) { return -graph.adj[n.dcg_nodeKey].length; };
+        var values = d3.set(_nodes.map(ringOf)).values().map(function(v) {
+            return isNaN(+v) ? v : +v;
+        }).sort(function(a, b) {
+            return typeof a === typeof b ? d3.ascending(a, b) : typeof a === 'number' ? -1 : 1;
+        });
+        var rings = values.map(function(v) {
+            return _nodes.filter(function(n) {
+                return String(ringOf(n)) === String(v);
+            });
+        });
+        var radius = 0, maxSize = d3.max(_nodes, node_size) || 0, placed = {};
+        rings.forEach(function(ring, r) {
+            // order by the mean angle of neighbors already placed, if any
+            var keys = ring.map(function(n, i) {
+                var sx = 0, sy = 0;
+                graph.adj[n.dcg_nodeKey].forEach(function(k) {
+                    if(placed[k]) {
+                        sx += Math.cos(byKey[k].dcg_angle);
+                        sy += Math.sin(byKey[k].dcg_angle);
+                    }
+                });
+                var angle = sx || sy ? Math.atan2(sy, sx) - start : 2 * Math.PI * i / ring.length;
+                return (angle % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+            });
+            var order = d3.range(ring.length).sort(function(a, b) { return keys[a] - keys[b]; });
+            if(r > 0 || ring.length > 1)
+                radius = Math.max(r > 0 ? radius + maxSize + _options.ranksep : 0, fit_radius(ring));
+            order.forEach(function(j, i) {
+                place(ring[j], center, radius, start + 2 * Math.PI * i / ring.length);
+            });
+            ring.forEach(function(n) {
+                placed[n.dcg_nodeKey] = true;
+            });
+        });
+    }
+
+    function start() {
+        _dispatch.start();
+        var center = {
+            x: _graph && _graph.width ? _graph.width / 2 : 0,
+            y: _graph && _graph.height ? _graph.height / 2 : 0
+        }, startAngle = _options.startAngle * Math.PI / 180;
+        if(_nodes.length) {
+            switch(_options.layout) {
+            case 'radial':
+                radial(center, startAngle);
+                break;
+            case 'circular':
+                circular(center, startAngle);
+                break;
+            case 'concentric':
+                concentric(center, startAngle);
+                break;
+            default:
+                throw new Error('unknown radial layout ' + _options.layout);
+            }
+        }
+        _dispatch.end(_nodes, _edges.map(function(e) {
+            return {dcg_edgeKey: e.dcg_edgeKey};
+        }));
+    }
+
+    function stop() {
+    }
+
+    var graphviz = dc_graph.graphviz_attrs(), graphviz_keys = Object.keys(graphviz);
+    return Object.assign(graphviz, {
+        layoutAlgorithm: function() {
+            return 'radial';
+        },
+        layoutId: function() {
+            return _layoutId;
+        },
+        supportsWebworker: function() {
+            return true;
+        },
+        parent: property(null),
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        init: function(options) {
+            this.optionNames().forEach(function(option) {
+                if(options[option] === undefined)
+                    options[option] = this[option]();
+            }.bind(this));
+            init(options);
+            return this;
+        },
+        data: function(graph, nodes, edges) {
+            data(graph, nodes, edges);
+        },
+        start: function() {
+            start();
+        },
+        stop: function() {
+            stop();
+        },
+        optionNames: function() {
+            return ['layout', 'startAngle'].concat(graphviz_keys);
+        },
+        passThru: function() {
+            return ['root', 'ring'];
+        },
+        populateLayoutNode: function(layout, node) {
+            if(this.root())
+                layout.dcg_root = !!this.root.eval(node);
+            if(this.ring())
+                layout.dcg_ring = this.ring.eval(node);
+        },
+        populateLayoutEdge: function() {},
+        /**
+         * Which variant to lay out: `'radial'`, `'circular'`, or `'concentric'`. Must be set
+         * before the engine is given to the diagram.
+         * @method layout
+         * @memberof dc_graph.radial_layout
+         * @instance
+         * @param {String} [layout='radial']
+         * @return {String|dc_graph.radial_layout}
+         **/
+        layout: property(layout || 'radial'),
+        /**
+         * The angle in degrees, clockwise from the positive x axis, at which each ring starts.
+         * In `circular` and `concentric` layouts, the first node in each ring is placed there. In
+         * `radial` layouts, the circle is divided into a wedge for each subtree, starting at this
+         * angle, and each node is placed in the middle of its wedge, so the first child is a
+         * little clockwise of it. The default starts at the top.
+         * @method startAngle
+         * @memberof dc_graph.radial_layout
+         * @instance
+         * @param {Number} [startAngle=-90]
+         * @return {Number|dc_graph.radial_layout}
+         **/
+        startAngle: property(-90),
+        /**
+         * Function which returns true for nodes which should be roots of the radial tree, or
+         * `null` to choose roots automatically.
+         * @method root
+         * @memberof dc_graph.radial_layout
+         * @instance
+         * @param {Function} [root=null]
+         * @return {Function|dc_graph.radial_layout}
+         **/
+        root: property(null),
+        /**
+         * For the concentric layout, function which returns the ring value for a node; nodes
+         * with the same value share a ring, and lower values are closer to the center. If
+         * `null`, nodes are placed in rings by descending degree.
+         * @method ring
+         * @memberof dc_graph.radial_layout
+         * @instance
+         * @param {Function} [ring=null]
+         * @return {Function|dc_graph.radial_layout}
+         **/
+        ring: property(null)
+    });
+};
+
+dc_graph.radial_layout.scripts = ['d3.js'];
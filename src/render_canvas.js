@@ -0,0 +1,898 @@
+/**
+ * `dc_graph.render_canvas` draws the diagram onto a single HTML canvas, for graphs which are too
+ * large to draw quickly with an SVG element per node and edge.
+ *
+ * Nodes are drawn with their shapes and labels, and edges with their arrowheads, using the same
+ * accessors as the SVG renderer. So that {@link dc_graph.mode modes} which listen to mouse events
+ * on nodes and edges (such as {@link dc_graph.tip tip}, {@link dc_graph.select_nodes select_nodes}
+ * and {@link dc_graph.highlight_neighbors highlight_neighbors}) keep working, each node and edge
+ * also has an empty SVG element bound to its data, in an overlay with no pointer events; mouse
+ * events on the canvas are hit-tested and dispatched to those elements. The overlay is
+ * positioned over the canvas, so the diagram's root element is given `position: relative` if it
+ * is not already positioned.
+ *
+ * Ports, the brush, and modes which draw their own SVG elements are not supported.
+ * @class render_canvas
+ * @memberof dc_graph
+ * @example
+ * var diagram = dc_graph.diagram('#graph')
+ *     .renderer(dc_graph.render_canvas());
+ * @return {dc_graph.render_canvas}
+ **/
+dc_graph.render_canvas = function() {
+    var _canvas = null, _context = null, _svg = null, _defs = null, _g = null, _nodeLayer = null, _edgeLayer = null;
+    var _zoom, _translate = [0, 0], _scale = 1, _zoomTween = null;
+    var _animating = false; // do not refresh during animations
+    var _transition = null, _exiting = [];
+    var _timerRunning = false, _timerEnd = 0, _paintRequested = false;
+    var _edgesInFront = false, _hovered = null, _arrowOps = {};
+    var _renderer = {};
+
+    _renderer.rendererType = function() {
+        return 'canvas';
+    };
+
+    _renderer.parent = property(null);
+
+    _renderer.selectAllNodes = function(selector) {
+        selector = selector || '.node';
+        return _nodeLayer && _nodeLayer.selectAll(selector) || d3.selectAll('.foo-this-does-not-exist');
+    };
+
+    _renderer.selectAllEdges = function(selector) {
+        selector = selector || '.edge';
+        return _edgeLayer && _edgeLayer.selectAll(selector) || d3.selectAll('.foo-this-does-not-exist');
+    };
+
+    _renderer.select = function (s) {
+        return _renderer.parent().root().select(s);
+    };
+
+    _renderer.selectAll = function (s) {
+        return _renderer.parent().root() ? _renderer.parent().root().selectAll(s) : null;
+    };
+
+    // the overlay, which holds the proxy elements and any defs; modes such as tip attach to it
+    _renderer.svg = function() {
+        return _svg;
+    };
+
+    _renderer.g = function() {
+        return _g;
+    };
+
+    _renderer.addOrRemoveDef = function(id, whether, tag, onEnter) {
+        var data = whether ? [0] : [];
+        var sel = _defs.selectAll('#' + id).data(data);
+
+        var selEnter = sel
+            .enter().append(tag)
+              .attr('id', id);
+        if(selEnter.size() && onEnter)
+            selEnter.call(onEnter);
+        sel.exit().remove();
+        return sel;
+    };
+
+    _renderer.selectNodePortsOfStyle = function(node, style) {
+        return d3.selectAll('.foo-this-does-not-exist');
+    };
+
+    _renderer.isRendered = function() {
+        return !!_canvas;
+    };
+
+    _renderer.resize = function(w, h) {
+        if(_canvas) {
+            var diagram = _renderer.parent(), ratio = window.devicePixelRatio || 1;
+            w = w || diagram.width();
+            h = h || diagram.height();
+            _canvas
+                .attr('width', Math.round(w * ratio))
+                .attr('height', Math.round(h * ratio))
+                .style('width', diagram.width_is_automatic() ? '100%' : w + 'px')
+                .style('height', diagram.height_is_automatic() ? '100%' : h + 'px');
+            _svg.attr('width', w).attr('height', h);
+            request_paint();
+        }
+        return _renderer;
+    };
+
+    _renderer.rezoom = function(oldWidth, oldHeight, newWidth, newHeight) {
+        var scale = _zoom.scale(), translate = _zoom.translate();
+        _zoom.scale(1).translate([0,0]);
+        var xDomain = _renderer.parent().x().domain(), yDomain = _renderer.parent().y().domain();
+        _renderer.parent().x()
+            .domain([xDomain[0], xDomain[0] + (xDomain[1] - xDomain[0])*newWidth/oldWidth])
+            .range([0, newWidth]);
+        _renderer.parent().y()
+            .domain([yDomain[0], yDomain[0] + (yDomain[1] - yDomain[0])*newHeight/oldHeight])
+            .range([0, newHeight]);
+        _zoom
+            .x(_renderer.parent().x()).y(_renderer.parent().y())
+            .translate(translate).scale(scale);
+        _renderer.resize(newWidth, newHeight);
+    };
+
+    _renderer.globalTransform = function(pos, scale, animate) {
+        var now = Date.now();
+        if(animate) {
+            _zoomTween = {
+                start: now,
+                duration: _renderer.parent().zoomDuration(),
+                interpolate: d3.interpolate(current_transform(now), [pos[0], pos[1], scale])
+            };
+            animate_until(now + _zoomTween.duration);
+        }
+        else {
+            _zoomTween = null;
+            request_paint();
+        }
+        _translate = pos.slice();
+        _scale = scale;
+    };
+
+    _renderer.translate = function(_) {
+        if(!arguments.length)
+            return _zoom.translate();
+        _zoom.translate(_);
+        return this;
+    };
+
+    _renderer.scale = function(_) {
+        if(!arguments.length)
+            return _zoom ? _zoom.scale() : 1;
+        _zoom.scale(_);
+        return this;
+    };
+
+    // argh
+    _renderer.commitTranslateScale = function() {
+        _zoom.event(_canvas);
+    };
+
+    _renderer.zoom = function(_) {
+        if(!arguments.length)
+            return _zoom;
+        _zoom = _;
+        return _renderer;
+    };
+
+    _renderer.initializeDrawing = function () {
+        _renderer.resetCanvas();
+        _g = _svg.append('g')
+            .attr('class', 'draw');
+
+        var layers = ['edge-layer', 'node-layer'];
+        _edgesInFront = _renderer.parent().edgesInFront();
+        if(_edgesInFront)
+            layers.reverse();
+        _g.selectAll('g').data(layers)
+          .enter().append('g')
+            .attr('class', function(l) { return l; });
+        _edgeLayer = _g.selectAll('g.edge-layer');
+        _nodeLayer = _g.selectAll('g.node-layer');
+        return this;
+    };
+
+    /**
+     * Remove the canvas and its overlay from the dom and recreate them.
+     * @method resetCanvas
+     * @memberof dc_graph.render_canvas
+     * @instance
+     * @return {d3.selection}
+     **/
+    _renderer.resetCanvas = function() {
+        (_canvas || _renderer.select('canvas.dc-graph-canvas')).remove();
+        (_svg || _renderer.select('svg.dc-graph-canvas-overlay')).remove();
+        _canvas = _svg = null;
+        _exiting = [];
+        _transition = _zoomTween = _hovered = null;
+        _animating = false;
+        _translate = [0, 0];
+        _scale = 1;
+        return generateCanvas();
+    };
+
+    function generateCanvas() {
+        var diagram = _renderer.parent();
+        // the overlay is positioned over the canvas, relative to the root
+        var position = window.getComputedStyle(diagram.root().node()).position;
+        if(!position || position === 'static')
+            diagram.root().style('position', 'relative');
+        _canvas = diagram.root().append('canvas')
+            .attr('class', 'dc-graph-canvas')
+            .style('display', 'block');
+        _context = _canvas.node().getContext ? _canvas.node().getContext('2d') : null;
+        _svg = diagram.root().append('svg')
+            .attr('class', 'dc-graph-canvas-overlay')
+            .style({
+                position: 'absolute',
+                left: 0,
+                top: 0,
+                'pointer-events': 'none'
+            });
+        _defs = _svg.append('svg:defs');
+        _renderer.resize();
+
+        _zoom = d3.behavior.zoom()
+            .on('zoom.diagram', diagram.doZoom)
+            .x(diagram.x()).y(diagram.y())
+            .scaleExtent(diagram.zoomExtent());
+        if(diagram.mouseZoomable()) {
+            _canvas.call(_zoom);
+            _canvas.on('dblclick.zoom', null);
+        }
+
+        _canvas.on('mousemove.canvas-hit', function() {
+            hover(hit_test());
+            forward_mouse_event('mousemove', _hovered || _svg.node());
+        }).on('mouseout.canvas-hit', function() {
+            hover(null, d3.event.relatedTarget);
+        });
+        proxy_mouse_events.forEach(function(type) {
+            _canvas.on(type + '.canvas-hit', function() {
+                forward_mouse_event(type, hit_test() || _svg.node());
+            });
+        });
+        return _canvas;
+    }
+
+    function hover(proxy, outside) {
+        if(proxy === _hovered)
+            return;
+        var old = _hovered;
+        _hovered = proxy;
+        if(old && old.parentNode)
+            forward_mouse_event('mouseout', old, proxy || outside || _svg.node());
+        if(proxy)
+            forward_mouse_event('mouseover', proxy, old || _svg.node());
+        request_paint(); // edge labels are shown on hover
+    }
+
+    function hit_test() {
+        var mouse = d3.mouse(_canvas.node()),
+            x = (mouse[0] - _translate[0]) / _scale,
+            y = (mouse[1] - _translate[1]) / _scale;
+        var layers = _edgesInFront ? [_edgeLayer, _nodeLayer] : [_nodeLayer, _edgeLayer];
+        for(var i = 0; i < layers.length; ++i) {
+            var contains = layers[i] === _nodeLayer ? node_contains : edge_contains;
+            for(var proxy = layers[i].node().lastChild; proxy; proxy = proxy.previousSibling)
+                if(contains(proxy.__data__, x, y))
+                    return proxy;
+        }
+        return null;
+    }
+
+    function node_contains(n, x, y) {
+        var outline = n.dcg_canvas && n.dcg_canvas.outline;
+        if(!outline || !isFinite(n.cola.x))
+            return false;
+        var dx = x - n.cola.x, dy = y - n.cola.y;
+        if(outline.points)
+            return point_in_polygon(outline.points, dx, dy);
+        if(outline.ellipse)
+            return outline.rx > 0 && outline.ry > 0 &&
+                (dx*dx)/(outline.rx*outline.rx) + (dy*dy)/(outline.ry*outline.ry) <= 1;
+        return Math.abs(dx) <= outline.rx && Math.abs(dy) <= outline.ry;
+    }
+
+    // as wide as the invisible hover path of the svg renderer
+    function edge_contains(e, x, y) {
+        var hit = e.pos && e.pos.new && e.pos.new.hit;
+        if(!hit)
+            return false;
+        var tolerance = Math.max(5, _renderer.parent().edgeStrokeWidth.eval(e)/2);
+        if(x < hit.left - tolerance || x > hit.right + tolerance ||
+           y < hit.top - tolerance || y > hit.bottom + tolerance)
+            return false;
+        var flat = hit.points;
+        for(var i = 1; i < flat.length; ++i)
+            if(segment_distance({x: x, y: y}, flat[i-1], flat[i]) <= tolerance)
+                return true;
+        return false;
+    }
+
+    // d3-tip and others measure the element under the mouse; proxies answer for what is drawn
+    function edge_ctm() {
+        return _svg.node().getScreenCTM().translate(_translate[0], _translate[1]).scale(_scale);
+    }
+
+    function node_ctm() {
+        var n = this.__data__;
+        return edge_ctm().translate(n.cola.x || 0, n.cola.y || 0);
+    }
+
+    function node_bbox() {
+        var n = this.__data__, rx = n.dcg_rx || n.cola.width/2 || 0, ry = n.dcg_ry || n.cola.height/2 || 0;
+        return {x: -rx, y: -ry, width: 2*rx, height: 2*ry};
+    }
+
+    function edge_bbox() {
+        var e = this.__data__;
+        if(!e.pos || !e.pos.new)
+            return {x: 0, y: 0, width: 0, height: 0};
+        var points = e.pos.new.path.points,
+            xext = d3.extent(points, function(p) { return p.x; }),
+            yext = d3.extent(points, function(p) { return p.y; });
+        return {x: xext[0], y: yext[0], width: xext[1] - xext[0], height: yext[1] - yext[0]};
+    }
+
+    _renderer.startRedraw = function(dispatch, wnodes, wedges) {
+        var diagram = _renderer.parent(), now = Date.now(), exitStart = now + diagram.deleteDelay();
+
+        // proxy elements for edges: the same element stands in for the edge and its hover path
+        var edge = _edgeLayer.selectAll('.edge')
+                .data(wedges, diagram.edgeKey.eval);
+        var edgeEnter = edge.enter().append('g')
+                .attr({
+                    class: 'edge edge-hover',
+                    id: diagram.edgeId
+                })
+            .each(function(e) {
+                e.deleted = false;
+                this.getBBox = edge_bbox;
+                this.getScreenCTM = edge_ctm;
+            });
+        edge.exit().each(function(e) {
+            e.deleted = true;
+            _exiting.push({edge: e, start: exitStart});
+        }).remove();
+
+        if(diagram.edgeSort()) {
+            edge.sort(function(a, b) {
+                var as = diagram.edgeSort.eval(a), bs = diagram.edgeSort.eval(b);
+                return as < bs ? -1 : bs < as ? 1 : 0;
+            });
+        }
+
+        var node = _nodeLayer.selectAll('.node')
+                .data(wnodes, diagram.nodeKey.eval);
+        var nodeEnter = node.enter().append('g')
+                .attr('class', 'node')
+            .each(function(n) {
+                n.deleted = false;
+                this.getBBox = node_bbox;
+                this.getScreenCTM = node_ctm;
+            });
+        nodeEnter.each(infer_shape(diagram));
+        node.exit().each(function(n) {
+            n.deleted = true;
+            _exiting.push({node: n, start: exitStart});
+        }).remove();
+
+        if(_hovered && !_hovered.parentNode)
+            _hovered = null;
+        if(_exiting.length)
+            animate_until(exitStart + diagram.stagedDuration());
+
+        dispatch.drawn(node, edge, edge);
+
+        var drawState = {
+            node: node,
+            nodeEnter: nodeEnter,
+            edge: edge,
+            edgeEnter: edgeEnter
+        };
+
+        _refresh(drawState);
+
+        return drawState;
+    };
+
+    function _refresh(drawState) {
+        var diagram = _renderer.parent();
+        drawState.node.filter(shape_changed(diagram)).each(infer_shape(diagram));
+        drawState.node.each(fit_node);
+        request_paint();
+    }
+
+    _renderer.refresh = function(node, edge) {
+        if(_animating)
+            return this; // but what about changed attributes?
+        node = node || _renderer.selectAllNodes();
+        edge = edge || _renderer.selectAllEdges();
+        _refresh({node: node});
+        // node sizes may have changed
+        calc_edge_positions(edge.data().filter(function(e) {
+            return e.pos && e.pos.new;
+        }));
+        edge.each(function(e) {
+            e.pos.old = e.pos.new;
+        });
+        return this;
+    };
+
+    _renderer.reposition = function(node, edge) {
+        edge.each(function(e) {
+            e.pos.new = null;
+            e.pos.old = null;
+            _renderer.parent().calcEdgePath(e, 'new', e.source.cola.x, e.source.cola.y, e.target.cola.x, e.target.cola.y);
+            e.pos.new.hit = hit_polyline(e.pos.new);
+        });
+        request_paint();
+        return this;
+    };
+
+    function has_source_and_target(e) {
+        return !!e.source && !!e.target;
+    }
+
+    // as in render_svg, find the new path of each edge, and make its old path comparable
+    function calc_edge_positions(edges) {
+        var diagram = _renderer.parent();
+        edges.forEach(function(e) {
+            e.pos.new = null;
+            if(e.cola.points)
+                e.pos.new = place_arrows_on_spline(diagram, e, e.cola.points);
+            else {
+                if(!e.pos.old)
+                    diagram.calcEdgePath(e, 'old', e.source.prevX || e.source.cola.x, e.source.prevY || e.source.cola.y,
+                                         e.target.prevX || e.target.cola.x, e.target.prevY || e.target.cola.y);
+                diagram.calcEdgePath(e, 'new', e.source.cola.x, e.source.cola.y, e.target.cola.x, e.target.cola.y);
+            }
+            if(!e.pos.old)
+                e.pos.old = e.pos.new;
+            else if(e.pos.old.path.bezDegree !== e.pos.new.path.bezDegree ||
+                    e.pos.old.path.points.length !== e.pos.new.path.points.length) {
+                if(is_one_segment(e.pos.old.path)) {
+                    e.pos.new.path.points = as_bezier3(e.pos.new.path);
+                    e.pos.old.path.points = split_bezier_n(as_bezier3(e.pos.old.path),
+                                                           (e.pos.new.path.points.length-1)/3);
+                    e.pos.old.path.bezDegree = e.pos.new.path.bezDegree = 3;
+                }
+                else if(is_one_segment(e.pos.new.path)) {
+                    e.pos.old.path.points = as_bezier3(e.pos.old.path);
+                    e.pos.new.path.points = split_bezier_n(as_bezier3(e.pos.new.path),
+                                                           (e.pos.old.path.points.length-1)/3);
+                    e.pos.old.path.bezDegree = e.pos.new.path.bezDegree = 3;
+                }
+            }
+            e.pos.new.hit = hit_polyline(e.pos.new);
+        });
+    }
+
+    // the flattened path and its bounds, for hit-testing on every mouse move
+    function hit_polyline(pos) {
+        var points = flatten_path(pos.full || pos.path),
+            xext = d3.extent(points, function(p) { return p.x; }),
+            yext = d3.extent(points, function(p) { return p.y; });
+        return {points: points, left: xext[0], right: xext[1], top: yext[0], bottom: yext[1]};
+    }
+
+    _renderer.draw = function(drawState, animatePositions) {
+        var diagram = _renderer.parent(), now = Date.now();
+        console.assert(drawState.edge.data().every(has_source_and_target));
+        var transition = {
+            start: now,
+            nodeEntered: {},
+            edgeEntered: {},
+            nodeFrom: {},
+            edgeFrom: {}
+        };
+        drawState.nodeEnter.each(function(n) {
+            transition.nodeEntered[diagram.nodeKey.eval(n)] = true;
+        });
+        drawState.edgeEnter.each(function(e) {
+            transition.edgeEntered[diagram.edgeKey.eval(e)] = true;
+        });
+
+        // edges first, since their old paths start from the previous node positions
+        calc_edge_positions(drawState.edge.data());
+        drawState.edge.each(function(e) {
+            if(animatePositions)
+                transition.edgeFrom[diagram.edgeKey.eval(e)] = e.pos.old;
+            e.pos.old = e.pos.new;
+        });
+        drawState.node.each(function(n) {
+            if(animatePositions && n.prevX !== undefined)
+                transition.nodeFrom[diagram.nodeKey.eval(n)] = {x: n.prevX, y: n.prevY};
+            n.prevX = n.cola.x;
+            n.prevY = n.cola.y;
+        });
+
+        // signal layout done when the transition completes, as the svg renderer does
+        transition.end = now + Math.max(diagram.stagedDelay(true), diagram.stagedDelay(false)) +
+            diagram.stagedDuration();
+        _transition = transition;
+        _animating = true;
+        animate_until(transition.end);
+    };
+
+    function finish_transition() {
+        _transition = null;
+        _animating = false;
+        if(!_renderer.parent().showLayoutSteps())
+            _renderer.parent().layoutDone(true);
+    }
+
+    var ease = d3.ease('cubic-in-out');
+
+    function progress(now, start, delay) {
+        var duration = _renderer.parent().stagedDuration();
+        if(!duration)
+            return now >= start + delay ? 1 : 0;
+        return ease(Math.max(0, Math.min(1, (now - start - delay) / duration)));
+    }
+
+    function current_transform(now) {
+        if(_zoomTween) {
+            var t = (now - _zoomTween.start) / _zoomTween.duration;
+            if(t < 1)
+                return _zoomTween.interpolate(ease(t));
+            _zoomTween = null;
+        }
+        return [_translate[0], _translate[1], _scale];
+    }
+
+    // paint every frame until the end time, and until any layout transition has completed
+    function animate_until(end) {
+        _timerEnd = Math.max(_timerEnd, end);
+        if(_timerRunning)
+            return;
+        _timerRunning = true;
+        d3.timer(function() {
+            var now = Date.now();
+            paint(now);
+            if(_transition && now >= _transition.end)
+                finish_transition();
+            if(_transition || now < _timerEnd)
+                return false;
+            _timerRunning = false;
+            return true;
+        });
+    }
+
+    function request_paint() {
+        if(_paintRequested || _timerRunning || !_context)
+            return;
+        _paintRequested = true;
+        window.requestAnimationFrame(function() {
+            paint(Date.now());
+        });
+    }
+
+    function node_state(n, now) {
+        var diagram = _renderer.parent(), key = diagram.nodeKey.eval(n),
+            state = {x: n.cola.x, y: n.cola.y, alpha: diagram.nodeOpacity.eval(n)};
+        if(_transition) {
+            if(_transition.nodeEntered[key])
+                state.alpha *= progress(now, _transition.start, diagram.stagedDelay(true));
+            else if(_transition.nodeFrom[key]) {
+                var from = _transition.nodeFrom[key],
+                    t = progress(now, _transition.start, diagram.stagedDelay(false));
+                state.x = from.x + (state.x - from.x)*t;
+                state.y = from.y + (state.y - from.y)*t;
+            }
+        }
+        return state;
+    }
+
+    function interpolate_points(from, to, t) {
+        if(from.length !== to.length)
+            return to;
+        return to.map(function(p, i) {
+            return {x: from[i].x + (p.x - from[i].x)*t, y: from[i].y + (p.y - from[i].y)*t};
+        });
+    }
+
+    function interpolate_orient(from, to, t) {
+        var newang = parseFloat(to), oldang = unsurprising_orient(from, to);
+        return oldang + (newang - oldang)*t;
+    }
+
+    function edge_state(e, now) {
+        var diagram = _renderer.parent(), key = diagram.edgeKey.eval(e), pos = e.pos.new,
+            state = {
+                path: pos.path,
+                full: pos.full || pos.path,
+                orienthead: parseFloat(pos.orienthead),
+                orienttail: parseFloat(pos.orienttail),
+                alpha: diagram.edgeOpacity.eval(e)
+            };
+        if(_transition) {
+            var from = _transition.edgeFrom[key];
+            if(_transition.edgeEntered[key])
+                state.alpha *= progress(now, _transition.start, diagram.stagedDelay(true));
+            else if(from && from !== pos) {
+                var t = progress(now, _transition.start, diagram.stagedDelay(false));
+                state.path = {
+                    points: interpolate_points(from.path.points, pos.path.points, t),
+                    bezDegree: pos.path.bezDegree
+                };
+                if(pos.full && from.full)
+                    state.full = {
+                        points: interpolate_points(from.full.points, pos.full.points, t),
+                        bezDegree: pos.full.bezDegree
+                    };
+                state.orienthead = interpolate_orient(from.orienthead, pos.orienthead, t);
+                state.orienttail = interpolate_orient(from.orienttail, pos.orienttail, t);
+            }
+        }
+        return state;
+    }
+
+    function paint(now) {
+        _paintRequested = false;
+        if(!_context)
+            return;
+        var ctx = _context, ratio = window.devicePixelRatio || 1, transform = current_transform(now);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, _canvas.node().width, _canvas.node().height);
+        ctx.setTransform(ratio*transform[2], 0, 0, ratio*transform[2], ratio*transform[0], ratio*transform[1]);
+
+        var duration = _renderer.parent().stagedDuration();
+        _exiting = _exiting.filter(function(x) {
+            var fade = 1 - progress(now, x.start, 0);
+            if(x.node && isFinite(x.node.cola.x))
+                paint_node(ctx, x.node, {x: x.node.cola.x, y: x.node.cola.y, alpha: fade});
+            else if(x.edge && x.edge.pos.new)
+                paint_edge(ctx, x.edge, edge_state(x.edge, now), fade);
+            return now < x.start + duration;
+        });
+
+        var layers = _edgesInFront ? [_nodeLayer, _edgeLayer] : [_edgeLayer, _nodeLayer];
+        layers.forEach(function(layer) {
+            for(var proxy = layer.node().firstChild; proxy; proxy = proxy.nextSibling) {
+                var d = proxy.__data__;
+                if(layer === _nodeLayer) {
+                    if(isFinite(d.cola.x))
+                        paint_node(ctx, d, node_state(d, now));
+                }
+                else if(d.pos && d.pos.new)
+                    paint_edge(ctx, d, edge_state(d, now), 1);
+            }
+        });
+        if(_hovered && _hovered.parentNode === _edgeLayer.node() && _hovered.__data__.pos.new)
+            paint_edge_labels(ctx, _hovered.__data__, edge_state(_hovered.__data__, now));
+    }
+
+    function dash_array(dasharray) {
+        if(!dasharray)
+            return [];
+        if(Array.isArray(dasharray))
+            return dasharray;
+        return String(dasharray).split(/[\s,]+/).filter(identity).map(Number);
+    }
+
+    function trace_points(ctx, points, bezDegree) {
+        ctx.moveTo(points[0].x, points[0].y);
+        for(var i = 1; i + bezDegree - 1 < points.length; i += bezDegree) {
+            if(bezDegree === 3)
+                ctx.bezierCurveTo(points[i].x, points[i].y, points[i+1].x, points[i+1].y, points[i+2].x, points[i+2].y);
+            else if(bezDegree === 2)
+                ctx.quadraticCurveTo(points[i].x, points[i].y, points[i+1].x, points[i+1].y);
+            else
+                ctx.lineTo(points[i].x, points[i].y);
+        }
+    }
+
+    function trace_outline(ctx, outline) {
+        if(outline.points) {
+            trace_points(ctx, outline.points, 1);
+            ctx.closePath();
+        }
+        else if(outline.ellipse)
+            ctx.ellipse(0, 0, outline.rx, outline.ry, 0, 0, 2*Math.PI);
+        else {
+            var rx = outline.rx, ry = outline.ry, r = outline.corner || 0;
+            ctx.moveTo(-rx + r, -ry);
+            ctx.arcTo(rx, -ry, rx, ry, r);
+            ctx.arcTo(rx, ry, -rx, ry, r);
+            ctx.arcTo(-rx, ry, -rx, -ry, r);
+            ctx.arcTo(-rx, -ry, rx, -ry, r);
+            ctx.closePath();
+        }
+    }
+
+    function paint_node(ctx, n, state) {
+        var diagram = _renderer.parent(), canvas = n.dcg_canvas;
+        if(!canvas || !state.alpha)
+            return;
+        ctx.save();
+        ctx.globalAlpha = state.alpha;
+        ctx.translate(state.x, state.y);
+        if(!canvas.outline.hidden) {
+            ctx.beginPath();
+            trace_outline(ctx, canvas.outline);
+            ctx.fillStyle = compose(diagram.nodeFillScale() || identity, diagram.nodeFill.eval)(n);
+            ctx.fill();
+            var strokeWidth = diagram.nodeStrokeWidth.eval(n);
+            if(strokeWidth) {
+                ctx.lineWidth = strokeWidth;
+                ctx.strokeStyle = diagram.nodeStroke.eval(n);
+                ctx.setLineDash(dash_array(diagram.nodeStrokeDashArray.eval(n)));
+                ctx.stroke();
+            }
+        }
+        if(canvas.lines.length) {
+            var align = diagram.nodeLabelAlignment.eval(n),
+                lineHeight = diagram.nodeLineHeight() * canvas.fontSize,
+                xofs = align === 'left' ? -canvas.labelWidth/2 : align === 'right' ? canvas.labelWidth/2 : 0;
+            ctx.font = _renderer.nodeLabelFont();
+            ctx.fillStyle = diagram.nodeLabelFill.eval(n) || 'black';
+            ctx.textAlign = align === 'left' || align === 'right' ? align : 'center';
+            ctx.textBaseline = 'middle';
+            canvas.lines.forEach(function(line, i) {
+                ctx.fillText(line, xofs, (i - (canvas.lines.length - 1)/2) * lineHeight);
+            });
+        }
+        ctx.restore();
+    }
+
+    function paint_edge(ctx, e, state, fade) {
+        var diagram = _renderer.parent(), alpha = state.alpha * fade;
+        if(!alpha)
+            return;
+        var stroke = diagram.edgeStroke.eval(e);
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.beginPath();
+        trace_points(ctx, state.path.points, state.path.bezDegree);
+        ctx.lineWidth = diagram.edgeStrokeWidth.eval(e);
+        ctx.strokeStyle = stroke;
+        ctx.setLineDash(dash_array(diagram.edgeStrokeDashArray.eval(e)));
+        ctx.stroke();
+        var full = state.full.points, head = arrow_ops(e, 'head'), tail = arrow_ops(e, 'tail');
+        if(head)
+            paint_arrow(ctx, head, full[full.length-1], state.orienthead, stroke);
+        if(tail)
+            paint_arrow(ctx, tail, full[0], state.orienttail, stroke);
+        ctx.restore();
+    }
+
+    // arrowheads are drawn by the same definitions as the svg markers, compiled once per variation
+    function arrow_ops(e, kind) {
+        var diagram = _renderer.parent(),
+            desc = kind === 'head' ? diagram.edgeArrowhead.eval(e) : diagram.edgeArrowtail.eval(e);
+        if(!desc)
+            return null;
+        var arrowSize = diagram.edgeArrowSize.eval(e),
+            stemWidth = diagram.edgeStrokeWidth.eval(e) / arrowSize,
+            strokeOfs = diagram.nodeStrokeWidth.eval(kind === 'tail' ? e.source : e.target)/2,
+            sig = [desc, arrowSize, stemWidth, strokeOfs].join('-');
+        if(!(sig in _arrowOps))
+            _arrowOps[sig] = compile_arrow(diagram, desc, arrowSize, stemWidth, strokeOfs);
+        return _arrowOps[sig];
+    }
+
+    function compile_arrow(diagram, desc, arrowSize, stemWidth, strokeOfs) {
+        var parts = arrow_parts(diagram.arrows(), desc);
+        if(!parts.length || typeof Path2D === 'undefined')
+            return null;
+        var bounds = arrow_bounds(parts, stemWidth),
+            marker = d3.select(document.createElementNS(d3.ns.prefix.svg, 'marker'));
+        parts.forEach(function(p, i) {
+            marker.call(p.drawFunction,
+                        add_points([-strokeOfs/arrowSize, 0], bounds.offsets[i].offset),
+                        stemWidth);
+        });
+        return {
+            scale: arrowSize,
+            ref: front_ref(parts[0].frontRef),
+            shapes: Array.prototype.map.call(marker.node().childNodes, function(elem) {
+                return {
+                    path: new Path2D(element_path(elem)),
+                    fill: elem.getAttribute('fill'), // null means the edge color, like the marker
+                    stroke: elem.getAttribute('stroke'),
+                    strokeWidth: elem.hasAttribute('stroke-width') ? +elem.getAttribute('stroke-width') : 1
+                };
+            })
+        };
+    }
+
+    function element_path(elem) {
+        var a = function(name) { return +elem.getAttribute(name) || 0; };
+        if(elem.tagName === 'rect')
+            return ['M', a('x'), a('y'), 'h', a('width'), 'v', a('height'), 'h', -a('width'), 'Z'].join(' ');
+        if(elem.tagName === 'circle')
+            return ['M', a('cx') - a('r'), a('cy'),
+                    'a', a('r'), a('r'), 0, 1, 0, 2*a('r'), 0,
+                    'a', a('r'), a('r'), 0, 1, 0, -2*a('r'), 0, 'Z'].join(' ');
+        return elem.getAttribute('d');
+    }
+
+    function paint_arrow(ctx, ops, vertex, orient, color) {
+        ctx.save();
+        ctx.translate(vertex.x, vertex.y);
+        ctx.rotate(orient);
+        ctx.scale(ops.scale, ops.scale);
+        ctx.translate(-ops.ref[0], -ops.ref[1]);
+        ctx.setLineDash([]);
+        ops.shapes.forEach(function(shape) {
+            if(shape.fill !== 'none') {
+                ctx.fillStyle = shape.fill || color;
+                ctx.fill(shape.path);
+            }
+            if(shape.stroke !== 'none' && shape.strokeWidth) {
+                ctx.lineWidth = shape.strokeWidth;
+                ctx.strokeStyle = shape.stroke || color;
+                ctx.stroke(shape.path);
+            }
+        });
+        ctx.restore();
+    }
+
+    // the svg renderer shows edge labels along the path when the edge is hovered
+    function paint_edge_labels(ctx, e, state) {
+        var diagram = _renderer.parent(), labels = diagram.edgeLabel.eval(e);
+        if(!labels)
+            return;
+        if(!Array.isArray(labels))
+            labels = [labels];
+        var flat = flatten_path(state.path), lengths = [0];
+        for(var i = 1; i < flat.length; ++i)
+            lengths.push(lengths[i-1] + Math.hypot(flat[i].x - flat[i-1].x, flat[i].y - flat[i-1].y));
+        var half = lengths[lengths.length-1]/2, k = d3.bisectLeft(lengths, half) || 1,
+            a = flat[k-1], b = flat[k], t = (half - lengths[k-1]) / (lengths[k] - lengths[k-1] || 1),
+            angle = Math.atan2(b.y - a.y, b.x - a.x);
+        if(angle > Math.PI/2 || angle < -Math.PI/2) // keep text upright
+            angle += Math.PI;
+        ctx.save();
+        ctx.globalAlpha = state.alpha;
+        ctx.translate(a.x + (b.x - a.x)*t, a.y + (b.y - a.y)*t);
+        ctx.rotate(angle);
+        ctx.font = _renderer.edgeLabelFont();
+        ctx.fillStyle = 'black';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        labels.forEach(function(label, i) {
+            ctx.fillText(label, 0, i * diagram.edgeLabelSpacing.eval(e) - 2);
+        });
+        ctx.restore();
+    }
+
+    function text_width(text, font) {
+        if(!_context) // rough estimate, without a canvas to measure with
+            return 0.6 * font_size(font) * String(text).length;
+        _context.font = font;
+        return _context.measureText(text).width;
+    }
+
+    function fit_node(n) {
+        n.dcg_canvas = fit_node_text(_renderer.parent(), n, _renderer.nodeLabelFont(), text_width);
+    }
+
+    _renderer.drawPorts = function(drawState) {
+        // not implemented
+    };
+
+    _renderer.fireTSEvent = function(dispatch, drawState) {
+        dispatch.transitionsStarted(drawState.node, drawState.edge, drawState.edge);
+    };
+
+    _renderer.calculateBounds = function(drawState) {
+        if(!drawState.node.size())
+            return null;
+        return _renderer.parent().calculateBounds(drawState.node.data(), drawState.edge.data());
+    };
+
+    _renderer.animating = function() {
+        return _animating;
+    };
+
+    /**
+     * The CSS font for node labels; canvas text does not use the `.node-label` style in
+     * dc.graph.css.
+     * @method nodeLabelFont
+     * @memberof dc_graph.render_canvas
+     * @instance
+     * @param {String} [nodeLabelFont='18px sans-serif']
+     * @return {String}
+     * @return {dc_graph.render_canvas}
+     **/
+    _renderer.nodeLabelFont = property('18px sans-serif');
+
+    /**
+     * The CSS font for edge labels, which are shown when the edge is hovered.
+     * @method edgeLabelFont
+     * @memberof dc_graph.render_canvas
+     * @instance
+     * @param {String} [edgeLabelFont='10px sans-serif']
+     * @return {String}
+     * @return {dc_graph.render_canvas}
+     **/
+    _renderer.edgeLabelFont = property('10px sans-serif');
+
+    return _renderer;
+};
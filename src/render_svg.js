@@ -2,6 +2,7 @@ dc_graph.render_svg = function() {
     var _svg = null, _defs = null, _g = null, _nodeLayer = null, _edgeLayer = null;
     var _animating = false; // do not refresh during animations
     var _zoom;
+    var _lodApplied = false;
     var _renderer = {};
 
     _renderer.rendererType = function() {
@@ -122,6 +123,7 @@ dc_graph.render_svg = function() {
         if(animate)
             obj = _g.transition().duration(_renderer.parent().zoomDuration());
         obj.attr('transform', 'translate(' + pos + ')' + ' scale(' + scale + ')');
+        apply_level_of_detail(scale);
     };
 
     _renderer.translate = function(_) {
@@ -286,6 +288,47 @@ dc_graph.render_svg = function() {
         _renderer.redrawEdge(drawState.edge, drawState.edgeArrows);
         _renderer.redrawNode(drawState.node);
         _renderer.drawPorts(drawState);
+        apply_level_of_detail(_renderer.scale());
+    }
+
+    // show less when zoomed out, according to the diagram's levelOfDetail rules
+    function apply_level_of_detail(scale) {
+        var diagram = _renderer.parent();
+        if(!_g || !diagram.levelOfDetail() && !_lodApplied)
+            return;
+        _lodApplied = !!diagram.levelOfDetail();
+        var rules = diagram.levelOfDetail() || {};
+        function below(rule) {
+            return rules[rule] !== undefined && rules[rule] !== null && scale < rules[rule];
+        }
+        _g.classed('lod-hide-labels', below('labels'));
+
+        var portDots = below('ports');
+        _g.classed('lod-port-dots', portDots);
+        var dot = _nodeLayer.selectAll('g.port').selectAll('circle.port-dot')
+                .data(function(p) { return portDots ? [p] : []; });
+        dot.enter().append('circle')
+            .attr('class', 'port-dot');
+        dot.exit().remove();
+        dot.attr('r', 2/scale); // the same size on screen at any scale
+
+        // the first of a set of parallel edges is drawn straight, so it stands for all of them
+        var aggregate = below('parallelEdges'), light = below('lightEdges');
+        function drawn_as(e) {
+            return aggregate && e.parallel ? e.parallel.edges : [e];
+        }
+        _edgeLayer.selectAll('.edge, .edge-arrows, .edge-hover, .edge-label-wrapper')
+            .classed('lod-hidden', function(e) {
+                var edges = drawn_as(e);
+                return edges[0] !== e ||
+                    light && d3.sum(edges, diagram.edgeWeight.eval) < rules.minEdgeWeight;
+            });
+        _edgeLayer.selectAll('.edge')
+            .style('stroke-width', function(e) {
+                var edges = drawn_as(e);
+                return edges.length > 1 && edges[0] === e ?
+                    d3.sum(edges, diagram.edgeStrokeWidth.eval) + 'px' : null;
+            });
     }
 
     _renderer.refresh = function(node, edge, edgeHover, edgeLabels, textPaths) {
@@ -629,6 +672,7 @@ dc_graph.render_svg = function() {
             .attr('class', function(l) { return l; });
         _edgeLayer = _g.selectAll('g.edge-layer');
         _nodeLayer = _g.selectAll('g.node-layer');
+        _lodApplied = false;
         return this;
     };
 
@@ -853,6 +897,237 @@ dc_graph.render_svg = function() {
         return _svg;
     }
 
+    // presentation properties which are copied from the computed style when exporting, so that
+    // the exported svg does not depend on dc.graph.css or other stylesheets
+    var export_style_properties = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+        'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'font-family', 'font-size',
+        'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+    ];
+
+    function inline_styles(orig, clone, families) {
+        var style = window.getComputedStyle(orig);
+        if(style.getPropertyValue('display') === 'none') {
+            clone.parentNode.removeChild(clone);
+            return;
+        }
+        var decls = export_style_properties.map(function(prop) {
+            var value = style.getPropertyValue(prop);
+            return value ? prop + ': ' + value : null;
+        }).filter(identity);
+        if(decls.length)
+            clone.setAttribute('style', decls.join('; '));
+        if(orig.tagName === 'text' && style.getPropertyValue('font-family'))
+            style.getPropertyValue('font-family').split(',').forEach(function(f) {
+                families.add(f.trim().replace(/^["']|["']$/g, ''));
+            });
+        var ochildren = xml_children(orig), cchildren = xml_children(clone);
+        for(var i = 0; i < ochildren.length; ++i)
+            inline_styles(ochildren[i], cchildren[i], families);
+    }
+
+    // @font-face rules for the font families used, with urls made absolute
+    function font_face_css(families) {
+        var css = [];
+        Array.prototype.forEach.call(document.styleSheets, function(sheet) {
+            var rules;
+            try {
+                rules = sheet.cssRules;
+            }
+            catch(xep) { // cross-origin stylesheet
+                return;
+            }
+            Array.prototype.forEach.call(rules || [], function(rule) {
+                if(rule.type !== 5) // CSSRule.FONT_FACE_RULE
+                    return;
+                var family = rule.style.getPropertyValue('font-family').trim().replace(/^["']|["']$/g, '');
+                if(!families.has(family))
+                    return;
+                var base = sheet.href || window.location.href;
+                css.push(rule.cssText.replace(/url\((["']?)([^"')]+)\1\)/g, function(match, quote, url) {
+                    if(/^data:/.test(url))
+                        return match;
+                    try {
+                        return 'url("' + new URL(url, base).href + '")';
+                    }
+                    catch(xep) {
+                        return match;
+                    }
+                }));
+            });
+        });
+        return css.join('\n');
+    }
+
+    function export_bounds(padding) {
+        var nodes = _renderer.selectAllNodes().data(),
+            edges = _renderer.selectAllEdges().data().filter(function(e) {
+                return e.pos && e.pos.new;
+            });
+        if(!nodes.length)
+            return null;
+        var bounds = _renderer.parent().calculateBounds(nodes, edges);
+        _renderer.selectAll('rect.cluster').each(function(c) {
+            if(c.cola && c.cola.bounds)
+                bounds = {
+                    left: Math.min(bounds.left, c.cola.bounds.left),
+                    top: Math.min(bounds.top, c.cola.bounds.top),
+                    right: Math.max(bounds.right, c.cola.bounds.right),
+                    bottom: Math.max(bounds.bottom, c.cola.bounds.bottom)
+                };
+        });
+        return {
+            left: bounds.left - padding,
+            top: bounds.top - padding,
+            right: bounds.right + padding,
+            bottom: bounds.bottom + padding
+        };
+    }
+
+    function export_svg(options) {
+        options = Object.assign({padding: 10, background: null, fontFaces: true}, options);
+        if(!_svg)
+            throw new Error('diagram has not been rendered');
+        var bounds = export_bounds(options.padding) || {left: 0, top: 0, right: 0, bottom: 0};
+        var width = bounds.right - bounds.left, height = bounds.bottom - bounds.top;
+        var svg = _svg.node(), clone = svg.cloneNode(true), families = d3.set();
+        inline_styles(svg, clone, families);
+
+        clone.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.setAttribute('viewBox', [0, 0, width, height].join(' '));
+        clone.removeAttribute('style');
+        // undo the zoom, and crop to the bounds
+        var g = clone.querySelector('g.draw');
+        if(g)
+            g.setAttribute('transform', 'translate(' + -bounds.left + ',' + -bounds.top + ')');
+        var defs = clone.querySelector('defs');
+        if(!defs) {
+            defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            clone.insertBefore(defs, clone.firstChild);
+        }
+        if(options.fontFaces) {
+            var css = font_face_css(families);
+            if(css) {
+                var style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+                style.textContent = css;
+                defs.appendChild(style);
+            }
+        }
+        if(options.background) {
+            var rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('width', width);
+            rect.setAttribute('height', height);
+            rect.setAttribute('fill', options.background);
+            clone.insertBefore(rect, defs.nextSibling);
+        }
+        return {
+            text: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone),
+            width: width,
+            height: height
+        };
+    }
+
+    // replace font urls with data urls, since images drawn to a canvas can't load anything
+    function embed_font_urls(text) {
+        var urls = d3.set();
+        text.replace(/url\("(https?:[^"]+)"\)/g, function(match, url) {
+            urls.add(url);
+        });
+        return Promise.all(urls.values().map(function(url) {
+            return fetch(url).then(function(response) {
+                return response.blob();
+            }).then(function(blob) {
+                return new Promise(function(resolve) {
+                    var reader = new FileReader();
+                    reader.onload = function() {
+                        resolve([url, reader.result]);
+                    };
+                    reader.readAsDataURL(blob);
+                });
+            }).catch(function() {
+                return [url, url];
+            });
+        })).then(function(pairs) {
+            pairs.forEach(function(pair) {
+                text = text.split(pair[0]).join(pair[1]);
+            });
+            return text;
+        });
+    }
+
+    /**
+     * Export the diagram as a self-contained SVG document: styles from stylesheets are inlined
+     * into each element, arrowhead markers are included, `@font-face` rules for fonts used by
+     * labels are copied, and the drawing is cropped to the bounds of the nodes, edges and
+     * clusters, regardless of the current zoom.
+     * @method exportSVG
+     * @memberof dc_graph.diagram
+     * @instance
+     * @param {Object} [options]
+     * @param {Number} [options.padding=10] - space around the drawing, in pixels
+     * @param {String} [options.background=null] - fill color for the background, or transparent
+     * @param {Boolean} [options.fontFaces=true] - copy `@font-face` rules into the SVG
+     * @return {String}
+     **/
+    _renderer.exportSVG = function(options) {
+        return export_svg(options).text;
+    };
+
+    /**
+     * Rasterize the diagram to a PNG image. This uses the same SVG as
+     * {@link dc_graph.diagram#exportSVG exportSVG}, with font files embedded so that they are
+     * available to the canvas.
+     * @method exportPNG
+     * @memberof dc_graph.diagram
+     * @instance
+     * @param {Object} [options] - as for `exportSVG`, plus
+     * @param {Number} [options.scale=1] - multiplier for the size in pixels, e.g. 2 for high-dpi
+     * @param {String} [options.type='image/png'] - image mime type for `canvas.toBlob`
+     * @return {Promise} resolves to a `Blob`
+     * @example
+     * diagram.exportPNG({scale: 2, background: 'white'}).then(function(blob) {
+     *     window.open(URL.createObjectURL(blob));
+     * });
+     **/
+    _renderer.exportPNG = function(options) {
+        options = Object.assign({scale: 1, type: 'image/png'}, options);
+        var exported;
+        try {
+            exported = export_svg(options);
+        }
+        catch(xep) {
+            return Promise.reject(xep);
+        }
+        return embed_font_urls(exported.text).then(function(text) {
+            return new Promise(function(resolve, reject) {
+                var url = URL.createObjectURL(new Blob([text], {type: 'image/svg+xml'}));
+                var image = new Image();
+                image.onload = function() {
+                    var canvas = document.createElement('canvas');
+                    canvas.width = Math.ceil(exported.width * options.scale);
+                    canvas.height = Math.ceil(exported.height * options.scale);
+                    var context = canvas.getContext('2d');
+                    context.scale(options.scale, options.scale);
+                    context.drawImage(image, 0, 0, exported.width, exported.height);
+                    URL.revokeObjectURL(url);
+                    canvas.toBlob(function(blob) {
+                        if(blob)
+                            resolve(blob);
+                        else
+                            reject(new Error('could not rasterize diagram'));
+                    }, options.type);
+                };
+                image.onerror = function() {
+                    URL.revokeObjectURL(url);
+                    reject(new Error('could not load exported svg as an image'));
+                };
+                image.src = url;
+            });
+        });
+    };
+
     _renderer.animating = function() {
         return _animating;
     };
@@ -1,234 +1,893 @@
+/**
+ * `dc_graph.render_webgl` draws the diagram in 3D with [three.js](https://threejs.org/), which
+ * the page must load along with `THREE.OrbitControls`. Node positions use the `z` coordinate
+ * from layout engines which produce one, such as {@link dc_graph.layered_layout layered_layout}.
+ *
+ * Nodes are drawn as slabs in the outline of their shapes, with one instanced mesh per outline,
+ * and their labels as sprites which always face the camera. Edges are tubes along their paths,
+ * with cones for arrowheads. Colors and opacities come from the same accessors as the SVG
+ * renderer, through the {@link dc_graph.diagram#cascade cascade}, so highlighting and selection
+ * modes work; node strokes, dash arrays and edge labels are not drawn.
+ *
+ * The mouse orbits, pans and zooms the camera; the diagram's translate and scale correspond to
+ * panning and zooming in the plane of the orbit target. As with
+ * {@link dc_graph.render_canvas render_canvas}, each node and edge has an empty SVG element in an
+ * overlay, and mouse events are picked and dispatched to those elements, so that modes such as
+ * {@link dc_graph.tip tip} and {@link dc_graph.select_nodes select_nodes} keep working. The
+ * diagram's root element is given `position: relative` if it is not already positioned.
+ *
+ * Requires three.js r117 or later, for `InstancedMesh.setColorAt`.
+ * @class render_webgl
+ * @memberof dc_graph
+ * @example
+ * var diagram = dc_graph.diagram('#graph')
+ *     .layoutEngine(dc_graph.layered_layout())
+ *     .renderer(dc_graph.render_webgl());
+ * @return {dc_graph.render_webgl}
+ **/
 dc_graph.render_webgl = function() {
-    //var _svg = null, _defs = null, _g = null, _nodeLayer = null, _edgeLayer = null;
-    var _camera, _scene, _webgl_renderer;
-    var _directionalLight, _ambientLight;
-    var _controls;
-    var _sphereGeometry;
-    var _nodes = {}, _edges = {};
-    var _animating = false; // do not refresh during animations
+    var _svg = null, _defs = null, _g = null, _nodeLayer = null, _edgeLayer = null;
+    var _camera, _scene, _webgl_renderer, _controls, _raycaster, _light;
+    var _width = 0, _height = 0, _zoom, _zoomTween = null;
+    var _placing = false, _syncing = false, _renderRequested = false;
+    var _nodeMeshes = [], _edges = {}, _labels = {}, _textures = {};
+    var _geometries = {}, _coneGeometry, _measureContext;
+    var _extents = null, _hovered = null, _mouseDown = null;
     var _renderer = {};
 
+    var FOV = 45, LABEL_RESOLUTION = 2;
+
     _renderer.rendererType = function() {
         return 'webgl';
     };
 
     _renderer.parent = property(null);
 
+    _renderer.selectAllNodes = function(selector) {
+        selector = selector || '.node';
+        return _nodeLayer && _nodeLayer.selectAll(selector) || d3.selectAll('.foo-this-does-not-exist');
+    };
+
+    _renderer.selectAllEdges = function(selector) {
+        selector = selector || '.edge';
+        return _edgeLayer && _edgeLayer.selectAll(selector) || d3.selectAll('.foo-this-does-not-exist');
+    };
+
+    _renderer.select = function (s) {
+        return _renderer.parent().root().select(s);
+    };
+
+    _renderer.selectAll = function (s) {
+        return _renderer.parent().root() ? _renderer.parent().root().selectAll(s) : null;
+    };
+
+    // the overlay, which holds the proxy elements and any defs; modes such as tip attach to it
+    _renderer.svg = function() {
+        return _svg;
+    };
+
+    _renderer.g = function() {
+        return _g;
+    };
+
+    _renderer.addOrRemoveDef = function(id, whether, tag, onEnter) {
+        var data = whether ? [0] : [];
+        var sel = _defs.selectAll('#' + id).data(data);
+
+        var selEnter = sel
+            .enter().append(tag)
+              .attr('id', id);
+        if(selEnter.size() && onEnter)
+            selEnter.call(onEnter);
+        sel.exit().remove();
+        return sel;
+    };
+
+    _renderer.selectNodePortsOfStyle = function(node, style) {
+        return d3.selectAll('.foo-this-does-not-exist');
+    };
+
+    /**
+     * The three.js scene, for modes which add their own objects to it, such as
+     * {@link dc_graph.annotate_layers annotate_layers}.
+     * @method scene
+     * @memberof dc_graph.render_webgl
+     * @instance
+     * @return {THREE.Scene}
+     **/
+    _renderer.scene = function() {
+        return _scene;
+    };
+
+    /**
+     * The extents of the node positions in scene coordinates, as of the last draw, in the form
+     * `[[xmin, xmax], [ymin, ymax], [zmin, zmax]]`.
+     * @method extents
+     * @memberof dc_graph.render_webgl
+     * @instance
+     * @return {Array}
+     **/
+    _renderer.extents = function() {
+        return _extents;
+    };
+
     _renderer.isRendered = function() {
         return !!_camera;
     };
 
     _renderer.resize = function(w, h) {
+        if(_webgl_renderer) {
+            var diagram = _renderer.parent();
+            _width = w || diagram.width();
+            _height = h || diagram.height();
+            _webgl_renderer.setSize(_width, _height);
+            _camera.aspect = _width / _height;
+            _controls.minDistance = camera_distance(diagram.zoomExtent()[1]);
+            _controls.maxDistance = camera_distance(diagram.zoomExtent()[0]);
+            _svg.attr('width', _width).attr('height', _height);
+            place_camera(_zoom ? _zoom.translate().concat([_zoom.scale()]) : [0, 0, 1]);
+        }
         return _renderer;
     };
 
     _renderer.rezoom = function(oldWidth, oldHeight, newWidth, newHeight) {
-        return _renderer;
+        var scale = _zoom.scale(), translate = _zoom.translate();
+        _zoom.scale(1).translate([0,0]);
+        var xDomain = _renderer.parent().x().domain(), yDomain = _renderer.parent().y().domain();
+        _renderer.parent().x()
+            .domain([xDomain[0], xDomain[0] + (xDomain[1] - xDomain[0])*newWidth/oldWidth])
+            .range([0, newWidth]);
+        _renderer.parent().y()
+            .domain([yDomain[0], yDomain[0] + (yDomain[1] - yDomain[0])*newHeight/oldHeight])
+            .range([0, newHeight]);
+        _zoom
+            .x(_renderer.parent().x()).y(_renderer.parent().y())
+            .translate(translate).scale(scale);
+        _renderer.resize(newWidth, newHeight);
     };
 
     _renderer.globalTransform = function(pos, scale, animate) {
-        return _renderer;
+        var to = [pos[0], pos[1], scale];
+        // when the camera controls report a move, the camera is already there
+        if(!animate || _syncing) {
+            _zoomTween = null;
+            place_camera(to);
+            return;
+        }
+        var tween = {
+            start: Date.now(),
+            duration: _renderer.parent().zoomDuration(),
+            interpolate: d3.interpolate(camera_transform(), to)
+        };
+        _zoomTween = tween;
+        d3.timer(function() {
+            if(_zoomTween !== tween)
+                return true;
+            var t = tween.duration ? (Date.now() - tween.start) / tween.duration : 1;
+            if(t >= 1) {
+                _zoomTween = null;
+                place_camera(to);
+                return true;
+            }
+            place_camera(tween.interpolate(ease(t)));
+            return false;
+        });
     };
 
     _renderer.translate = function(_) {
         if(!arguments.length)
-            return [0,0];
-        return _renderer;
+            return _zoom ? _zoom.translate() : [0, 0];
+        _zoom.translate(_);
+        return this;
     };
 
     _renderer.scale = function(_) {
         if(!arguments.length)
-            return 1;
-        return _renderer;
+            return _zoom ? _zoom.scale() : 1;
+        _zoom.scale(_);
+        return this;
     };
 
     // argh
     _renderer.commitTranslateScale = function() {
+        _zoom.event(d3.select(_webgl_renderer.domElement));
     };
 
-    _renderer.initializeDrawing = function () {
-        if(_scene) // just treat it as a redraw
-            return _renderer;
+    _renderer.zoom = function(_) {
+        if(!arguments.length)
+            return _zoom;
+        _zoom = _;
+        return _renderer;
+    };
 
-        _camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 1, 10000);
-        _camera.up = new THREE.Vector3(0, 0, 1);
+    var ease = d3.ease('cubic-in-out');
 
-        _scene = new THREE.Scene();
+    // three.js r125 renamed the *BufferGeometry classes to *Geometry, and later dropped the old names
+    function geometry_class(name) {
+        return THREE[name + 'BufferGeometry'] || THREE[name + 'Geometry'];
+    }
 
-        _sphereGeometry = new THREE.SphereBufferGeometry(10, 32, 32);
+    function tan_half_fov() {
+        return Math.tan(FOV * Math.PI / 360);
+    }
 
-        _directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-        _directionalLight.position.set(-1, -1, 1).normalize();
-        _scene.add(_directionalLight);
+    // how far the camera is from the orbit target when the diagram is at the given scale
+    function camera_distance(scale) {
+        return _renderer.multiplier() * _height / (2 * scale * tan_half_fov());
+    }
 
-        _ambientLight = new THREE.AmbientLight(0xaaaaaa);
-        _scene.add(_ambientLight);
+    // the diagram translate and scale equivalent to the camera position
+    function camera_transform() {
+        if(!_controls || !_height)
+            return [0, 0, 1];
+        var MULT = _renderer.multiplier(), target = _controls.target,
+            scale = MULT * _height / (2 * _camera.position.distanceTo(target) * tan_half_fov());
+        return [_width/2 - target.x/MULT*scale, _height/2 + target.y/MULT*scale, scale];
+    }
 
-        _webgl_renderer = new THREE.WebGLRenderer({ antialias: true });
-        _webgl_renderer.setPixelRatio(window.devicePixelRatio);
-        var boundRect = _renderer.parent().root().node().getBoundingClientRect();
-        _webgl_renderer.setSize(boundRect.width, boundRect.height);
-        _renderer.parent().root().node().appendChild(_webgl_renderer.domElement);
+    // keep the direction the camera is looking from, and move it to show the diagram transform
+    function place_camera(transform) {
+        if(!_controls || !_height)
+            return;
+        var MULT = _renderer.multiplier(), scale = transform[2],
+            distance = camera_distance(scale),
+            offset = _camera.position.clone().sub(_controls.target);
+        if(!offset.lengthSq())
+            offset.set(0, 0, 1);
+        _controls.target.set((_width/2 - transform[0]) / scale * MULT,
+                             -(_height/2 - transform[1]) / scale * MULT,
+                             _controls.target.z);
+        _camera.position.copy(_controls.target).add(offset.setLength(distance));
+        _camera.far = Math.max(10000, distance * 10);
+        _camera.updateProjectionMatrix();
+        _placing = true;
+        _controls.update();
+        _placing = false;
+        request_render();
+    }
 
-        _controls = new THREE.OrbitControls(_camera, _webgl_renderer.domElement);
-        _controls.minDistance = 300;
-        _controls.maxDistance = 1000;
+    // report camera moves by the controls as zooms of the diagram
+    function controls_changed() {
+        if(!_placing) {
+            var transform = camera_transform();
+            _zoomTween = null;
+            _zoom.translate([transform[0], transform[1]]).scale(transform[2]);
+            _syncing = true;
+            _zoom.event(d3.select(_webgl_renderer.domElement));
+            _syncing = false;
+        }
+        request_render();
+    }
+
+    _renderer.initializeDrawing = function () {
+        var diagram = _renderer.parent();
+        if(!_scene)
+            generateScene();
+        else
+            clear_scene();
+
+        (_svg || _renderer.select('svg.dc-graph-webgl-overlay')).remove();
+        // the overlay is positioned over the webgl canvas, relative to the root
+        var position = window.getComputedStyle(diagram.root().node()).position;
+        if(!position || position === 'static')
+            diagram.root().style('position', 'relative');
+        _svg = diagram.root().append('svg')
+            .attr('class', 'dc-graph-webgl-overlay')
+            .style({
+                position: 'absolute',
+                left: 0,
+                top: 0,
+                'pointer-events': 'none'
+            });
+        _defs = _svg.append('svg:defs');
+        _g = _svg.append('g')
+            .attr('class', 'draw');
+        var layers = ['edge-layer', 'node-layer'];
+        if(diagram.edgesInFront())
+            layers.reverse();
+        _g.selectAll('g').data(layers)
+          .enter().append('g')
+            .attr('class', function(l) { return l; });
+        _edgeLayer = _g.selectAll('g.edge-layer');
+        _nodeLayer = _g.selectAll('g.node-layer');
+        _hovered = null;
+
+        _zoom = d3.behavior.zoom()
+            .on('zoom.diagram', diagram.doZoom)
+            .x(diagram.x()).y(diagram.y())
+            .scaleExtent(diagram.zoomExtent());
+        _controls.enableZoom = _controls.enablePan = diagram.mouseZoomable();
+        _camera.position.set(0, 0, 1);
+        _controls.target.set(0, 0, 0);
+        _renderer.resize();
         return _renderer;
     };
 
+    function generateScene() {
+        var diagram = _renderer.parent();
+        _scene = new THREE.Scene();
+        _camera = new THREE.PerspectiveCamera(FOV, 1, 1, 10000);
+        _scene.add(_camera);
+
+        // light from the camera, so that faces toward it show the fill color
+        _scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+        _light = new THREE.DirectionalLight(0xffffff, 0.5);
+        _light.target.position.set(0, 0, -1);
+        _camera.add(_light);
+        _camera.add(_light.target);
+
+        _coneGeometry = new (geometry_class('Cone'))(1, 1, 16);
+        _coneGeometry.translate(0, 0.5, 0); // base at the origin, tip along +y
+        _raycaster = new THREE.Raycaster();
+
+        _webgl_renderer = new THREE.WebGLRenderer({antialias: true, alpha: true});
+        _webgl_renderer.setPixelRatio(window.devicePixelRatio);
+        diagram.root().node().appendChild(_webgl_renderer.domElement);
+        d3.select(_webgl_renderer.domElement)
+            .attr('class', 'dc-graph-webgl')
+            .style('display', 'block');
+
+        _controls = new THREE.OrbitControls(_camera, _webgl_renderer.domElement);
+        _controls.addEventListener('change', controls_changed);
+
+        var canvas = d3.select(_webgl_renderer.domElement);
+        canvas.on('mousemove.webgl-pick', function() {
+            hover(pick());
+            forward_mouse_event('mousemove', _hovered || _svg.node());
+        }).on('mouseout.webgl-pick', function() {
+            hover(null, d3.event.relatedTarget);
+        });
+        proxy_mouse_events.forEach(function(type) {
+            canvas.on(type + '.webgl-pick', function() {
+                if(type === 'mousedown')
+                    _mouseDown = [d3.event.clientX, d3.event.clientY];
+                // dragging the camera is not a click
+                else if(type === 'click' && _mouseDown &&
+                        Math.hypot(d3.event.clientX - _mouseDown[0], d3.event.clientY - _mouseDown[1]) > 3)
+                    return;
+                forward_mouse_event(type, pick() || _svg.node());
+            });
+        });
+    }
+
+    function clear_scene() {
+        _nodeMeshes.forEach(remove_object);
+        _nodeMeshes = [];
+        Object.keys(_edges).forEach(function(k) {
+            destroy_edge(_edges[k]);
+        });
+        _edges = {};
+        Object.keys(_labels).forEach(function(k) {
+            destroy_label(_labels[k]);
+        });
+        _labels = {};
+        collect_textures();
+    }
+
+    function remove_object(object) {
+        _scene.remove(object);
+        object.material.dispose();
+    }
+
+    function request_render() {
+        if(_renderRequested || !_webgl_renderer)
+            return;
+        _renderRequested = true;
+        window.requestAnimationFrame(function() {
+            _renderRequested = false;
+            _webgl_renderer.render(_scene, _camera);
+        });
+    }
+
+    function hover(proxy, outside) {
+        if(proxy === _hovered)
+            return;
+        var old = _hovered;
+        _hovered = proxy;
+        if(old && old.parentNode)
+            forward_mouse_event('mouseout', old, proxy || outside || _svg.node());
+        if(proxy)
+            forward_mouse_event('mouseover', proxy, old || _svg.node());
+    }
+
+    // the proxy element for the node or edge under the mouse: the nearest node or label hit by a
+    // ray from the camera, else an edge passing within a few pixels
+    function pick() {
+        if(!_height)
+            return null;
+        var mouse = d3.mouse(_webgl_renderer.domElement),
+            edgesFirst = _renderer.parent().edgesInFront(),
+            edge = edgesFirst ? pick_edge(mouse) : null;
+        if(edge)
+            return edge;
+        _raycaster.setFromCamera(new THREE.Vector2(mouse[0] / _width * 2 - 1, 1 - mouse[1] / _height * 2), _camera);
+        var targets = _nodeMeshes.concat(Object.keys(_labels).map(function(k) {
+            return _labels[k].sprite;
+        }));
+        var hits = _raycaster.intersectObjects(targets);
+        if(hits.length) {
+            var data = hits[0].object.userData;
+            return data.proxies ? data.proxies[hits[0].instanceId] : data.proxy;
+        }
+        return edgesFirst ? null : pick_edge(mouse);
+    }
+
+    // as wide as the invisible hover path of the svg renderer
+    function pick_edge(mouse) {
+        var best = null, bestDistance = Infinity, p = {x: mouse[0], y: mouse[1]};
+        Object.keys(_edges).forEach(function(k) {
+            var re = _edges[k];
+            if(!re.mesh || !re.material.visible)
+                return;
+            var screen = re.points.map(screen_point),
+                tolerance = Math.max(5, re.radius * pixels_per_unit(re.points[0]));
+            for(var i = 1; i < screen.length; ++i) {
+                var distance = segment_distance(p, screen[i-1], screen[i]);
+                if(distance <= tolerance && distance < bestDistance) {
+                    best = re.proxy;
+                    bestDistance = distance;
+                }
+            }
+        });
+        return best;
+    }
+
+    function node_position(n) {
+        var MULT = _renderer.multiplier();
+        return new THREE.Vector3(n.cola.x * MULT, -n.cola.y * MULT, (n.cola.z || 0) * MULT);
+    }
+
+    // position on the canvas in pixels
+    function screen_point(v) {
+        var p = v.clone().project(_camera);
+        return {x: (p.x + 1) / 2 * _width, y: (1 - p.y) / 2 * _height};
+    }
+
+    // pixels per scene unit, at the distance of a point from the camera
+    function pixels_per_unit(v) {
+        var direction = _camera.getWorldDirection(new THREE.Vector3()),
+            depth = v.clone().sub(_camera.position).dot(direction);
+        return depth > 0 ? _height / (2 * depth * tan_half_fov()) : 0;
+    }
+
+    // d3-tip and others measure the element under the mouse; proxies answer for what is drawn
+    function edge_ctm() {
+        return _svg.node().getScreenCTM();
+    }
+
+    function node_ctm() {
+        var p = screen_point(node_position(this.__data__));
+        return edge_ctm().translate(p.x, p.y);
+    }
+
+    function node_bbox() {
+        var n = this.__data__, ppu = pixels_per_unit(node_position(n)) * _renderer.multiplier(),
+            rx = (n.dcg_rx || n.cola.width/2 || 0) * ppu, ry = (n.dcg_ry || n.cola.height/2 || 0) * ppu;
+        return {x: -rx, y: -ry, width: 2*rx, height: 2*ry};
+    }
+
+    function edge_bbox() {
+        var re = _edges[_renderer.parent().edgeKey.eval(this.__data__)];
+        if(!re || !re.points)
+            return {x: 0, y: 0, width: 0, height: 0};
+        var screen = re.points.map(screen_point),
+            xext = d3.extent(screen, function(p) { return p.x; }),
+            yext = d3.extent(screen, function(p) { return p.y; });
+        return {x: xext[0], y: yext[0], width: xext[1] - xext[0], height: yext[1] - yext[0]};
+    }
+
     _renderer.startRedraw = function(dispatch, wnodes, wedges) {
-        wnodes.forEach(infer_shape(_renderer.parent()));
-        var rnodes = regenerate_objects(_nodes, wnodes, null, function(n) {
-            return _renderer.parent().nodeKey.eval(n);
-        }, function(rn, n) {
-            rn.wnode = n;
-        }, null, function(wnode, rnode) {
-            _scene.remove(rnode.mesh);
-            //rnode.mesh.dispose();
-            rnode.material.dispose();
-        });
-        var redges = regenerate_objects(_edges, wedges, null, function(e) {
-            return _renderer.parent().edgeKey.eval(e);
-        }, function(re, e) {
-            re.wedge = e;
-        }, null, function(wedge, redge) {
-            _scene.remove(redge.mesh);
-            //redge.mesh.dispose();
-            redge.geometry.dispose();
-            redge.material.dispose();
-        });
-        animate();
-        return {wnodes: wnodes, wedges: wedges, rnodes: rnodes, redges: redges};
+        var diagram = _renderer.parent();
+
+        // proxy elements for edges: the same element stands in for the edge and its hover path
+        var edge = _edgeLayer.selectAll('.edge')
+                .data(wedges, diagram.edgeKey.eval);
+        var edgeEnter = edge.enter().append('g')
+                .attr({
+                    class: 'edge edge-hover',
+                    id: diagram.edgeId
+                })
+            .each(function(e) {
+                e.deleted = false;
+                this.getBBox = edge_bbox;
+                this.getScreenCTM = edge_ctm;
+            });
+        edge.exit().each(function(e) {
+            e.deleted = true;
+        }).remove();
+
+        var node = _nodeLayer.selectAll('.node')
+                .data(wnodes, diagram.nodeKey.eval);
+        var nodeEnter = node.enter().append('g')
+                .attr('class', 'node')
+            .each(function(n) {
+                n.deleted = false;
+                this.getBBox = node_bbox;
+                this.getScreenCTM = node_ctm;
+            });
+        nodeEnter.each(infer_shape(diagram));
+        node.exit().each(function(n) {
+            n.deleted = true;
+        }).remove();
+
+        if(_hovered && !_hovered.parentNode)
+            _hovered = null;
+
+        dispatch.drawn(node, edge, edge);
+
+        var drawState = {
+            node: node,
+            nodeEnter: nodeEnter,
+            edge: edge,
+            edgeEnter: edgeEnter
+        };
+        fit_nodes(node);
+        return drawState;
     };
 
-    function color_to_int(color) {
-        // it better be 6 byte hex RGB
-        if(color.length !== 7 || color[0] !== '#') {
-            console.warn("don't know how to use color " + color);
-            color = '#888888';
+    function fit_nodes(node) {
+        var diagram = _renderer.parent();
+        node.filter(shape_changed(diagram)).each(infer_shape(diagram));
+        node.each(function(n) {
+            n.dcg_webgl = fit_node_text(diagram, n, _renderer.nodeLabelFont(), text_width);
+        });
+    }
+
+    function text_width(text, font) {
+        if(_measureContext === undefined) {
+            var canvas = document.createElement('canvas');
+            _measureContext = canvas.getContext ? canvas.getContext('2d') : null;
         }
-        return parseInt(color.slice(1), 16);
+        if(!_measureContext) // rough estimate, without a canvas to measure with
+            return 0.6 * font_size(font) * String(text).length;
+        _measureContext.font = font;
+        return _measureContext.measureText(text).width;
+    }
+
+    function calc_edge_positions(edges) {
+        var diagram = _renderer.parent();
+        edges.forEach(function(e) {
+            if(e.cola.points)
+                e.pos.new = place_arrows_on_spline(diagram, e, e.cola.points);
+            else
+                diagram.calcEdgePath(e, 'new', e.source.cola.x, e.source.cola.y, e.target.cola.x, e.target.cola.y);
+            e.pos.old = e.pos.new;
+        });
     }
-    _renderer.color_to_int = color_to_int;
 
     _renderer.draw = function(drawState, animatePositions) {
-        drawState.wedges.forEach(function(e) {
-            if(!e.pos.old)
-                _renderer.parent().calcEdgePath(e, 'old', e.source.prevX || e.source.cola.x, e.source.prevY || e.source.cola.y,
-                                                e.target.prevX || e.target.cola.x, e.target.prevY || e.target.cola.y);
-            if(!e.pos.new)
-                _renderer.parent().calcEdgePath(e, 'new', e.source.cola.x, e.source.cola.y, e.target.cola.x, e.target.cola.y);
+        var MULT = _renderer.multiplier(), nodes = drawState.node.data();
+        console.assert(drawState.edge.data().every(has_source_and_target));
+        calc_edge_positions(drawState.edge.data());
+
+        var positioned = nodes.filter(function(n) { return isFinite(n.cola.x); });
+        _extents = [
+            d3.extent(positioned, function(n) { return n.cola.x * MULT; }),
+            d3.extent(positioned, function(n) { return -n.cola.y * MULT; }),
+            d3.extent(positioned, function(n) { return (n.cola.z || 0) * MULT; })
+        ];
+        drawState.extents = _extents;
+        drawState.center = _extents.map(function(ext) { return (ext[0] + ext[1]) / 2; });
+
+        update_scene(drawState.node, drawState.edge);
+        if(!_renderer.parent().showLayoutSteps())
+            _renderer.parent().layoutDone(true);
+        return _renderer;
+    };
+
+    function update_scene(node, edge) {
+        update_nodes(node);
+        update_labels(node);
+        update_edges(edge);
+        request_render();
+    }
+
+    // the unit outline of a node, with y up, and a key identifying it for sharing geometry
+    function unit_outline(n) {
+        var outline = n.dcg_webgl.outline, rx = n.dcg_rx, ry = n.dcg_ry, shape = new THREE.Shape(), key;
+        if(outline.points) {
+            var points = outline.points.map(function(p) {
+                return [+(p.x / rx).toFixed(3), +(-p.y / ry).toFixed(3)];
+            });
+            key = 'polygon ' + points.join(' ');
+            shape.moveTo(points[0][0], points[0][1]);
+            points.slice(1).forEach(function(p) {
+                shape.lineTo(p[0], p[1]);
+            });
+        }
+        else if(outline.ellipse) {
+            key = 'ellipse';
+            shape.absarc(0, 0, 1, 0, 2*Math.PI, false);
+        }
+        else {
+            // corners are elliptical here, so that they come out round when scaled
+            var cx = +(outline.corner / rx).toFixed(2) || 0, cy = +(outline.corner / ry).toFixed(2) || 0;
+            key = 'rect ' + cx + ' ' + cy;
+            shape.moveTo(-1 + cx, -1);
+            [[1, -1], [1, 1], [-1, 1], [-1, -1]].forEach(function(corner, i) {
+                if(cx && cy) {
+                    var start = (i - 1) * Math.PI/2;
+                    shape.absellipse(corner[0] * (1 - cx), corner[1] * (1 - cy), cx, cy, start, start + Math.PI/2, false);
+                }
+                else shape.lineTo(corner[0], corner[1]);
+            });
+        }
+        return {key: key, shape: shape};
+    }
+
+    // a slab of unit thickness, centered on the origin
+    function outline_geometry(n) {
+        var outline = unit_outline(n);
+        if(!_geometries[outline.key]) {
+            var geometry = new (geometry_class('Extrude'))(outline.shape, {
+                depth: 1,
+                bevelEnabled: false,
+                curveSegments: 24
+            });
+            geometry.translate(0, 0, -0.5);
+            _geometries[outline.key] = geometry;
+        }
+        return outline.key;
+    }
+
+    // one instanced mesh for each outline and opacity
+    function update_nodes(node) {
+        var diagram = _renderer.parent(), MULT = _renderer.multiplier(), groups = {},
+            fill = compose(diagram.nodeFillScale() || identity, diagram.nodeFill.eval);
+        node.each(function(n) {
+            if(!n.dcg_webgl || n.dcg_webgl.outline.hidden || !isFinite(n.cola.x))
+                return;
+            var opacity = diagram.nodeOpacity.eval(n);
+            if(!opacity)
+                return;
+            var geometry = outline_geometry(n), key = geometry + '|' + opacity;
+            var group = groups[key] = groups[key] || {
+                geometry: geometry,
+                opacity: opacity,
+                nodes: [],
+                proxies: []
+            };
+            group.nodes.push(n);
+            group.proxies.push(this);
         });
 
-        var MULT = _renderer.multiplier();
-        drawState.rnodes.forEach(function(rn) {
-            var color = _renderer.parent().nodeFill.eval(rn.wnode);
-            var add = false;
-            if(!rn.mesh) {
-                add = true;
-                if(_renderer.parent().nodeFillScale())
-                    color = _renderer.parent().nodeFillScale()(color);
-                var cint = color_to_int(color);
-                rn.material = new THREE.MeshLambertMaterial({color: cint});
-                rn.mesh = new THREE.Mesh(_sphereGeometry, rn.material);
-                rn.mesh.name = _renderer.parent().nodeKey.eval(rn.wnode);
-            }
-            rn.mesh.position.x = rn.wnode.cola.x * MULT;
-            rn.mesh.position.y = -rn.wnode.cola.y * MULT;
-            rn.mesh.position.z = rn.wnode.cola.z * MULT || 0;
-            if(add)
-                _scene.add(rn.mesh);
-        });
-
-        var xext = d3.extent(drawState.wnodes, function(n) { return n.cola.x * MULT; }),
-            yext = d3.extent(drawState.wnodes, function(n) { return -n.cola.y * MULT; }),
-            zext = d3.extent(drawState.wnodes, function(n) { return n.cola.z * MULT || 0; });
-        var cx = (xext[0] + xext[1])/2,
-            cy = (yext[0] + yext[1])/2,
-            cz = (zext[0] + zext[1])/2;
-
-        drawState.center = [cx, cy, cz];
-        drawState.extents = [xext, yext, zext];
-        _controls.target.set(cx, cy, cz);
-        _controls.update();
+        _nodeMeshes.forEach(remove_object);
+        var matrix = new THREE.Matrix4(), color = new THREE.Color(), thickness = _renderer.nodeThickness();
+        _nodeMeshes = Object.keys(groups).map(function(key) {
+            var group = groups[key],
+                material = new THREE.MeshLambertMaterial({
+                    opacity: group.opacity,
+                    transparent: group.opacity < 1
+                }),
+                mesh = new THREE.InstancedMesh(_geometries[group.geometry], material, group.nodes.length);
+            group.nodes.forEach(function(n, i) {
+                matrix.makeScale(n.dcg_rx * MULT, n.dcg_ry * MULT, thickness * MULT);
+                matrix.setPosition(node_position(n));
+                mesh.setMatrixAt(i, matrix);
+                mesh.setColorAt(i, color.set(fill(n)));
+            });
+            mesh.userData.proxies = group.proxies;
+            _scene.add(mesh);
+            return mesh;
+        });
+    }
 
-        var vertices = [];
-        drawState.redges.forEach(function(re) {
-            if(!re.wedge.source || !re.wedge.target)
+    // labels are sprites, facing the camera, drawn on top of the nodes
+    function update_labels(node) {
+        var diagram = _renderer.parent(), MULT = _renderer.multiplier(), thickness = _renderer.nodeThickness();
+        var live = {};
+        node.each(function(n) {
+            var text = n.dcg_webgl;
+            if(!text || !text.lines.length || !isFinite(n.cola.x))
                 return;
-            var a = re.wedge.source.cola, b = re.wedge.target.cola;
-            var add = false;
-            var width = _renderer.parent().edgeStrokeWidth.eval(re.wedge);
-            if(!re.mesh) {
-                add = true;
-                var color = _renderer.parent().edgeStroke.eval(re.wedge);
-                var cint = color_to_int(color);
-                re.material = new THREE.MeshLambertMaterial({ color: cint });
-                re.curve = new THREE.LineCurve3(
-                    new THREE.Vector3(a.x*MULT, -a.y*MULT, a.z*MULT || 0),
-                    new THREE.Vector3(b.x*MULT, -b.y*MULT, b.z*MULT || 0));
-                re.geometry = new THREE.TubeBufferGeometry(re.curve, 20, width/2, 8, false);
-                re.mesh = new THREE.Mesh(re.geometry, re.material);
-                re.mesh.name = _renderer.parent().edgeKey.eval(re.wedge);
-            } else {
-                re.curve = new THREE.LineCurve3(
-                    new THREE.Vector3(a.x*MULT, -a.y*MULT, a.z*MULT || 0),
-                    new THREE.Vector3(b.x*MULT, -b.y*MULT, b.z*MULT || 0));
-                re.geometry.dispose();
-                re.geometry = new THREE.TubeBufferGeometry(re.curve, 20, width/2, 8, false);
-                re.mesh.geometry = re.geometry;
+            var key = diagram.nodeKey.eval(n), texture = label_texture(n, text),
+                label = _labels[key];
+            if(!label) {
+                label = _labels[key] = {
+                    sprite: new THREE.Sprite(new THREE.SpriteMaterial({
+                        transparent: true,
+                        depthTest: false
+                    }))
+                };
+                label.sprite.renderOrder = 1;
+                _scene.add(label.sprite);
             }
-            if(add)
-                _scene.add(re.mesh);
+            live[key] = true;
+            label.texture = texture;
+            label.sprite.material.map = _textures[texture].texture;
+            label.sprite.material.opacity = diagram.nodeOpacity.eval(n);
+            label.sprite.material.needsUpdate = true;
+            label.sprite.scale.set(_textures[texture].width * MULT, _textures[texture].height * MULT, 1);
+            label.sprite.position.copy(node_position(n));
+            label.sprite.position.z += thickness * MULT / 2;
+            label.sprite.userData.proxy = this;
         });
-        _animating = false;
-        _renderer.parent().layoutDone(true);
-        return _renderer;
-    };
+        Object.keys(_labels).forEach(function(key) {
+            if(!live[key]) {
+                destroy_label(_labels[key]);
+                delete _labels[key];
+            }
+        });
+        collect_textures();
+    }
 
-    function animate() {
-        window.requestAnimationFrame(animate);
-        render();
+    function destroy_label(label) {
+        remove_object(label.sprite);
     }
 
-    function render() {
-        _webgl_renderer.render(_scene, _camera);
+    function label_texture(n, text) {
+        var diagram = _renderer.parent(), font = _renderer.nodeLabelFont(),
+            fill = diagram.nodeLabelFill.eval(n) || 'black',
+            align = diagram.nodeLabelAlignment.eval(n),
+            key = [font, fill, align].concat(text.lines).join('\n');
+        if(_textures[key])
+            return key;
+        var lineHeight = diagram.nodeLineHeight() * text.fontSize,
+            width = Math.ceil(text.labelWidth) + 2,
+            height = Math.ceil(text.labelHeight + text.fontSize/2),
+            canvas = document.createElement('canvas');
+        canvas.width = width * LABEL_RESOLUTION;
+        canvas.height = height * LABEL_RESOLUTION;
+        var ctx = canvas.getContext('2d');
+        ctx.scale(LABEL_RESOLUTION, LABEL_RESOLUTION);
+        ctx.font = font;
+        ctx.fillStyle = fill;
+        ctx.textAlign = align === 'left' || align === 'right' ? align : 'center';
+        ctx.textBaseline = 'middle';
+        var x = align === 'left' ? 1 : align === 'right' ? width - 1 : width/2;
+        text.lines.forEach(function(line, i) {
+            ctx.fillText(line, x, height/2 + (i - (text.lines.length - 1)/2) * lineHeight);
+        });
+        _textures[key] = {
+            texture: new THREE.CanvasTexture(canvas),
+            width: width,
+            height: height
+        };
+        return key;
     }
 
-    _renderer.drawPorts = function(drawState) {
-        var nodePorts = _renderer.parent().nodePorts();
-        if(!nodePorts)
+    function collect_textures() {
+        var used = {};
+        Object.keys(_labels).forEach(function(k) {
+            used[_labels[k].texture] = true;
+        });
+        Object.keys(_textures).forEach(function(key) {
+            if(!used[key]) {
+                _textures[key].texture.dispose();
+                delete _textures[key];
+            }
+        });
+    }
+
+    // points along a path in scene coordinates, rising from the source's z to the target's
+    function path_points(e, path) {
+        var MULT = _renderer.multiplier(), flat = flatten_path(path),
+            sz = e.source.cola.z || 0, tz = e.target.cola.z || 0,
+            lengths = [0];
+        for(var i = 1; i < flat.length; ++i)
+            lengths.push(lengths[i-1] + Math.hypot(flat[i].x - flat[i-1].x, flat[i].y - flat[i-1].y));
+        var total = lengths[lengths.length-1] || 1;
+        return flat.map(function(p, i) {
+            return new THREE.Vector3(p.x * MULT, -p.y * MULT, (sz + (tz - sz) * lengths[i] / total) * MULT);
+        });
+    }
+
+    function update_edges(edge) {
+        var diagram = _renderer.parent(), live = {};
+        edge.each(function(e) {
+            var key = diagram.edgeKey.eval(e), re = _edges[key];
+            if(!re)
+                re = _edges[key] = {material: new THREE.MeshLambertMaterial()};
+            live[key] = true;
+            re.proxy = this;
+            var opacity = diagram.edgeOpacity.eval(e);
+            re.material.color.set(diagram.edgeStroke.eval(e));
+            if(re.material.transparent !== opacity < 1) {
+                re.material.transparent = opacity < 1;
+                re.material.needsUpdate = true;
+            }
+            re.material.opacity = opacity;
+            re.material.visible = opacity > 0;
+            if(e.pos && e.pos.new)
+                update_edge_geometry(re, e);
+        });
+        Object.keys(_edges).forEach(function(key) {
+            if(!live[key]) {
+                destroy_edge(_edges[key]);
+                delete _edges[key];
+            }
+        });
+    }
+
+    function update_edge_geometry(re, e) {
+        var diagram = _renderer.parent(), MULT = _renderer.multiplier(),
+            points = path_points(e, e.pos.new.path),
+            full = e.pos.new.full ? path_points(e, e.pos.new.full) : points,
+            radius = diagram.edgeStrokeWidth.eval(e) / 2 * MULT,
+            signature = full.concat(points).map(function(p) {
+                return p.toArray().join(',');
+            }).join(' ') + ' ' + radius;
+        if(signature === re.signature)
             return;
-        _renderer.parent().portStyle.enum().forEach(function(style) {
-            var nodePorts2 = {};
-            for(var nid in nodePorts)
-                nodePorts2[nid] = nodePorts[nid].filter(function(p) {
-                    return _renderer.parent().portStyleName.eval(p) === style;
-                });
-            // not implemented
-            var port = _renderer.selectNodePortsOfStyle(drawState.node, style);
-            //_renderer.parent().portStyle(style).drawPorts(port, nodePorts2, drawState.node);
+        re.signature = signature;
+        re.points = points;
+        re.radius = radius;
+        remove_edge_meshes(re);
+        var curve = points.length === 2 ?
+                new THREE.LineCurve3(points[0], points[1]) :
+                new THREE.CatmullRomCurve3(points, false, 'centripetal');
+        re.mesh = new THREE.Mesh(new (geometry_class('Tube'))(curve, Math.min(64, 8 * (points.length - 1)), radius, 8, false),
+                                 re.material);
+        _scene.add(re.mesh);
+        re.arrows = [];
+        if(diagram.edgeArrowhead.eval(e))
+            add_arrow(re, points[points.length-1], full[full.length-1], radius);
+        if(diagram.edgeArrowtail.eval(e))
+            add_arrow(re, points[0], full[0], radius);
+    }
+
+    // a cone from the end of the clipped path to the end of the full path
+    function add_arrow(re, base, tip, radius) {
+        var direction = tip.clone().sub(base), length = direction.length();
+        if(!length)
+            return;
+        var cone = new THREE.Mesh(_coneGeometry, re.material);
+        cone.position.copy(base);
+        cone.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
+        cone.scale.set(Math.max(length / 2.5, radius * 2), length, Math.max(length / 2.5, radius * 2));
+        _scene.add(cone);
+        re.arrows.push(cone);
+    }
+
+    function remove_edge_meshes(re) {
+        if(re.mesh) {
+            _scene.remove(re.mesh);
+            re.mesh.geometry.dispose();
+            re.mesh = null;
+        }
+        (re.arrows || []).forEach(function(cone) {
+            _scene.remove(cone);
         });
+        re.arrows = [];
+    }
+
+    function destroy_edge(re) {
+        remove_edge_meshes(re);
+        re.material.dispose();
+    }
+
+    _renderer.drawPorts = function(drawState) {
+        // not implemented
     };
 
     _renderer.fireTSEvent = function(dispatch, drawState) {
-        dispatch.transitionsStarted(_scene, drawState);
+        dispatch.transitionsStarted(drawState.node, drawState.edge, drawState.edge);
+        request_render(); // modes may have added to the scene
     };
 
     _renderer.calculateBounds = function(drawState) {
-        if(!drawState.wnodes.length)
+        if(!drawState.node.size())
             return null;
-        return _renderer.parent().calculateBounds(drawState.wnodes, drawState.wedges);
+        return _renderer.parent().calculateBounds(drawState.node.data(), drawState.edge.data());
     };
 
-    _renderer.refresh = function(node, edge, edgeHover, edgeLabels, textPaths) {
-        if(_animating)
-            return _renderer; // but what about changed attributes?
-        return _renderer;
+    // colors and sizes may have changed; the instanced meshes hold all nodes, so all are updated
+    _renderer.refresh = function() {
+        if(!_scene)
+            return this;
+        var node = _renderer.selectAllNodes(), edge = _renderer.selectAllEdges();
+        fit_nodes(node);
+        calc_edge_positions(edge.data().filter(function(e) {
+            return e.pos && e.pos.new;
+        }));
+        update_scene(node, edge);
+        return this;
     };
 
     _renderer.reposition = function(node, edge) {
-        return _renderer;
+        calc_edge_positions(edge.data());
+        update_scene(_renderer.selectAllNodes(), _renderer.selectAllEdges());
+        return this;
     };
 
     function has_source_and_target(e) {
@@ -236,11 +895,47 @@ dc_graph.render_webgl = function() {
     }
 
     _renderer.animating = function() {
-        return _animating;
+        return false;
     };
 
+    // any CSS color, as a number for three.js
+    function color_to_int(color) {
+        return new THREE.Color(color).getHex();
+    }
+    _renderer.color_to_int = color_to_int;
+
+    /**
+     * The number of scene units per diagram unit.
+     * @method multiplier
+     * @memberof dc_graph.render_webgl
+     * @instance
+     * @param {Number} [multiplier=3]
+     * @return {Number}
+     * @return {dc_graph.render_webgl}
+     **/
     _renderer.multiplier = property(3);
 
+    /**
+     * The thickness of the slabs which nodes are drawn as, in diagram units.
+     * @method nodeThickness
+     * @memberof dc_graph.render_webgl
+     * @instance
+     * @param {Number} [nodeThickness=10]
+     * @return {Number}
+     * @return {dc_graph.render_webgl}
+     **/
+    _renderer.nodeThickness = property(10);
+
+    /**
+     * The CSS font for node labels, which are drawn into textures.
+     * @method nodeLabelFont
+     * @memberof dc_graph.render_webgl
+     * @instance
+     * @param {String} [nodeLabelFont='18px sans-serif']
+     * @return {String}
+     * @return {dc_graph.render_webgl}
+     **/
+    _renderer.nodeLabelFont = property('18px sans-serif');
+
     return _renderer;
 };
-
@@ -0,0 +1,539 @@
+/**
+ * `dc_graph.route_edges` routes edges around nodes and clusters after the layout engine has
+ * placed them, for engines like cola and d3 force which only produce node positions, and would
+ * otherwise have edges drawn as straight lines through other nodes.
+ *
+ * With the `orthogonal` style, edges are made of horizontal and vertical segments along a grid
+ * through the sides of the obstacles, minimizing length and the number of bends. With the
+ * `spline` style, the shortest path through the corners of the obstacles is smoothed into a curve.
+ *
+ * Obstacles are node bounding boxes and cluster bounds, grown by `padding`; edges may cross the
+ * bounds of clusters which contain their source or target. Routes are passed to the renderer as
+ * the edge's spline points, so arrowheads and edge labels follow them. Parallel edges share a
+ * route, spread apart by the diagram's `parallelEdgeOffset`, which may bring them closer to
+ * obstacles than `padding`. Self-loops, edges attached to named ports,
+ * edges which the layout engine has already routed, and edges for which no route can be found
+ * are drawn as usual.
+ *
+ * Routing cost grows faster than the square of the number of nodes, so this is intended for
+ * diagrams of up to a hundred or so nodes. Only the SVG renderer draws routed edges.
+ * @class route_edges
+ * @memberof dc_graph
+ * @return {dc_graph.route_edges}
+ * @example
+ * diagram.child('route-edges', dc_graph.route_edges()
+ *     .style('spline')
+ *     .padding(10));
+ **/
+dc_graph.route_edges = function() {
+    var _routed = [];
+
+    // binary heap keyed on f, for a* search
+    function heap() {
+        var items = [];
+        return {
+            empty: function() {
+                return !items.length;
+            },
+            push: function(item) {
+                items.push(item);
+                for(var i = items.length - 1; i > 0;) {
+                    var parent = (i - 1) >> 1;
+                    if(items[parent].f <= items[i].f)
+                        break;
+                    var t = items[parent]; items[parent] = items[i]; items[i] = t;
+                    i = parent;
+                }
+            },
+            pop: function() {
+                var top = items[0], last = items.pop();
+                if(items.length) {
+                    items[0] = last;
+                    for(var i = 0; ;) {
+                        var l = 2*i + 1, r = l + 1, m = i;
+                        if(l < items.length && items[l].f < items[m].f)
+                            m = l;
+                        if(r < items.length && items[r].f < items[m].f)
+                            m = r;
+                        if(m === i)
+                            break;
+                        var t = items[m]; items[m] = items[i]; items[i] = t;
+                        i = m;
+                    }
+                }
+                return top;
+            }
+        };
+    }
+
+    // generic a* search over integer states; neighbors(s, visit) calls visit(s2, cost) for each move
+    function astar(start, goal, neighbors, heuristic) {
+        var dist = {}, prev = {}, open = heap(), s;
+        function visit(s2, cost) {
+            var d = dist[s] + cost;
+            if(dist[s2] === undefined || d < dist[s2]) {
+                dist[s2] = d;
+                prev[s2] = s;
+                open.push({s: s2, f: d + heuristic(s2)});
+            }
+        }
+        dist[start] = 0;
+        open.push({s: start, f: heuristic(start)});
+        while(!open.empty()) {
+            var item = open.pop();
+            s = item.s;
+            if(goal(s)) {
+                var path = [s];
+                while(prev[s] !== undefined)
+                    path.unshift(s = prev[s]);
+                return path;
+            }
+            if(item.f > dist[s] + heuristic(s))
+                continue;
+            neighbors(s, visit);
+        }
+        return null;
+    }
+
+    function strictly_inside(box, x, y) {
+        return x > box.left && x < box.right && y > box.top && y < box.bottom;
+    }
+
+    // whether the segment passes through the interior of the box (Liang-Barsky clipping)
+    function segment_crosses(box, p, q) {
+        if(Math.max(p.x, q.x) <= box.left || Math.min(p.x, q.x) >= box.right ||
+           Math.max(p.y, q.y) <= box.top || Math.min(p.y, q.y) >= box.bottom)
+            return false;
+        var t0 = 0, t1 = 1, dx = q.x - p.x, dy = q.y - p.y;
+        function clip(pp, qq) {
+            if(pp === 0)
+                return qq > 0;
+            var t = qq / pp;
+            if(pp < 0)
+                t0 = Math.max(t0, t);
+            else
+                t1 = Math.min(t1, t);
+            return t0 < t1;
+        }
+        return clip(-dx, p.x - box.left) && clip(dx, box.right - p.x) &&
+            clip(-dy, p.y - box.top) && clip(dy, box.bottom - p.y) &&
+            t1 - t0 > 1e-9;
+    }
+
+    function all_allowed(blockers, allowed) {
+        return !blockers || blockers.every(function(o) { return allowed.has(o); });
+    }
+
+    // drop points which are within tolerance of the line through their neighbors
+    function remove_collinear(points, tolerance) {
+        tolerance = tolerance || 1e-6;
+        var ret = [points[0]];
+        for(var i = 1; i < points.length - 1; ++i) {
+            var a = ret[ret.length-1], p = points[i], b = points[i+1],
+                len = Math.hypot(b.x - a.x, b.y - a.y);
+            if(!len || Math.abs((p.x - a.x) * (b.y - a.y) - (p.y - a.y) * (b.x - a.x)) / len > tolerance)
+                ret.push(p);
+        }
+        ret.push(points[points.length-1]);
+        return ret;
+    }
+
+    // clipping to the node shapes can leave a bend within a pixel of the end, or of another
+    // bend; merge those, so that the end segments give the arrowheads their direction
+    function merge_short_segments(points) {
+        var MIN = 1, ret = [points[0]], last = points[points.length-1];
+        function far(p, q) {
+            return Math.hypot(p.x - q.x, p.y - q.y) >= MIN;
+        }
+        for(var i = 1; i < points.length - 1; ++i)
+            if(far(points[i], ret[ret.length-1]))
+                ret.push(points[i]);
+        while(ret.length > 1 && !far(ret[ret.length-1], last))
+            ret.pop();
+        ret.push(last);
+        return remove_collinear(ret, MIN/2);
+    }
+
+    // route on the grid made from the sides and centers of all obstacles
+    function orthogonal_router(nodes, obstacles) {
+        var xs = [], ys = [];
+        obstacles.forEach(function(o) {
+            xs.push(o.box.left, o.box.right);
+            ys.push(o.box.top, o.box.bottom);
+        });
+        nodes.forEach(function(n) {
+            xs.push(n.cola.x);
+            ys.push(n.cola.y);
+        });
+        function sorted_unique(vals) {
+            vals.sort(function(a, b) { return a - b; });
+            return vals.filter(function(v, i) { return i === 0 || v !== vals[i-1]; });
+        }
+        xs = sorted_unique(xs);
+        ys = sorted_unique(ys);
+        var W = xs.length, H = ys.length;
+        // obstacles strictly containing each grid point, and the midpoint of the segment
+        // to its right and below; no side lies strictly between neighboring grid lines
+        var pointBlockers = {}, rightBlockers = {}, downBlockers = {};
+        function mark(table, index, o) {
+            (table[index] = table[index] || []).push(o);
+        }
+        obstacles.forEach(function(o, oi) {
+            var b = o.box;
+            var i0 = d3.bisectLeft(xs, b.left), i1 = d3.bisectLeft(xs, b.right),
+                j0 = d3.bisectLeft(ys, b.top), j1 = d3.bisectLeft(ys, b.bottom);
+            for(var j = j0; j <= j1 && j < H; ++j) {
+                for(var i = i0; i <= i1 && i < W; ++i) {
+                    var k = j*W + i;
+                    if(strictly_inside(b, xs[i], ys[j]))
+                        mark(pointBlockers, k, oi);
+                    if(i + 1 < W && strictly_inside(b, (xs[i] + xs[i+1])/2, ys[j]))
+                        mark(rightBlockers, k, oi);
+                    if(j + 1 < H && strictly_inside(b, xs[i], (ys[j] + ys[j+1])/2))
+                        mark(downBlockers, k, oi);
+                }
+            }
+        });
+        return function(source, target, allowed, bendPenalty) {
+            var si = d3.bisectLeft(xs, source.cola.x), sj = d3.bisectLeft(ys, source.cola.y),
+                ti = d3.bisectLeft(xs, target.cola.x), tj = d3.bisectLeft(ys, target.cola.y);
+            // within their own boxes, edges may only travel on the center lines;
+            // dir is 0 for a horizontal segment, 1 for vertical, undefined for a point
+            function on_axis(blockers, i, j, dir) {
+                function center_line(ci, cj) {
+                    return dir === 0 ? j === cj : dir === 1 ? i === ci : i === ci || j === cj;
+                }
+                return !blockers || blockers.every(function(o) {
+                    return o === source.dcg_obstacle ? center_line(si, sj) :
+                        o === target.dcg_obstacle ? center_line(ti, tj) :
+                        allowed.has(o);
+                });
+            }
+            // state is grid point * 2 + direction of arrival (0 horizontal, 1 vertical)
+            function neighbors(s, visit) {
+                var k = s >> 1, dir = s & 1, i = k % W, j = (k - i) / W;
+                function go(i2, j2, segBlockers, d2) {
+                    if(i2 < 0 || i2 >= W || j2 < 0 || j2 >= H)
+                        return;
+                    var k2 = j2*W + i2;
+                    if(!on_axis(segBlockers, i, j, d2) ||
+                       !on_axis(pointBlockers[k2], i2, j2))
+                        return;
+                    var len = Math.abs(xs[i2] - xs[i]) + Math.abs(ys[j2] - ys[j]);
+                    visit(k2*2 + d2, len + (k === sj*W + si || d2 === dir ? 0 : bendPenalty));
+                }
+                go(i+1, j, rightBlockers[k], 0);
+                if(i > 0)
+                    go(i-1, j, rightBlockers[k-1], 0);
+                go(i, j+1, downBlockers[k], 1);
+                if(j > 0)
+                    go(i, j-1, downBlockers[k-W], 1);
+            }
+            var goal = tj*W + ti;
+            var path = astar((sj*W + si) * 2, function(s) {
+                return s >> 1 === goal;
+            }, neighbors, function(s) {
+                var k = s >> 1, i = k % W, j = (k - i) / W;
+                return Math.abs(xs[i] - xs[ti]) + Math.abs(ys[j] - ys[tj]);
+            });
+            return path && path.map(function(s) {
+                var k = s >> 1, i = k % W;
+                return {x: xs[i], y: ys[(k - i) / W]};
+            });
+        };
+    }
+
+    // route on the visibility graph of the corners of all obstacles
+    function spline_router(nodes, obstacles) {
+        var corners = [];
+        obstacles.forEach(function(o) {
+            var b = o.box;
+            var cs = [[b.left, b.top], [b.right, b.top], [b.right, b.bottom], [b.left, b.bottom]];
+            cs.forEach(function(c, i) {
+                var p = {x: c[0], y: c[1]};
+                // corners inside nodes are never usable; corners inside clusters may be
+                if(obstacles.some(function(o2) { return !o2.cluster && strictly_inside(o2.box, p.x, p.y); }))
+                    return;
+                var prev = cs[(i+3)%4], next = cs[(i+1)%4];
+                p.prev = {x: prev[0], y: prev[1]};
+                p.next = {x: next[0], y: next[1]};
+                corners.push(p);
+            });
+        });
+        function side(a, b, c) {
+            return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        }
+        // shortest paths only turn at corners they are tangent to, where the box stays on one side
+        function tangent(c, p) {
+            return side(c, p, c.prev) * side(c, p, c.next) >= 0;
+        }
+        function blockers(p, q, except) {
+            var ret = null;
+            for(var oi = 0; oi < obstacles.length; ++oi) {
+                if(except.indexOf(oi) >= 0 || !segment_crosses(obstacles[oi].box, p, q))
+                    continue;
+                if(!obstacles[oi].cluster)
+                    return false;
+                (ret = ret || []).push(oi);
+            }
+            return ret;
+        }
+        var N = corners.length, visible = [];
+        for(var i = 0; i < N; ++i)
+            visible.push([]);
+        for(i = 0; i < N; ++i) {
+            for(var j = i + 1; j < N; ++j) {
+                if(!tangent(corners[i], corners[j]) || !tangent(corners[j], corners[i]))
+                    continue;
+                var bl = blockers(corners[i], corners[j], []);
+                if(bl === false)
+                    continue;
+                var len = Math.hypot(corners[i].x - corners[j].x, corners[i].y - corners[j].y);
+                visible[i].push({to: j, len: len, blockers: bl});
+                visible[j].push({to: i, len: len, blockers: bl});
+            }
+        }
+        // corners visible from each node center, computed as needed
+        var fromCenter = {};
+        function center_visible(n) {
+            if(!fromCenter[n.dcg_obstacle]) {
+                var vis = fromCenter[n.dcg_obstacle] = [];
+                corners.forEach(function(c, ci) {
+                    if(!tangent(c, n.cola))
+                        return;
+                    var bl = blockers(n.cola, c, [n.dcg_obstacle]);
+                    if(bl !== false)
+                        vis.push({to: ci, len: Math.hypot(n.cola.x - c.x, n.cola.y - c.y), blockers: bl});
+                });
+            }
+            return fromCenter[n.dcg_obstacle];
+        }
+        return function(source, target, allowed) {
+            var S = N, T = N + 1, ends = [source.cola, target.cola];
+            function point(s) {
+                return s < N ? corners[s] : ends[s - N];
+            }
+            var toTarget = [];
+            center_visible(target).forEach(function(v) {
+                if(all_allowed(v.blockers, allowed))
+                    toTarget[v.to] = v.len;
+            });
+            var direct = blockers(source.cola, target.cola, [source.dcg_obstacle, target.dcg_obstacle]);
+            function neighbors(s, visit) {
+                if(s === S) {
+                    if(direct !== false && all_allowed(direct, allowed))
+                        visit(T, Math.hypot(source.cola.x - target.cola.x, source.cola.y - target.cola.y));
+                    center_visible(source).forEach(function(v) {
+                        if(all_allowed(v.blockers, allowed))
+                            visit(v.to, v.len);
+                    });
+                    return;
+                }
+                visible[s].forEach(function(v) {
+                    if(all_allowed(v.blockers, allowed))
+                        visit(v.to, v.len);
+                });
+                if(toTarget[s] !== undefined)
+                    visit(T, toTarget[s]);
+            }
+            var path = astar(S, function(s) {
+                return s === T;
+            }, neighbors, function(s) {
+                var p = point(s);
+                return Math.hypot(p.x - target.cola.x, p.y - target.cola.y);
+            });
+            return path && path.map(point).map(function(p) {
+                return {x: p.x, y: p.y};
+            });
+        };
+    }
+
+    // shift a polyline sideways, keeping segments parallel to the original
+    function offset_polyline(points, d) {
+        if(!d)
+            return points;
+        var normals = [];
+        for(var i = 0; i < points.length - 1; ++i) {
+            var dx = points[i+1].x - points[i].x, dy = points[i+1].y - points[i].y,
+                len = Math.hypot(dx, dy) || 1;
+            normals.push({x: -dy/len, y: dx/len});
+        }
+        return points.map(function(p, i) {
+            var n1 = normals[Math.max(i-1, 0)], n2 = normals[Math.min(i, normals.length-1)],
+                scale = d / (1 + n1.x*n2.x + n1.y*n2.y);
+            return {x: p.x + (n1.x + n2.x) * scale, y: p.y + (n1.y + n2.y) * scale};
+        });
+    }
+
+    // replace the first and last points, at node centers, with the node boundaries
+    function clip_to_shapes(diagram, points, source, target) {
+        function on_shape(n, center, toward) {
+            var vec = diagram.shape(n.dcg_shape.shape).intersect_vec(n, toward.x - center.x, toward.y - center.y);
+            return vec ? {x: center.x + vec.x, y: center.y + vec.y} : center;
+        }
+        var ret = points.slice();
+        ret[0] = on_shape(source, points[0], points[1]);
+        ret[ret.length-1] = on_shape(target, points[points.length-1], points[points.length-2]);
+        return ret;
+    }
+
+    function polyline_to_bezier(points) {
+        var ret = [points[0]];
+        for(var i = 0; i < points.length - 1; ++i) {
+            var p = points[i], q = points[i+1];
+            ret.push({x: p.x + (q.x - p.x)/3, y: p.y + (q.y - p.y)/3},
+                     {x: p.x + 2*(q.x - p.x)/3, y: p.y + 2*(q.y - p.y)/3},
+                     q);
+        }
+        return ret;
+    }
+
+    function cluster_ancestors(diagram, n) {
+        var ret = [], key = n.cola.dcg_nodeParentCluster;
+        while(key !== null && key !== undefined && ret.indexOf(key) < 0) {
+            var c = diagram.getWholeCluster(key);
+            if(!c)
+                break;
+            ret.push(key);
+            key = diagram.clusterParent.eval(c);
+        }
+        return ret;
+    }
+
+    // forget our routes, but not any the layout engine has since provided
+    function clear_routes() {
+        _routed.forEach(function(r) {
+            if(r.edge.cola.points === r.points)
+                r.edge.cola.points = null;
+        });
+        _routed = [];
+    }
+
+    function received_layout(diagram, nodes, wnodes, edges, wedges) {
+        clear_routes();
+        var padding = _mode.padding(), obstacles = [], clusterObstacle = {};
+        wnodes.forEach(function(n) {
+            var pad = padding + diagram.nodeStrokeWidth.eval(n) / 2;
+            n.dcg_obstacle = obstacles.length;
+            obstacles.push({
+                box: {
+                    left: n.cola.x - n.dcg_rx - pad, top: n.cola.y - n.dcg_ry - pad,
+                    right: n.cola.x + n.dcg_rx + pad, bottom: n.cola.y + n.dcg_ry + pad
+                }
+            });
+        });
+        if(_mode.avoidClusters() && diagram.clusterGroup())
+            diagram.clusterGroup().all().forEach(function(kv) {
+                var c = diagram.getWholeCluster(kv.key);
+                if(!c || !c.cola.bounds)
+                    return;
+                var b = c.cola.bounds;
+                clusterObstacle[kv.key] = obstacles.length;
+                obstacles.push({
+                    cluster: true,
+                    box: {
+                        left: b.left - padding, top: b.top - padding,
+                        right: b.right + padding, bottom: b.bottom + padding
+                    }
+                });
+            });
+        var router;
+        switch(_mode.style()) {
+        case 'orthogonal':
+            router = orthogonal_router(wnodes, obstacles);
+            break;
+        case 'spline':
+            router = spline_router(wnodes, obstacles);
+            break;
+        default:
+            throw new Error('unknown edge routing style ' + _mode.style());
+        }
+        var done = d3.set();
+        wedges.forEach(function(e) {
+            var parallel = e.parallel && e.parallel.edges.length > 1 ? e.parallel.edges : [e],
+                first = parallel[0], source = first.source, target = first.target;
+            if(done.has(diagram.edgeKey.eval(first)))
+                return;
+            done.add(diagram.edgeKey.eval(first));
+            var skip = parallel.some(function(pe) {
+                return pe.cola.points ||
+                    diagram.edgeSourcePortName.eval(pe) || diagram.edgeTargetPortName.eval(pe);
+            });
+            if(skip || source === target || source.cola.x === target.cola.x && source.cola.y === target.cola.y)
+                return;
+            var allowed = d3.set(cluster_ancestors(diagram, source).concat(cluster_ancestors(diagram, target))
+                                 .map(function(key) { return clusterObstacle[key]; })
+                                 .filter(function(o) { return o !== undefined; }));
+            var route = router(source, target, allowed, _mode.bendPenalty());
+            if(!route)
+                return;
+            route = remove_collinear(route);
+            parallel.forEach(function(pe, p) {
+                // spread parallel edges evenly on either side of the route
+                var offset = (p - (parallel.length - 1)/2) * diagram.parallelEdgeOffset(),
+                    points = clip_to_shapes(diagram, offset_polyline(route, offset), source, target);
+                points = merge_short_segments(points);
+                points = _mode.style() === 'spline' ? bezier_through(points) : polyline_to_bezier(points);
+                if(pe.source !== source)
+                    points.reverse();
+                pe.cola.points = points;
+                _routed.push({edge: pe, points: points});
+            });
+        });
+    }
+
+    var _mode = {
+        parent: property(null).react(function(p) {
+            if(p) {
+                p.on('receivedLayout.route-edges', received_layout);
+            } else if(_mode.parent()) {
+                _mode.parent().on('receivedLayout.route-edges', null);
+                clear_routes();
+            }
+        }),
+        supportsRenderer: function(rendererType) {
+            return rendererType === 'svg';
+        }
+    };
+    /**
+     * How to route edges: `'orthogonal'` for horizontal and vertical segments, or `'spline'`
+     * for curves.
+     * @method style
+     * @memberof dc_graph.route_edges
+     * @instance
+     * @param {String} [style='orthogonal']
+     * @return {String|dc_graph.route_edges}
+     **/
+    _mode.style = property('orthogonal');
+    /**
+     * The distance to keep between edges and the nodes and clusters they route around.
+     * @method padding
+     * @memberof dc_graph.route_edges
+     * @instance
+     * @param {Number} [padding=8]
+     * @return {Number|dc_graph.route_edges}
+     **/
+    _mode.padding = property(8);
+    /**
+     * For orthogonal routing, the extra length each bend costs, so that longer routes with
+     * fewer bends are preferred.
+     * @method bendPenalty
+     * @memberof dc_graph.route_edges
+     * @instance
+     * @param {Number} [bendPenalty=20]
+     * @return {Number|dc_graph.route_edges}
+     **/
+    _mode.bendPenalty = property(20);
+    /**
+     * Whether edges should also route around the bounds of clusters which do not contain their
+     * source or target.
+     * @method avoidClusters
+     * @memberof dc_graph.route_edges
+     * @instance
+     * @param {Boolean} [avoidClusters=true]
+     * @return {Boolean|dc_graph.route_edges}
+     **/
+    _mode.avoidClusters = property(true);
+
+    return _mode;
+};
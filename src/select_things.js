@@ -102,10 +102,9 @@ dc_graph.select_things = function(things_group, things_name, thinginess) {
             things_group.set_changed(newSelected);
         });
 
-        if(_mode.multipleSelect()) {
-            var brush_mode = diagram.child('brush');
+        var brush_mode = _mode.multipleSelect() && diagram.child('brush');
+        if(brush_mode)
             brush_mode.activate();
-        }
         else
             background_click_event(diagram, _mode.clickBackgroundClears());
 
@@ -125,6 +124,7 @@ dc_graph.select_things = function(things_group, things_name, thinginess) {
     }
 
     var _mode = dc_graph.mode(things_name, {
+        renderers: ['svg', 'canvas', 'webgl'],
         draw: draw,
         remove: remove,
         parent: function(p) {
@@ -133,11 +133,16 @@ dc_graph.select_things = function(things_group, things_name, thinginess) {
                 var brush_mode = p.child('brush');
                 if(!brush_mode) {
                     brush_mode = dc_graph.brush();
-                    p.child('brush', brush_mode);
+                    // without a brush, e.g. on canvas, shift- and ctrl-click still select multiple
+                    if(brush_mode.supportsRenderer(p.renderer().rendererType()))
+                        p.child('brush', brush_mode);
+                    else
+                        brush_mode = null;
                 }
-                brush_mode
-                    .on('brushstart.' + things_name, brushstart)
-                    .on('brushmove.' + things_name, brushmove);
+                if(brush_mode)
+                    brush_mode
+                        .on('brushstart.' + things_name, brushstart)
+                        .on('brushmove.' + things_name, brushmove);
             }
         },
         laterDraw: thinginess.laterDraw || false
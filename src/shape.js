@@ -351,6 +351,33 @@ function node_label_padding(diagram, n) {
     else return nlp;
 }
 
+// sets the radii and layout size of a node, given the padded bounding box of its label (or null)
+function size_node(shape, diagram, n, bbox) {
+    var r = 0, radii;
+    if(!shape.useRadius || shape.useRadius(n.dcg_shape))
+        r = diagram.nodeRadius.eval(n);
+    if(bbox && bbox.width && bbox.height || shape.useTextSize && !shape.useTextSize(n.dcg_shape))
+        radii = shape.calc_radii(n, r, bbox);
+    else
+        radii = {rx: r, ry: r};
+    n.dcg_rx = radii.rx;
+    n.dcg_ry = radii.ry;
+
+    var w = radii.rx*2, h = radii.ry*2;
+    // fixme: this is only consistent if regular || !squeeze
+    // but we'd need to calculate polygon first in order to find out
+    // (not a bad idea, just no time right now)
+    if(w<h) w = h;
+
+    if(!shape.usePaddingAndStroke || shape.usePaddingAndStroke(n.dcg_shape)) {
+        var pands = diagram.nodePadding.eval(n) + diagram.nodeStrokeWidth.eval(n);
+        w += pands;
+        h += pands;
+    }
+    n.cola.width = w;
+    n.cola.height = h;
+}
+
 function fit_shape(shape, diagram) {
     return function(content) {
         content.each(function(n) {
@@ -373,33 +400,80 @@ function fit_shape(shape, diagram) {
                 bbox.height += padding.y;
                 n.bbox = bbox;
             }
-            var r = 0, radii;
-            if(!shape.useRadius || shape.useRadius(n.dcg_shape))
-                r = diagram.nodeRadius.eval(n);
-            if(bbox && bbox.width && bbox.height || shape.useTextSize && !shape.useTextSize(n.dcg_shape))
-                radii = shape.calc_radii(n, r, bbox);
-            else
-                radii = {rx: r, ry: r};
-            n.dcg_rx = radii.rx;
-            n.dcg_ry = radii.ry;
-
-            var w = radii.rx*2, h = radii.ry*2;
-            // fixme: this is only consistent if regular || !squeeze
-            // but we'd need to calculate polygon first in order to find out
-            // (not a bad idea, just no time right now)
-            if(w<h) w = h;
-
-            if(!shape.usePaddingAndStroke || shape.usePaddingAndStroke(n.dcg_shape)) {
-                var pands = diagram.nodePadding.eval(n) + diagram.nodeStrokeWidth.eval(n);
-                w += pands;
-                h += pands;
-            }
-            n.cola.width = w;
-            n.cola.height = h;
+            size_node(shape, diagram, n, bbox);
         });
     };
 }
 
+function font_size(font) {
+    var match = /(\d+(?:\.\d+)?)px/.exec(font);
+    return match ? +match[1] : 10;
+}
+
+function node_label_lines(diagram, n) {
+    var lines = diagram.nodeLabel.eval(n);
+    if(!lines && lines !== 0)
+        return [];
+    return Array.isArray(lines) ? lines : [lines];
+}
+
+// for renderers without svg text: measure the label with text_width(text, font) and size the node,
+// as fit_shape does with the label's bounding box; returns the lines and outline to draw
+function fit_node_text(diagram, n, font, text_width) {
+    var shape = diagram.shape(n.dcg_shape.shape), fontSize = font_size(font),
+        lines = node_label_lines(diagram, n),
+        width = d3.max(lines, function(line) { return text_width(line, font); }) || 0,
+        height = lines.length ? ((lines.length - 1) * diagram.nodeLineHeight() + 1) * fontSize : 0,
+        bbox = null;
+    if((!shape.useTextSize || shape.useTextSize(n.dcg_shape)) && diagram.nodeFitLabel.eval(n)) {
+        var padding = node_label_padding(diagram, n);
+        bbox = {
+            x: -width/2 - padding.x,
+            y: -height/2 - padding.y,
+            width: width + padding.x*2,
+            height: height + padding.y*2
+        };
+        n.bbox = bbox;
+    }
+    size_node(shape, diagram, n, bbox);
+    return {
+        lines: lines,
+        fontSize: fontSize,
+        labelWidth: width,
+        labelHeight: height,
+        outline: node_outline(diagram, n, width, height)
+    };
+}
+
+// the outline of the node's shape relative to its center: a polygon, an ellipse, or a rectangle
+function node_outline(diagram, n, labelWidth, labelHeight) {
+    var def = n.dcg_shape, rx = n.dcg_rx, ry = n.dcg_ry;
+    if(def.shape === 'polygon') {
+        polygon_attrs(diagram, n).d(n); // sets n.dcg_points
+        return {points: n.dcg_points};
+    }
+    if(def.shape === 'elaborated-rect')
+        return {points: def.get_points(rx, ry)};
+    if(def.shape === 'rounded-rect')
+        return {
+            rx: rx,
+            ry: ry,
+            corner: Math.min(def.rx || 0, def.ry || 0, rx, ry),
+            hidden: !!def.noshape
+        };
+    if(def.shape === 'nothing')
+        return {
+            rx: labelWidth/2,
+            ry: labelHeight/2,
+            hidden: true
+        };
+    return {
+        ellipse: true,
+        rx: rx,
+        ry: ry
+    };
+}
+
 function ellipse_attrs(diagram) {
     return {
         rx: function(n) { return n.dcg_rx; },
@@ -684,6 +758,36 @@ function angle_between_points(p0, p1) {
     return Math.atan2(p1.y - p0.y, p1.x - p0.x);
 }
 
+// approximate a path with line segments, for hit testing and placing labels
+function flatten_path(path) {
+    var points = path.points, degree = path.bezDegree;
+    if(degree === 1)
+        return points;
+    var flat = [points[0]];
+    for(var i = 0; i + degree < points.length; i += degree) {
+        var segment = points.slice(i, i + degree + 1);
+        for(var j = 1; j <= 8; ++j)
+            flat.push(bezier_point(segment, j/8));
+    }
+    return flat;
+}
+
+function point_in_polygon(points, x, y) {
+    var inside = false;
+    for(var i = 0, j = points.length - 1; i < points.length; j = i++) {
+        var pi = points[i], pj = points[j];
+        if((pi.y > y) !== (pj.y > y) && x < (pj.x - pi.x) * (y - pi.y) / (pj.y - pi.y) + pi.x)
+            inside = !inside;
+    }
+    return inside;
+}
+
+function segment_distance(p, a, b) {
+    var dx = b.x - a.x, dy = b.y - a.y, len2 = dx*dx + dy*dy,
+        t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x)*dx + (p.y - a.y)*dy) / len2)) : 0;
+    return Math.hypot(p.x - a.x - t*dx, p.y - a.y - t*dy);
+}
+
 dc_graph.no_shape = function() {
     var _shape = {
         parent: property(null),
@@ -0,0 +1,422 @@
+/**
+ * `dc_graph.stress_layout` lays out large sparse graphs, with tens of thousands of nodes, in
+ * seconds, without any external library:
+ * * `pivot-mds` - pivot multidimensional scaling: graph distances are computed from a few
+ * `pivots` chosen far apart, and the layout is the best two-dimensional approximation of those
+ * distances. This is very fast and gives the overall shape of the graph.
+ * * `stress` - starts from the pivot MDS layout, then improves it with sparse stress
+ * majorization: each node is moved to best satisfy the distances to its neighbors and to the
+ * pivots, where the pivots stand in for the nodes closest to them.
+ *
+ * Every edge has the ideal length `baseLength`. Each connected component is laid out
+ * separately, and the components are packed in rows, largest first.
+ *
+ * It can run in a web worker (`dc.graph.stress.worker.js`).
+ * @class stress_layout
+ * @memberof dc_graph
+ * @param {String} [id=uuid()] - Unique identifier
+ * @param {String} [layout='stress'] - `'stress'` or `'pivot-mds'`
+ * @return {dc_graph.stress_layout}
+ * @example
+ * diagram.layoutEngine(dc_graph.spawn_engine('stress', {}, true))
+ *     .layoutEngine().baseLength(40).pivots(100);
+ **/
+dc_graph.stress_layout = function(id, layout) {
+    var _layoutId = id || uuid();
+    var _dispatch = d3.dispatch('tick', 'start', 'end');
+    var _options = null;
+    var _graph, _nodes, _edges;
+
+    function init(options) {
+        _options = options;
+    }
+
+    function data(graph, nodes, edges) {
+        _graph = graph;
+        _nodes = nodes;
+        _edges = edges;
+    }
+
+    // adjacency lists by node index, and the connected components as lists of indices
+    function adjacency() {
+        var index = {}, adj = _nodes.map(function() { return []; });
+        _nodes.forEach(function(n, i) {
+            index[n.dcg_nodeKey] = i;
+        });
+        _edges.forEach(function(e) {
+            var s = index[e.dcg_edgeSource], t = index[e.dcg_edgeTarget];
+            if(s === undefined || t === undefined || s === t)
+                return;
+            adj[s].push(t);
+            adj[t].push(s);
+        });
+        var component = new Int32Array(_nodes.length).fill(-1), components = [];
+        for(var i = 0; i < _nodes.length; ++i) {
+            if(component[i] >= 0)
+                continue;
+            var comp = [i];
+            component[i] = components.length;
+            for(var q = 0; q < comp.length; ++q) {
+                var nbrs = adj[comp[q]];
+                for(var j = 0; j < nbrs.length; ++j) {
+                    if(component[nbrs[j]] < 0) {
+                        component[nbrs[j]] = components.length;
+                        comp.push(nbrs[j]);
+                    }
+                }
+            }
+            components.push(comp);
+        }
+        return {adj: adj, components: components};
+    }
+
+    // breadth-first distances within a component, in units of edges
+    function bfs(adj, local, nodes, source, dist) {
+        dist.fill(-1);
+        var queue = new Int32Array(nodes.length), head = 0, tail = 0;
+        queue[tail++] = source;
+        dist[source] = 0;
+        while(head < tail) {
+            var u = queue[head++], nbrs = adj[nodes[u]];
+            for(var j = 0; j < nbrs.length; ++j) {
+                var v = local[nbrs[j]];
+                if(dist[v] < 0) {
+                    dist[v] = dist[u] + 1;
+                    queue[tail++] = v;
+                }
+            }
+        }
+    }
+
+    // dominant eigenvector of the symmetric k x k matrix B, orthogonal to the vectors in `ortho`
+    function power_iteration(B, k, ortho) {
+        var v = new Float64Array(k), w = new Float64Array(k), lambda = 0;
+        for(var i = 0; i < k; ++i)
+            v[i] = 1 + ((i * 7919) % 13) / 13; // deterministic, not parallel to anything likely
+        var a, o, dot;
+        for(var iter = 0; iter < 200; ++iter) {
+            for(o = 0; o < ortho.length; ++o) {
+                dot = 0;
+                for(a = 0; a < k; ++a)
+                    dot += v[a] * ortho[o][a];
+                for(a = 0; a < k; ++a)
+                    v[a] -= dot * ortho[o][a];
+            }
+            var norm = 0;
+            for(a = 0; a < k; ++a) {
+                w[a] = 0;
+                for(var b = 0; b < k; ++b)
+                    w[a] += B[a*k + b] * v[b];
+                norm += w[a] * w[a];
+            }
+            norm = Math.sqrt(norm);
+            if(!norm)
+                break;
+            var change = 0;
+            for(a = 0; a < k; ++a) {
+                w[a] /= norm;
+                change += Math.abs(w[a] - v[a]);
+                v[a] = w[a];
+            }
+            lambda = norm;
+            if(change < 1e-9)
+                break;
+        }
+        return {vector: v, value: lambda};
+    }
+
+    // lays out one connected component; returns x and y by local index
+    function layout_component(adj, nodes) {
+        var m = nodes.length, L = _options.baseLength;
+        var X = new Float64Array(m), Y = new Float64Array(m);
+        if(m === 1)
+            return {x: X, y: Y};
+        var local = {};
+        nodes.forEach(function(n, i) {
+            local[n] = i;
+        });
+        // choose pivots far apart: each is the node farthest from the pivots so far,
+        // starting from the node with the highest degree
+        var k = Math.min(_options.pivots, m), pivots = [], D = new Float32Array(m*k),
+            dist = new Int32Array(m), mind = new Float64Array(m).fill(Infinity), i, j, p;
+        var next = 0;
+        for(i = 1; i < m; ++i)
+            if(adj[nodes[i]].length > adj[nodes[next]].length)
+                next = i;
+        for(p = 0; p < k; ++p) {
+            pivots.push(next);
+            bfs(adj, local, nodes, next, dist);
+            var far = 0;
+            for(i = 0; i < m; ++i) {
+                D[i*k + p] = dist[i] * L;
+                mind[i] = Math.min(mind[i], dist[i]);
+                if(mind[i] > mind[far])
+                    far = i;
+            }
+            next = far;
+        }
+
+        // pivot MDS: double-center the squared distances to the pivots and project onto the
+        // two dominant eigenvectors
+        var C = new Float64Array(m*k), rowMean = new Float64Array(m), colMean = new Float64Array(k),
+            grand = 0, d2;
+        for(i = 0; i < m; ++i) {
+            for(p = 0; p < k; ++p) {
+                d2 = D[i*k + p] * D[i*k + p];
+                rowMean[i] += d2 / k;
+                colMean[p] += d2 / m;
+                grand += d2 / (m*k);
+            }
+        }
+        for(i = 0; i < m; ++i) {
+            for(p = 0; p < k; ++p) {
+                d2 = D[i*k + p] * D[i*k + p];
+                C[i*k + p] = -0.5 * (d2 - rowMean[i] - colMean[p] + grand);
+            }
+        }
+        var B = new Float64Array(k*k);
+        for(var a = 0; a < k; ++a) {
+            for(var b = a; b < k; ++b) {
+                var s = 0;
+                for(i = 0; i < m; ++i)
+                    s += C[i*k + a] * C[i*k + b];
+                B[a*k + b] = B[b*k + a] = s;
+            }
+        }
+        var e1 = power_iteration(B, k, []), e2 = power_iteration(B, k, [e1.vector]);
+        [[X, e1], [Y, e2]].forEach(function(coord) {
+            var out = coord[0], e = coord[1], scale = e.value ? 1/Math.sqrt(Math.sqrt(e.value)) : 0;
+            for(var i = 0; i < m; ++i) {
+                var s = 0;
+                for(var p = 0; p < k; ++p)
+                    s += C[i*k + p] * e.vector[p];
+                out[i] = s * scale;
+            }
+        });
+        // a tiny deterministic offset, so that nodes in the same place can separate
+        for(i = 0; i < m; ++i) {
+            X[i] += Math.sin(i * 12.9898) * L * 1e-3;
+            Y[i] += Math.cos(i * 78.233) * L * 1e-3;
+        }
+        // scale to best fit the pivot distances
+        var num = 0, den = 0;
+        for(i = 0; i < m; ++i) {
+            for(p = 0; p < k; ++p) {
+                var d = D[i*k + p];
+                if(d > 0) {
+                    var delta = Math.hypot(X[i] - X[pivots[p]], Y[i] - Y[pivots[p]]);
+                    num += delta / d;
+                    den += delta * delta / (d * d);
+                }
+            }
+        }
+        var fit = den ? num / den : 1;
+        for(i = 0; i < m; ++i) {
+            X[i] *= fit;
+            Y[i] *= fit;
+        }
+        if(_options.layout === 'stress')
+            majorize(adj, local, nodes, pivots, D, X, Y);
+        return {x: X, y: Y};
+    }
+
+    // sparse stress majorization: neighbors at distance baseLength, and each pivot weighted by
+    // the number of nodes closer to it than to any other pivot
+    function majorize(adj, local, nodes, pivots, D, X, Y) {
+        var m = nodes.length, k = pivots.length, L = _options.baseLength, i, p;
+        var regionSize = new Float64Array(k);
+        for(i = 0; i < m; ++i) {
+            var nearest = 0;
+            for(p = 1; p < k; ++p)
+                if(D[i*k + p] < D[i*k + nearest])
+                    nearest = p;
+            ++regionSize[nearest];
+        }
+        var wN = 1 / (L * L), tolerance = _options.tolerance * L;
+        for(var iter = 0; iter < _options.iterations; ++iter) {
+            var moved = 0;
+            for(i = 0; i < m; ++i) {
+                var x = X[i], y = Y[i], sx = 0, sy = 0, sw = 0, dx, dy, delta, j, w, d;
+                var nbrs = adj[nodes[i]];
+                for(j = 0; j < nbrs.length; ++j) {
+                    var v = local[nbrs[j]];
+                    dx = x - X[v];
+                    dy = y - Y[v];
+                    delta = Math.sqrt(dx*dx + dy*dy) || 1e-9; // Math.hypot is much slower
+                    sx += wN * (X[v] + L * dx / delta);
+                    sy += wN * (Y[v] + L * dy / delta);
+                    sw += wN;
+                }
+                for(p = 0; p < k; ++p) {
+                    var pv = pivots[p];
+                    d = D[i*k + p];
+                    if(pv === i || d <= L)
+                        continue; // neighbors are already counted
+                    w = regionSize[p] / (d * d);
+                    dx = x - X[pv];
+                    dy = y - Y[pv];
+                    delta = Math.sqrt(dx*dx + dy*dy) || 1e-9;
+                    sx += w * (X[pv] + d * dx / delta);
+                    sy += w * (Y[pv] + d * dy / delta);
+                    sw += w;
+                }
+                if(!sw)
+                    continue;
+                X[i] = sx / sw;
+                Y[i] = sy / sw;
+                dx = X[i] - x;
+                dy = Y[i] - y;
+                moved = Math.max(moved, dx*dx + dy*dy);
+            }
+            if(moved < tolerance * tolerance)
+                break;
+        }
+    }
+
+    // pack the components in rows, largest first
+    function pack(boxes) {
+        var gap = _options.baseLength,
+            area = d3.sum(boxes, function(b) { return (b.width + gap) * (b.height + gap); }),
+            rowWidth = Math.max(Math.sqrt(area) * 1.2, d3.max(boxes, function(b) { return b.width; }));
+        var order = boxes.slice().sort(function(a, b) {
+            return b.width * b.height - a.width * a.height;
+        });
+        var x = 0, y = 0, rowHeight = 0;
+        order.forEach(function(b) {
+            if(x > 0 && x + b.width > rowWidth) {
+                x = 0;
+                y += rowHeight + gap;
+                rowHeight = 0;
+            }
+            b.left = x;
+            b.top = y;
+            x += b.width + gap;
+            rowHeight = Math.max(rowHeight, b.height);
+        });
+    }
+
+    function start() {
+        _dispatch.start();
+        var A = adjacency();
+        var boxes = A.components.map(function(nodes) {
+            var pos = layout_component(A.adj, nodes), x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+            nodes.forEach(function(n, i) {
+                var node = _nodes[n], hw = (node.width || 0)/2, hh = (node.height || 0)/2;
+                x0 = Math.min(x0, pos.x[i] - hw);
+                x1 = Math.max(x1, pos.x[i] + hw);
+                y0 = Math.min(y0, pos.y[i] - hh);
+                y1 = Math.max(y1, pos.y[i] + hh);
+            });
+            return {nodes: nodes, pos: pos, x0: x0, y0: y0, width: x1 - x0, height: y1 - y0};
+        });
+        pack(boxes);
+        var width = d3.max(boxes, function(b) { return b.left + b.width; }) || 0,
+            height = d3.max(boxes, function(b) { return b.top + b.height; }) || 0,
+            cx = (_graph && _graph.width || 0)/2 - width/2,
+            cy = (_graph && _graph.height || 0)/2 - height/2;
+        boxes.forEach(function(b) {
+            b.nodes.forEach(function(n, i) {
+                _nodes[n].x = b.pos.x[i] - b.x0 + b.left + cx;
+                _nodes[n].y = b.pos.y[i] - b.y0 + b.top + cy;
+            });
+        });
+        _dispatch.end(_nodes, _edges.map(function(e) {
+            return {dcg_edgeKey: e.dcg_edgeKey};
+        }));
+    }
+
+    function stop() {
+    }
+
+    var graphviz = dc_graph.graphviz_attrs(), graphviz_keys = Object.keys(graphviz);
+    return Object.assign(graphviz, {
+        layoutAlgorithm: function() {
+            return 'stress';
+        },
+        layoutId: function() {
+            return _layoutId;
+        },
+        supportsWebworker: function() {
+            return true;
+        },
+        parent: property(null),
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        init: function(options) {
+            this.optionNames().forEach(function(option) {
+                if(options[option] === undefined)
+                    options[option] = this[option]();
+            }.bind(this));
+            init(options);
+            return this;
+        },
+        data: function(graph, nodes, edges) {
+            data(graph, nodes, edges);
+        },
+        start: function() {
+            start();
+        },
+        stop: function() {
+            stop();
+        },
+        optionNames: function() {
+            return ['layout', 'baseLength', 'pivots', 'iterations', 'tolerance'].concat(graphviz_keys);
+        },
+        populateLayoutNode: function() {},
+        populateLayoutEdge: function() {},
+        /**
+         * Which variant to lay out: `'stress'`, or `'pivot-mds'` alone. Must be set before the
+         * engine is given to the diagram.
+         * @method layout
+         * @memberof dc_graph.stress_layout
+         * @instance
+         * @param {String} [layout='stress']
+         * @return {String|dc_graph.stress_layout}
+         **/
+        layout: property(layout || 'stress'),
+        /**
+         * The ideal length of every edge, in pixels.
+         * @method baseLength
+         * @memberof dc_graph.stress_layout
+         * @instance
+         * @param {Number} [baseLength=80]
+         * @return {Number|dc_graph.stress_layout}
+         **/
+        baseLength: property(80),
+        /**
+         * The number of pivots in each component. More pivots give a more accurate layout, at
+         * a cost in time and memory proportional to the number of nodes times the pivots.
+         * @method pivots
+         * @memberof dc_graph.stress_layout
+         * @instance
+         * @param {Number} [pivots=50]
+         * @return {Number|dc_graph.stress_layout}
+         **/
+        pivots: property(50),
+        /**
+         * The maximum number of rounds of stress majorization.
+         * @method iterations
+         * @memberof dc_graph.stress_layout
+         * @instance
+         * @param {Number} [iterations=50]
+         * @return {Number|dc_graph.stress_layout}
+         **/
+        iterations: property(50),
+        /**
+         * Stress majorization stops when no node moves more than this fraction of `baseLength`
+         * in a round.
+         * @method tolerance
+         * @memberof dc_graph.stress_layout
+         * @instance
+         * @param {Number} [tolerance=0.01]
+         * @return {Number|dc_graph.stress_layout}
+         **/
+        tolerance: property(0.01)
+    });
+};
+
+dc_graph.stress_layout.scripts = ['d3.js'];
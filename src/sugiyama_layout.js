@@ -0,0 +1,460 @@
+/**
+ * `dc_graph.sugiyama_layout` is an in-house layered (Sugiyama-style) hierarchical layout, for
+ * small and medium graphs which should be drawn like dot or dagre without loading either. It runs
+ * synchronously, in the usual phases:
+ * 1. cycles are broken by reversing the back edges of a depth-first search
+ * 2. nodes are assigned ranks by longest path, with sources pulled down next to their children,
+ * unless the `rank` accessor specifies them
+ * 3. edges which span more than one rank are split with virtual nodes
+ * 4. crossings are reduced by sweeping up and down the ranks, ordering each rank by the median
+ * position of neighbors in the previous rank, and keeping the best order found
+ * 5. nodes are placed as close as possible to their neighbors' average position, keeping their
+ * order and `nodesep` apart; ranks are `ranksep` apart
+ *
+ * Edges which span several ranks are returned as curves through their virtual nodes. The result is
+ * rotated or flipped according to `rankdir`. Clusters are not taken into account.
+ *
+ * In addition to the below layout attributes, `sugiyama_layout` also implements the attributes from
+ * {@link dc_graph.graphviz_attrs graphviz_attrs}
+ * @class sugiyama_layout
+ * @memberof dc_graph
+ * @param {String} [id=uuid()] - Unique identifier
+ * @return {dc_graph.sugiyama_layout}
+ **/
+dc_graph.sugiyama_layout = function(id) {
+    var _layoutId = id || uuid();
+    var _dispatch = d3.dispatch('tick', 'start', 'end');
+    var _options = null;
+    var _nodes, _edges;
+
+    function init(options) {
+        _options = options;
+    }
+
+    function data(nodes, edges) {
+        _nodes = nodes;
+        _edges = edges;
+    }
+
+    // 1. depth-first search from the sources, reversing edges which point back up the stack
+    function remove_cycles(N, edges) {
+        var out = d3.range(N).map(function() { return []; }),
+            indegree = d3.range(N).map(function() { return 0; }),
+            state = [];
+        edges.forEach(function(e) {
+            out[e.u].push(e);
+            ++indegree[e.v];
+        });
+        function visit(u) {
+            state[u] = 1;
+            out[u].forEach(function(e) {
+                if(state[e.v] === 1)
+                    e.reversed = true;
+                else if(!state[e.v])
+                    visit(e.v);
+            });
+            state[u] = 2;
+        }
+        d3.range(N).filter(function(u) { return !indegree[u]; }).concat(d3.range(N)).forEach(function(u) {
+            if(!state[u])
+                visit(u);
+        });
+        edges.forEach(function(e) {
+            if(e.reversed) {
+                var t = e.u; e.u = e.v; e.v = t;
+            }
+        });
+    }
+
+    // 2. longest path ranking, then pull sources down to just above their nearest child
+    function assign_ranks(N, edges, fixed) {
+        var rank = [], preds = d3.range(N).map(function() { return []; }),
+            succs = d3.range(N).map(function() { return []; }), indegree = [], order = [];
+        edges.forEach(function(e) {
+            succs[e.u].push(e.v);
+            preds[e.v].push(e.u);
+        });
+        d3.range(N).forEach(function(u) {
+            indegree[u] = preds[u].length;
+        });
+        var queue = d3.range(N).filter(function(u) { return !indegree[u]; });
+        while(queue.length) {
+            var u = queue.shift();
+            order.push(u);
+            rank[u] = 0;
+            for(var i = 0; i < preds[u].length; ++i)
+                rank[u] = Math.max(rank[u], rank[preds[u][i]] + 1);
+            for(i = 0; i < succs[u].length; ++i)
+                if(!--indegree[succs[u][i]])
+                    queue.push(succs[u][i]);
+        }
+        order.slice().reverse().forEach(function(u) {
+            if(!preds[u].length && succs[u].length)
+                rank[u] = d3.min(succs[u], function(s) { return rank[s]; }) - 1;
+        });
+        d3.range(N).forEach(function(u) {
+            if(fixed[u] !== undefined)
+                rank[u] = fixed[u];
+        });
+        var min = d3.min(rank) || 0;
+        return rank.map(function(r) { return r - min; });
+    }
+
+    // 4. number of crossings between the edges from one layer to the next
+    function count_crossings(layer, pos, down) {
+        var segs = [];
+        layer.forEach(function(v) {
+            v[down].forEach(function(w) {
+                segs.push([pos[v.id], pos[w.id]]);
+            });
+        });
+        var crossings = 0;
+        for(var i = 0; i < segs.length; ++i)
+            for(var j = i + 1; j < segs.length; ++j)
+                if((segs[i][0] - segs[j][0]) * (segs[i][1] - segs[j][1]) < 0)
+                    ++crossings;
+        return crossings;
+    }
+
+    function total_crossings(layers, pos) {
+        return d3.sum(layers, function(layer) {
+            return count_crossings(layer, pos, 'down');
+        });
+    }
+
+    function median(values) {
+        values.sort(d3.ascending);
+        var m = values.length >> 1;
+        return values.length % 2 ? values[m] : (values[m-1] + values[m]) / 2;
+    }
+
+    function order_layers(layers) {
+        var pos = {};
+        layers.forEach(function(layer) {
+            layer.forEach(function(v, i) {
+                pos[v.id] = i;
+            });
+        });
+        // reorder one layer by the median positions of its neighbors in the direction given
+        function sweep(layer, neighbors) {
+            var key = {};
+            layer.forEach(function(v) {
+                key[v.id] = v[neighbors].length ?
+                    median(v[neighbors].map(function(w) { return pos[w.id]; })) :
+                    pos[v.id];
+            });
+            layer.sort(function(a, b) {
+                return key[a.id] - key[b.id] || pos[a.id] - pos[b.id];
+            });
+            layer.forEach(function(v, i) {
+                pos[v.id] = i;
+            });
+        }
+        var best = layers.map(function(layer) { return layer.slice(); }),
+            bestCrossings = total_crossings(layers, pos);
+        for(var it = 0; it < _options.iterations && bestCrossings > 0; ++it) {
+            var l;
+            if(it % 2 === 0)
+                for(l = 1; l < layers.length; ++l)
+                    sweep(layers[l], 'up');
+            else
+                for(l = layers.length - 2; l >= 0; --l)
+                    sweep(layers[l], 'down');
+            var crossings = total_crossings(layers, pos);
+            if(crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(function(layer) { return layer.slice(); });
+            }
+        }
+        return best;
+    }
+
+    // 5. weighted isotonic regression (pool adjacent violators): the closest positions to the
+    // desired ones which keep the order and minimum separations
+    function place_layer(layer, desired, weight) {
+        var offsets = [0];
+        for(var i = 1; i < layer.length; ++i)
+            offsets.push(offsets[i-1] + (layer[i-1].size + layer[i].size) / 2 +
+                         (layer[i-1].dummy && layer[i].dummy ? _options.nodesep / 4 : _options.nodesep));
+        var blocks = [];
+        layer.forEach(function(v, i) {
+            var block = {value: desired[i] - offsets[i], weight: weight[i], count: 1};
+            while(blocks.length && blocks[blocks.length-1].value >= block.value) {
+                var prev = blocks.pop(), w = prev.weight + block.weight;
+                block = {
+                    value: (prev.value * prev.weight + block.value * block.weight) / w,
+                    weight: w,
+                    count: prev.count + block.count
+                };
+            }
+            blocks.push(block);
+        });
+        var k = 0;
+        blocks.forEach(function(block) {
+            for(var j = 0; j < block.count; ++j, ++k)
+                layer[k].x = block.value + offsets[k];
+        });
+    }
+
+    function assign_coordinates(layers) {
+        layers.forEach(function(layer) {
+            place_layer(layer, layer.map(function() { return 0; }), layer.map(function() { return 1; }));
+        });
+        function pass(l, directions) {
+            var layer = layers[l];
+            var desired = layer.map(function(v) {
+                var nbrs = [].concat.apply([], directions.map(function(d) { return v[d]; }));
+                return nbrs.length ? d3.mean(nbrs, function(w) { return w.x; }) : v.x;
+            });
+            // virtual nodes hold on harder, to keep long edges straight
+            place_layer(layer, desired, layer.map(function(v) { return v.dummy ? 4 : 1; }));
+        }
+        for(var it = 0; it < 4; ++it) {
+            var l;
+            for(l = 1; l < layers.length; ++l)
+                pass(l, ['up']);
+            for(l = layers.length - 2; l >= 0; --l)
+                pass(l, ['down']);
+        }
+        layers.forEach(function(layer, l) { pass(l, ['up', 'down']); });
+        var y = 0;
+        layers.forEach(function(layer, l) {
+            var depth = d3.max(layer, function(v) { return v.depth; }) || 0;
+            if(l > 0)
+                y += _options.ranksep;
+            y += depth / 2;
+            layer.forEach(function(v) {
+                v.y = y;
+            });
+            y += depth / 2;
+        });
+    }
+
+    // connected components drift apart while placing; line them up side by side, starting at 0
+    function pack_components(vnodes, edges) {
+        var parent = vnodes.map(function(v) { return v.id; });
+        function find(i) {
+            while(parent[i] !== i)
+                i = parent[i] = parent[parent[i]];
+            return i;
+        }
+        edges.forEach(function(e) {
+            e.chain.forEach(function(v) {
+                parent[find(v.id)] = find(e.chain[0].id);
+            });
+        });
+        var components = d3.nest().key(function(v) { return find(v.id); }).entries(vnodes);
+        components.sort(function(a, b) {
+            return d3.min(a.values, function(v) { return v.id; }) - d3.min(b.values, function(v) { return v.id; });
+        });
+        var x = 0;
+        components.forEach(function(comp) {
+            var left = d3.min(comp.values, function(v) { return v.x - v.size / 2; }),
+                right = d3.max(comp.values, function(v) { return v.x + v.size / 2; });
+            comp.values.forEach(function(v) {
+                v.x += x - left;
+            });
+            x += right - left + _options.nodesep;
+        });
+    }
+
+    // point where the line from the center of the node toward p crosses its bounding box
+    function clip_to_box(n, p) {
+        var dx = p.x - n.x, dy = p.y - n.y, w = n.width / 2, h = n.height / 2;
+        if(!dx && !dy)
+            return {x: n.x, y: n.y};
+        var s = Math.abs(dy) * w > Math.abs(dx) * h ? h / Math.abs(dy) : w / Math.abs(dx);
+        return {x: n.x + dx * s, y: n.y + dy * s};
+    }
+
+    function layout() {
+        var index = {}, N = _nodes.length;
+        _nodes.forEach(function(n, i) {
+            index[n.dcg_nodeKey] = i;
+        });
+        var horizontal = _options.rankdir === 'LR' || _options.rankdir === 'RL';
+        var edges = _edges.filter(function(e) {
+            return index[e.dcg_edgeSource] !== undefined && index[e.dcg_edgeTarget] !== undefined &&
+                e.dcg_edgeSource !== e.dcg_edgeTarget;
+        }).map(function(e) {
+            return {key: e.dcg_edgeKey, u: index[e.dcg_edgeSource], v: index[e.dcg_edgeTarget]};
+        });
+        remove_cycles(N, edges);
+        var fixed = _nodes.map(function(n) {
+            return typeof n.dcg_rank === 'number' ? n.dcg_rank : undefined;
+        });
+        var rank = assign_ranks(N, edges, fixed);
+
+        // 3. build the layers, with virtual nodes along long edges
+        var layers = [], vnodes = _nodes.map(function(n, i) {
+            return {
+                id: i, node: n, up: [], down: [],
+                size: horizontal ? n.height : n.width,
+                depth: horizontal ? n.width : n.height
+            };
+        });
+        vnodes.forEach(function(v) {
+            (layers[rank[v.id]] = layers[rank[v.id]] || []).push(v);
+        });
+        edges.forEach(function(e) {
+            if(rank[e.u] > rank[e.v]) {
+                // a fixed rank turned this edge upward
+                var t = e.u; e.u = e.v; e.v = t;
+                e.reversed = !e.reversed;
+            }
+            e.chain = [vnodes[e.u]];
+            for(var r = rank[e.u] + 1; r < rank[e.v]; ++r) {
+                var d = {id: vnodes.length, dummy: true, up: [], down: [], size: 0, depth: 0};
+                vnodes.push(d);
+                (layers[r] = layers[r] || []).push(d);
+                e.chain.push(d);
+            }
+            e.chain.push(vnodes[e.v]);
+            if(rank[e.u] === rank[e.v])
+                return;
+            for(var i = 1; i < e.chain.length; ++i) {
+                e.chain[i-1].down.push(e.chain[i]);
+                e.chain[i].up.push(e.chain[i-1]);
+            }
+        });
+        // fixed ranks may leave gaps with nothing in them
+        layers = layers.filter(function(layer) { return layer && layer.length; });
+
+        // initial order: depth-first from the top layer, so that subtrees stay together
+        var seen = {}, dfsOrder = {}, count = 0;
+        function dfs(v) {
+            if(seen[v.id])
+                return;
+            seen[v.id] = true;
+            dfsOrder[v.id] = count++;
+            v.down.forEach(dfs);
+        }
+        layers.forEach(function(layer) {
+            layer.forEach(dfs);
+        });
+        layers.forEach(function(layer) {
+            layer.sort(function(a, b) { return dfsOrder[a.id] - dfsOrder[b.id]; });
+        });
+        layers = order_layers(layers);
+        assign_coordinates(layers);
+        pack_components(vnodes, edges);
+
+        // rotate or flip for rankdir
+        var maxy = d3.max(vnodes, function(v) { return v.y; });
+        function transform(v) {
+            var x = v.x, y = v.y;
+            switch(_options.rankdir) {
+            case 'BT':
+                return {x: x, y: maxy - y};
+            case 'LR':
+                return {x: y, y: x};
+            case 'RL':
+                return {x: maxy - y, y: x};
+            default:
+                return {x: x, y: y};
+            }
+        }
+        vnodes.forEach(function(v) {
+            var p = transform(v);
+            v.x = p.x;
+            v.y = p.y;
+        });
+        vnodes.forEach(function(v) {
+            if(v.node) {
+                v.node.x = v.x;
+                v.node.y = v.y;
+            }
+        });
+        var routes = {};
+        edges.forEach(function(e) {
+            if(e.chain.length < 3)
+                return;
+            var points = e.chain.map(function(v) { return {x: v.x, y: v.y}; });
+            points[0] = clip_to_box(e.chain[0].node, points[1]);
+            points[points.length-1] = clip_to_box(e.chain[e.chain.length-1].node, points[points.length-2]);
+            if(e.reversed)
+                points.reverse();
+            routes[e.key] = bezier_through(points);
+        });
+        return routes;
+    }
+
+    function start() {
+        _dispatch.start();
+        var routes = _nodes.length ? layout() : {};
+        _dispatch.end(_nodes, _edges.map(function(e) {
+            var ret = {dcg_edgeKey: e.dcg_edgeKey};
+            if(routes[e.dcg_edgeKey])
+                ret.points = routes[e.dcg_edgeKey];
+            return ret;
+        }));
+    }
+
+    function stop() {
+    }
+
+    var graphviz = dc_graph.graphviz_attrs(), graphviz_keys = Object.keys(graphviz);
+    return Object.assign(graphviz, {
+        layoutAlgorithm: function() {
+            return 'sugiyama';
+        },
+        layoutId: function() {
+            return _layoutId;
+        },
+        supportsWebworker: function() {
+            return false;
+        },
+        parent: property(null),
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        init: function(options) {
+            this.optionNames().forEach(function(option) {
+                options[option] = options[option] || this[option]();
+            }.bind(this));
+            init(options);
+            return this;
+        },
+        data: function(graph, nodes, edges) {
+            data(nodes, edges);
+        },
+        start: function() {
+            start();
+        },
+        stop: function() {
+            stop();
+        },
+        optionNames: function() {
+            return ['iterations'].concat(graphviz_keys);
+        },
+        populateLayoutNode: function(layout, node) {
+            if(this.rank())
+                layout.dcg_rank = this.rank.eval(node);
+        },
+        populateLayoutEdge: function() {},
+        /**
+         * The number of sweeps up and down the ranks to reduce crossings.
+         * @method iterations
+         * @memberof dc_graph.sugiyama_layout
+         * @instance
+         * @param {Number} [iterations=24]
+         * @return {Number|dc_graph.sugiyama_layout}
+         **/
+        iterations: property(24),
+        /**
+         * Function which returns the rank of a node, as a number, or `undefined` to let the layout
+         * decide. If `null`, all ranks are computed.
+         * @method rank
+         * @memberof dc_graph.sugiyama_layout
+         * @instance
+         * @param {Function} [rank=null]
+         * @return {Function|dc_graph.sugiyama_layout}
+         **/
+        rank: property(null)
+    });
+};
+
+dc_graph.sugiyama_layout.scripts = [];
@@ -0,0 +1,78 @@
+/**
+ * `dc_graph.sync_layout` makes a layout engine run synchronously: each call to `start` runs the
+ * layout to completion and fires `end` before returning. This is useful for tests, for laying
+ * out graphs outside of a browser, and for graphs so small that animating the layout is not
+ * worth it.
+ *
+ * This is the `'sync'` strategy of {@link dc_graph.spawn_engine spawn_engine}. Unlike
+ * {@link dc_graph.webworker_layout webworker_layout}, it does not wrap the engine; the engine
+ * itself is modified and returned, so all of its accessors are still available. The engine can
+ * still be given to a diagram.
+ *
+ * Engines which wait on a server, like `graphviz_layout` with a server URL, cannot run
+ * synchronously, and `run` will throw.
+ * @class sync_layout
+ * @memberof dc_graph
+ * @param {Object} layoutEngine - the engine to run synchronously
+ * @example
+ * var engine = dc_graph.sync_layout(dc_graph.cola_layout());
+ * var layout = engine.run({width: 500, height: 500}, [
+ *     {dcg_nodeKey: 'a', width: 30, height: 30},
+ *     {dcg_nodeKey: 'b', width: 30, height: 30}
+ * ], [
+ *     {dcg_edgeKey: 'ab', dcg_edgeSource: 'a', dcg_edgeTarget: 'b'}
+ * ]);
+ * layout.nodes.forEach(function(n) {
+ *     console.log(n.dcg_nodeKey, n.x, n.y);
+ * });
+ * @return {Object} the same engine
+ **/
+dc_graph.sync_layout = function(layoutEngine) {
+    var _init = layoutEngine.init, _initialized = false;
+
+    // engines which normally run asynchronously check this option
+    layoutEngine.init = function(options) {
+        options.synchronous = true;
+        _initialized = true;
+        return _init.call(this, options);
+    };
+    layoutEngine.synchronous = function() {
+        return true;
+    };
+    /**
+     * Lays out a graph and returns the result. The engine is initialized with the size of the
+     * graph the first time, if it has not already been initialized.
+     * @method run
+     * @memberof dc_graph.sync_layout
+     * @instance
+     * @param {Object} [graph={width: 0, height: 0}] - the size of the layout area
+     * @param {Array} nodes - layout nodes, each with `dcg_nodeKey`, `width` and `height`
+     * @param {Array} [edges] - layout edges, each with `dcg_edgeKey`, `dcg_edgeSource` and
+     * `dcg_edgeTarget`
+     * @param {Array} [clusters] - layout clusters, each with `dcg_clusterKey` and
+     * `dcg_clusterParent`
+     * @param {Array} [constraints] - constraints, for engines which support them
+     * @return {Object} `{nodes, edges, clusters}` as passed to the `end` event: nodes with
+     * `x` and `y`, edges with `points` if the engine routes edges, and clusters with `bounds`
+     **/
+    layoutEngine.run = function(graph, nodes, edges, clusters, constraints) {
+        graph = Object.assign({width: 0, height: 0}, graph);
+        if(!_initialized)
+            this.init({width: graph.width, height: graph.height});
+        var result = null;
+        this.on('end.sync-layout', function(nodes, edges, clusters) {
+            result = {nodes: nodes, edges: edges || [], clusters: clusters || []};
+        });
+        try {
+            this.data(graph, nodes, edges || [], clusters || [], constraints || []);
+            this.start();
+        }
+        finally {
+            this.on('end.sync-layout', null);
+        }
+        if(!result)
+            throw new Error('layout engine "' + this.layoutAlgorithm() + '" did not finish synchronously');
+        return result;
+    };
+    return layoutEngine;
+};
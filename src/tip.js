@@ -115,7 +115,8 @@ dc_graph.tip = function(options) {
     var _mode = dc_graph.mode(_namespace, {
         draw: draw,
         remove: remove,
-        laterDraw: true
+        laterDraw: true,
+        renderers: ['svg', 'canvas', 'webgl']
     });
     /**
      * Specify the direction for tooltips. Currently supports the
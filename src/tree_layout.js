@@ -1,6 +1,7 @@
 /**
  * `dc_graph.tree_layout` is a very simple and not very bright tree layout. It can draw any DAG, but
- * tries to position the nodes as a tree.
+ * tries to position the nodes as a tree. For proper hierarchical layouts with crossing reduction,
+ * use {@link dc_graph.sugiyama_layout sugiyama_layout}.
  * @class tree_layout
  * @memberof dc_graph
  * @param {String} [id=uuid()] - Unique identifier
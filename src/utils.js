@@ -204,12 +204,32 @@ dc_graph.event_coords = function(diagram) {
                               d3.event.clientY - bound.top]);
 };
 
+// renderers which do not draw nodes and edges as svg elements dispatch mouse events to proxy elements
+var proxy_mouse_events = ['mousedown', 'mouseup', 'click', 'dblclick', 'contextmenu'];
+var mouse_event_fields = ['detail', 'screenX', 'screenY', 'clientX', 'clientY',
+                          'ctrlKey', 'shiftKey', 'altKey', 'metaKey', 'button', 'buttons'];
+
+// re-dispatch the current d3 event on another element, as a mouse event of the given type
+function forward_mouse_event(type, target, relatedTarget) {
+    var source = d3.event, init = {
+        bubbles: true,
+        cancelable: true,
+        view: window,
+        relatedTarget: relatedTarget || null
+    };
+    mouse_event_fields.forEach(function(field) {
+        init[field] = source[field];
+    });
+    if(!target.dispatchEvent(new MouseEvent(type, init)))
+        source.preventDefault();
+}
+
 function promise_identity(x) {
     return Promise.resolve(x);
 }
 
 // http://stackoverflow.com/questions/7044944/jquery-javascript-to-detect-os-without-a-plugin
-var is_a_mac = navigator.platform.toUpperCase().indexOf('MAC')!==-1;
+var is_a_mac = typeof navigator !== 'undefined' && navigator.platform.toUpperCase().indexOf('MAC')!==-1;
 
 // https://stackoverflow.com/questions/16863917/check-if-class-exists-somewhere-in-parent-vanilla-js
 function ancestor_has_class(element, classname) {
@@ -218,6 +238,6 @@ function ancestor_has_class(element, classname) {
     return element.parentElement && ancestor_has_class(element.parentElement, classname);
 }
 
-if (typeof SVGElement.prototype.contains == 'undefined') {
+if (typeof SVGElement !== 'undefined' && typeof SVGElement.prototype.contains == 'undefined') {
     SVGElement.prototype.contains = HTMLDivElement.prototype.contains;
 }
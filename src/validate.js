@@ -1,10 +1,50 @@
- dc_graph.validate = function(title) {
-    function falsy(objects, accessor, what, who) {
+/**
+ * `dc_graph.validate` checks the data in a diagram's node, edge and port groups each time the
+ * diagram is drawn, before the layout starts, and reports any problems:
+ * * `empty-node-key`, `empty-edge-source`, `empty-edge-target`, `empty-port-key` - the accessor
+ * returned nothing
+ * * `duplicate-node-key`, `duplicate-edge-key` - more than one item with the same key
+ * * `unknown-node-content` - `nodeContent` does not name any registered content
+ * * `dangling-edge-source`, `dangling-edge-target` - the edge refers to a node which does not exist
+ * * `dangling-port-node`, `dangling-port-edge` - the port refers to a node or edge which does not exist
+ * * `missing-source-port`, `missing-target-port` - the edge refers to a port which does not exist
+ * * `self-loop` - the edge has the same source and target
+ * * `parallel-edges` - more than one edge between the same pair of nodes
+ *
+ * The results are an object `{title, ok, counts, issues, repairs}`, where `issues` is an array of
+ * `{type, message, items}`, and `items` are the offending group entries (or `{key, value}` for
+ * references which were not found). They are passed to the `validated` event, and are also
+ * available from `.results()`.
+ *
+ * If `repair` is set, dangling edges are dropped, or placeholder nodes are created for their
+ * missing ends, before the diagram uses the data; `repairs` lists `{type, items}` for what was
+ * done. The original groups are not changed.
+ * @class validate
+ * @memberof dc_graph
+ * @param {String} [title] - name of the diagram, for console messages
+ * @return {dc_graph.validate}
+ * @example
+ * diagram.child('validate', dc_graph.validate('network')
+ *     .log(false)
+ *     .repair('placeholder')
+ *     .on('validated', function(results) {
+ *         if(!results.ok)
+ *             show_problems(results.issues);
+ *     }));
+ **/
+dc_graph.validate = function(title) {
+    var _dispatch = d3.dispatch('validated');
+    var _results = null;
+
+    function issue(type, message, items) {
+        return {type: type, message: message, items: items};
+    }
+    function falsy(objects, accessor, type, what, who) {
         var f = objects.filter(function(o) {
             return !accessor(o);
         });
         return f.length ?
-            [what + ' is empty for ' + f.length + ' of ' + objects.length + ' ' + who, f] :
+            issue(type, what + ' is empty for ' + f.length + ' of ' + objects.length + ' ' + who, f) :
             null;
     }
     function build_index(objects, accessor) {
@@ -13,31 +53,43 @@
             return m;
         }, {});
     }
-    function not_found(index, objects, accessor, what, where, who) {
+    function duplicates(objects, accessor, type, what, who) {
+        var seen = {}, dups = [];
+        objects.forEach(function(o) {
+            var k = accessor(o);
+            if(seen[k])
+                dups.push(o);
+            seen[k] = true;
+        });
+        return dups.length ?
+            issue(type, 'there are ' + dups.length + ' ' + who + ' with duplicate ' + what, dups) :
+            null;
+    }
+    function not_found(index, objects, accessor, type, what, where, who) {
         var nf = objects.filter(function(o) {
-            return !index[accessor(o)];
+            var k = accessor(o);
+            return k && !index[k];
         }).map(function(o) {
             return {key: accessor(o), value: o};
         });
         return nf.length ?
-            [what + ' was not found in ' + where, Object.keys(index), 'for ' + nf.length + ' of ' + objects.length + ' ' + who, nf] :
+            issue(type, what + ' was not found in ' + where + ' for ' + nf.length + ' of ' + objects.length + ' ' + who, nf) :
             null;
     }
-    function validate() {
-        var diagram = _mode.parent();
-        var nodes = diagram.nodeGroup().all(),
-            edges = diagram.edgeGroup().all(),
-            ports = diagram.portGroup() ? diagram.portGroup().all() : [];
-        var errors = [];
+    function validate(diagram, data) {
+        var nodes = data.nodes, edges = data.edges, ports = data.ports;
+        var issues = [], repairs = [];
 
         function check(error) {
             if(error)
-                errors.push(error);
+                issues.push(error);
         }
 
-        check(falsy(nodes, diagram.nodeKey(), 'nodeKey', 'nodes'));
-        check(falsy(edges, diagram.edgeSource(), 'edgeSource', 'edges'));
-        check(falsy(edges, diagram.edgeTarget(), 'edgeTarget', 'edges'));
+        check(falsy(nodes, diagram.nodeKey(), 'empty-node-key', 'nodeKey', 'nodes'));
+        check(falsy(edges, diagram.edgeSource(), 'empty-edge-source', 'edgeSource', 'edges'));
+        check(falsy(edges, diagram.edgeTarget(), 'empty-edge-target', 'edgeTarget', 'edges'));
+        check(duplicates(nodes, diagram.nodeKey(), 'duplicate-node-key', 'nodeKey', 'nodes'));
+        check(duplicates(edges, diagram.edgeKey(), 'duplicate-edge-key', 'edgeKey', 'edges'));
 
         var contentTypes = d3.set(diagram.content.enum());
         var ct = dc_graph.functor_wrap(diagram.nodeContent());
@@ -45,17 +97,22 @@
             return !contentTypes.has(ct(kv));
         });
         if(noContentNodes.length)
-            errors.push(['there are ' + noContentNodes.length + ' nodes with nodeContent not matching any content', noContentNodes]);
+            issues.push(issue('unknown-node-content', 'there are ' + noContentNodes.length +
+                              ' nodes with nodeContent not matching any content', noContentNodes));
 
         var nindex = build_index(nodes, diagram.nodeKey()),
             eindex = build_index(edges, diagram.edgeKey());
-        check(not_found(nindex, edges, diagram.edgeSource(), 'edgeSource', 'nodes', 'edges'));
-        check(not_found(nindex, edges, diagram.edgeTarget(), 'edgeTarget', 'nodes', 'edges'));
+        var danglingSource = not_found(nindex, edges, diagram.edgeSource(), 'dangling-edge-source',
+                                       'edgeSource', 'nodes', 'edges'),
+            danglingTarget = not_found(nindex, edges, diagram.edgeTarget(), 'dangling-edge-target',
+                                       'edgeTarget', 'nodes', 'edges');
+        check(danglingSource);
+        check(danglingTarget);
 
         check(falsy(ports, function(p) {
             return diagram.portNodeKey() && diagram.portNodeKey()(p) ||
                 diagram.portEdgeKey() && diagram.portEdgeKey()(p);
-        }, 'portNodeKey||portEdgeKey', 'ports'));
+        }, 'empty-port-key', 'portNodeKey||portEdgeKey', 'ports'));
 
         var named_ports = !diagram.portNodeKey() && [] || ports.filter(function(p) {
             return diagram.portNodeKey()(p);
@@ -63,43 +120,173 @@
         var anonymous_ports = !diagram.portEdgeKey() && [] || ports.filter(function(p) {
             return diagram.portEdgeKey()(p);
         });
-        check(not_found(nindex, named_ports, diagram.portNodeKey(), 'portNodeKey', 'nodes', 'ports'));
-        check(not_found(eindex, anonymous_ports, diagram.portEdgeKey(), 'portEdgeKey', 'edges', 'ports'));
+        check(not_found(nindex, named_ports, diagram.portNodeKey(), 'dangling-port-node',
+                        'portNodeKey', 'nodes', 'ports'));
+        check(not_found(eindex, anonymous_ports, diagram.portEdgeKey(), 'dangling-port-edge',
+                        'portEdgeKey', 'edges', 'ports'));
 
         if(diagram.portName()) {
             var pindex = build_index(named_ports, function(p) {
                 return diagram.portNodeKey()(p) + ' - ' + diagram.portName()(p);
             });
-            if(diagram.edgeSourcePortName())
-                check(not_found(pindex, edges, function(e) {
-                    return diagram.edgeSource()(e) + ' - ' + d3.functor(diagram.edgeSourcePortName())(e);
-                }, 'edgeSourcePortName', 'ports', 'edges'));
-            if(diagram.edgeTargetPortName())
-                check(not_found(pindex, edges,  function(e) {
-                    return diagram.edgeTarget()(e) + ' - ' + d3.functor(diagram.edgeTargetPortName())(e);
-                }, 'edgeTargetPortName', 'ports', 'edges'));
+            var sourcePortName = diagram.edgeSourcePortName() && d3.functor(diagram.edgeSourcePortName()),
+                targetPortName = diagram.edgeTargetPortName() && d3.functor(diagram.edgeTargetPortName());
+            if(sourcePortName)
+                check(not_found(pindex, edges.filter(sourcePortName), function(e) {
+                    return diagram.edgeSource()(e) + ' - ' + sourcePortName(e);
+                }, 'missing-source-port', 'edgeSourcePortName', 'ports', 'edges'));
+            if(targetPortName)
+                check(not_found(pindex, edges.filter(targetPortName), function(e) {
+                    return diagram.edgeTarget()(e) + ' - ' + targetPortName(e);
+                }, 'missing-target-port', 'edgeTargetPortName', 'ports', 'edges'));
         }
 
-        function count_text() {
-            return nodes.length + ' nodes, ' + edges.length + ' edges, ' + ports.length + ' ports';
+        var selfLoops = edges.filter(function(e) {
+            return diagram.edgeSource()(e) === diagram.edgeTarget()(e);
+        });
+        if(selfLoops.length)
+            issues.push(issue('self-loop', 'there are ' + selfLoops.length + ' self-loops', selfLoops));
+
+        var pairs = {};
+        edges.forEach(function(e) {
+            var s = diagram.edgeSource()(e), t = diagram.edgeTarget()(e);
+            if(s === t)
+                return;
+            var pair = JSON.stringify(s < t ? [s, t] : [t, s]);
+            (pairs[pair] = pairs[pair] || []).push(e);
+        });
+        var parallel = d3.values(pairs).filter(function(es) { return es.length > 1; });
+        if(parallel.length)
+            issues.push(issue('parallel-edges', 'there are ' + parallel.length +
+                              ' pairs of nodes with more than one edge', [].concat.apply([], parallel)));
+
+        switch(_mode.repair()) {
+        case 'drop':
+            var dangling = d3.set();
+            [danglingSource, danglingTarget].forEach(function(error) {
+                if(error)
+                    error.items.forEach(function(nf) {
+                        dangling.add(diagram.edgeKey()(nf.value));
+                    });
+            });
+            var dropped = edges.filter(function(e) {
+                return !diagram.edgeSource()(e) || !diagram.edgeTarget()(e) ||
+                    dangling.has(diagram.edgeKey()(e));
+            });
+            if(dropped.length) {
+                data.edges = edges.filter(function(e) {
+                    return dropped.indexOf(e) < 0;
+                });
+                repairs.push({type: 'drop-edges', items: dropped});
+            }
+            break;
+        case 'placeholder':
+            var missing = d3.set();
+            [danglingSource, danglingTarget].forEach(function(error) {
+                if(error)
+                    error.items.forEach(function(nf) {
+                        missing.add(nf.key);
+                    });
+            });
+            if(!missing.empty()) {
+                var placeholders = missing.values().map(_mode.placeholderNode());
+                data.nodes = nodes.concat(placeholders);
+                repairs.push({type: 'placeholder-nodes', items: placeholders});
+            }
+            break;
         }
-        if(errors.length) {
-            console.warn('validation of ' + title + ' failed with ' + count_text() + ':');
-            errors.forEach(function(err) {
-                console.warn.apply(console, err);
+
+        _results = {
+            title: title,
+            ok: !issues.length,
+            counts: {nodes: nodes.length, edges: edges.length, ports: ports.length},
+            issues: issues,
+            repairs: repairs
+        };
+        if(_mode.log())
+            log(_results);
+        _dispatch.validated(_results);
+    }
+    function log(results) {
+        var count_text = results.counts.nodes + ' nodes, ' + results.counts.edges + ' edges, ' +
+                results.counts.ports + ' ports';
+        if(results.issues.length) {
+            console.warn('validation of ' + title + ' failed with ' + count_text + ':');
+            results.issues.forEach(function(err) {
+                console.warn(err.message, err.items);
             });
         }
         else
-            console.log('validation of ' + title + ' succeeded with ' + count_text() + '.');
+            console.log('validation of ' + title + ' succeeded with ' + count_text + '.');
+        results.repairs.forEach(function(rep) {
+            console.warn('validation of ' + title + ' repaired data: ' + rep.type, rep.items);
+        });
     }
     var _mode = {
         parent: property(null).react(function(p) {
             if(p)
-                p.on('data.validate', validate);
+                p.on('rawData.validate', validate);
             else
-                _mode.parent().on('data.validate', null);
-        })
+                _mode.parent().on('rawData.validate', null);
+        }),
+        /**
+         * Subscribe to the `validated(results)` event, which fires each time the data is checked.
+         * @method on
+         * @memberof dc_graph.validate
+         * @instance
+         * @param {String} event
+         * @param {Function} [f]
+         * @return {dc_graph.validate}
+         **/
+        on: function(event, f) {
+            if(arguments.length === 1)
+                return _dispatch.on(event);
+            _dispatch.on(event, f);
+            return this;
+        },
+        /**
+         * The results of the most recent validation, or null if none has run yet.
+         * @method results
+         * @memberof dc_graph.validate
+         * @instance
+         * @return {Object}
+         **/
+        results: function() {
+            return _results;
+        }
     };
+    /**
+     * Whether to print the results to the console.
+     * @method log
+     * @memberof dc_graph.validate
+     * @instance
+     * @param {Boolean} [log=true]
+     * @return {Boolean|dc_graph.validate}
+     **/
+    _mode.log = property(true);
+    /**
+     * How to repair edges whose source or target node does not exist: `'drop'` removes them
+     * (along with edges with empty source or target); `'placeholder'` adds nodes created by
+     * {@link dc_graph.validate#placeholderNode placeholderNode}; `null` leaves the data as is.
+     * @method repair
+     * @memberof dc_graph.validate
+     * @instance
+     * @param {String} [repair=null]
+     * @return {String|dc_graph.validate}
+     **/
+    _mode.repair = property(null);
+    /**
+     * Function which creates a node group entry for a missing node key. The result must work
+     * with the diagram's node accessors; the default is suitable for `flat_group`.
+     * @method placeholderNode
+     * @memberof dc_graph.validate
+     * @instance
+     * @param {Function} [placeholderNode=function(key) { return {key: key, value: {placeholder: true}}; }]
+     * @return {Function|dc_graph.validate}
+     **/
+    _mode.placeholderNode = property(function(key) {
+        return {key: key, value: {placeholder: true}};
+    });
 
     return _mode;
 };
@@ -96,7 +96,7 @@ function on_load(filename, error, data) {
     };
     var edge_flat = dc_graph.flat_group.make(edges, edge_key),
         node_flat = dc_graph.flat_group.make(nodes, function(d) { return d[nodekeyattr]; });
-    function init_diagram(layout, diagram) {
+    function init_diagram(layout, diagram, metricsSelector) {
         var engine = dc_graph.spawn_engine(layout, sync_url.vals, sync_url.vals.worker);
         diagram
             .layoutEngine(engine)
@@ -129,6 +129,17 @@ function on_load(filename, error, data) {
 
         sync_url.exert();
 
+        var layout_metrics = dc_graph.layout_metrics()
+            .on('metrics', function(metrics) {
+                d3.select(metricsSelector).text([
+                    metrics.crossings + ' crossings',
+                    metrics.nodeOverlaps + ' overlaps',
+                    'edge length deviation ' + metrics.edgeLengthDeviation.toFixed(2),
+                    'stress ' + metrics.stress.toFixed(3)
+                ].join(', '));
+            });
+        diagram.child('layout-metrics', layout_metrics);
+
         var move_nodes = dc_graph.move_nodes();
         diagram.child('move-nodes', move_nodes);
 
@@ -156,8 +167,8 @@ function on_load(filename, error, data) {
                 .child('highlight-neighbors', highlight_neighbors);
         }
     }
-    init_diagram(sync_url.vals.llayout, ldiagram);
-    init_diagram(sync_url.vals.rlayout, rdiagram);
+    init_diagram(sync_url.vals.llayout, ldiagram, '#left-metrics');
+    init_diagram(sync_url.vals.rlayout, rdiagram, '#right-metrics');
 
     dc.renderAll();
 }